@@ -0,0 +1,61 @@
+// Document chunking
+// Splits document text into overlapping chunks for embedding (see vector-index.js).
+// Chunks are about CHUNK_SIZE characters and end at a paragraph, sentence or
+// word boundary where one falls in their second half; each chunk repeats the
+// last CHUNK_OVERLAP characters of the previous one (from a word start) so a
+// passage cut in two still appears whole in one of them.
+
+const CHUNKING = {
+  size: parseInt(process.env.CHUNK_SIZE || '1000', 10),
+  overlap: parseInt(process.env.CHUNK_OVERLAP || '200', 10),
+};
+
+// Preferred chunk ends, best first
+const BREAK_PATTERNS = [/\n\s*\n/g, /[.!?]["')\]]*\s/g, /\s/g];
+
+// Offset just after the last break in text[from, to), or -1
+function lastBreak(text, from, to) {
+  const window = text.slice(from, to);
+  for (const pattern of BREAK_PATTERNS) {
+    let end = -1;
+    for (const match of window.matchAll(pattern)) end = match.index + match[0].length;
+    if (end > 0) return from + end;
+  }
+  return -1;
+}
+
+/**
+ * Split text into overlapping chunks
+ * @param {string} text - Document text
+ * @param {Object} [options]
+ * @param {number} [options.size] - Target chunk length in characters (default CHUNK_SIZE, 1000)
+ * @param {number} [options.overlap] - Characters repeated from the previous chunk (default CHUNK_OVERLAP, 200)
+ * @returns {Array<{ index: number, start: number, end: number, text: string }>}
+ *   start / end are character offsets into text; empty text gives no chunks
+ */
+function chunkText(text, { size = CHUNKING.size, overlap = CHUNKING.overlap } = {}) {
+  const chunkSize = Math.max(1, size);
+  const chunkOverlap = Math.min(Math.max(0, overlap), Math.floor(chunkSize / 2));
+  const chunks = [];
+  if (!text || !text.trim()) return chunks;
+
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + chunkSize);
+    if (end < text.length) {
+      const breakAt = lastBreak(text, start + Math.floor(chunkSize / 2), end);
+      if (breakAt > start) end = breakAt;
+    }
+    chunks.push({ index: chunks.length, start, end, text: text.slice(start, end) });
+    if (end >= text.length) break;
+
+    // Next chunk starts overlap characters back, at the start of a word
+    let next = Math.max(end - chunkOverlap, start + 1);
+    const wordStart = text.slice(next, end).search(/\s\S/);
+    if (next > 0 && /\S/.test(text[next - 1]) && wordStart >= 0) next += wordStart + 1;
+    start = next;
+  }
+  return chunks;
+}
+
+module.exports = { CHUNKING, chunkText };
@@ -0,0 +1,109 @@
+// MCP Argument Completion
+// completion/complete suggestions for sessionId and docId arguments, so agents
+// and MCP inspectors can pick real IDs instead of pasting wrong UUIDs.
+//
+// Supported references:
+//   { type: 'ref/prompt', name }      - prompts from prompts.js
+//   { type: 'ref/resource', uri }     - resource templates from resources.js
+//   { type: 'ref/tool', name }        - tools from tools.js (gateway extension)
+//
+// sessionId values complete from existing sessions (ID prefix); docId values
+// complete from the documents of the session given in context.arguments
+// (ID prefix or title substring), or of every session when none is given.
+
+const { ErrorCode, McpError } = require('@modelcontextprotocol/sdk/types.js');
+const { listPrompts } = require('./prompts');
+const { listResourceTemplates } = require('./resources');
+const { listTools } = require('./tools');
+
+// The spec caps a completion response at 100 values
+const MAX_COMPLETION_VALUES = 100;
+
+// Argument names that hold a document ID
+const DOC_ID_ARGUMENTS = new Set(['docId', 'otherDocId']);
+
+/**
+ * Names of the arguments the referenced prompt / template / tool accepts
+ * @param {Object} ref - Completion reference
+ * @returns {Array<string>} Argument names
+ * @throws {McpError} InvalidParams when the reference does not exist
+ */
+function referencedArgumentNames(ref) {
+  switch (ref.type) {
+    case 'ref/prompt': {
+      const prompt = listPrompts().prompts.find(p => p.name === ref.name);
+      if (!prompt) throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${ref.name}`);
+      return prompt.arguments.map(arg => arg.name);
+    }
+    case 'ref/resource': {
+      const template = listResourceTemplates().resourceTemplates.find(t => t.uriTemplate === ref.uri);
+      if (!template) throw new McpError(ErrorCode.InvalidParams, `Unknown resource template: ${ref.uri}`);
+      return Array.from(template.uriTemplate.matchAll(/\{(\w+)\}/g), match => match[1]);
+    }
+    case 'ref/tool': {
+      const tool = listTools().find(t => t.name === ref.name);
+      if (!tool) throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${ref.name}`);
+      return Object.keys(tool.inputSchema.properties || {});
+    }
+    default:
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported completion reference type: ${ref.type}`);
+  }
+}
+
+async function completeSessionId(store, value) {
+  const prefix = value.toLowerCase();
+  return (await store.listSessions()).map(s => s.id).filter(sid => sid.toLowerCase().startsWith(prefix));
+}
+
+async function completeDocId(store, value, sessionId) {
+  const needle = value.toLowerCase();
+  const sessionIds = sessionId ? [sessionId] : (await store.listSessions()).map(s => s.id);
+  const idMatches = [];
+  const titleMatches = [];
+
+  for (const sid of sessionIds) {
+    const docs = await store.listDocuments(sid);
+    if (!docs) continue;
+    for (const doc of docs) {
+      if (doc.id.toLowerCase().startsWith(needle)) {
+        idMatches.push(doc.id);
+      } else if ((doc.title || '').toLowerCase().includes(needle)) {
+        titleMatches.push(doc.id);
+      }
+    }
+  }
+
+  // ID prefix matches are the most likely intent, so they come first
+  return idMatches.concat(titleMatches);
+}
+
+/**
+ * Result for completion/complete
+ * @param {Object} store - Shared DocumentStore
+ * @param {Object} params - { ref, argument: { name, value }, context?: { arguments } }
+ * @returns {Promise<{ completion: { values: Array<string>, total: number, hasMore: boolean } }>}
+ * @throws {McpError} InvalidParams for unknown references
+ */
+async function complete(store, { ref, argument, context }) {
+  const argumentNames = referencedArgumentNames(ref);
+  const value = argument.value || '';
+  let matches = [];
+
+  if (argumentNames.includes(argument.name)) {
+    if (argument.name === 'sessionId') {
+      matches = await completeSessionId(store, value);
+    } else if (DOC_ID_ARGUMENTS.has(argument.name)) {
+      matches = await completeDocId(store, value, context?.arguments?.sessionId);
+    }
+  }
+
+  return {
+    completion: {
+      values: matches.slice(0, MAX_COMPLETION_VALUES),
+      total: matches.length,
+      hasMore: matches.length > MAX_COMPLETION_VALUES,
+    },
+  };
+}
+
+module.exports = { complete };
@@ -0,0 +1,325 @@
+// CSV tables
+// CSV documents (mimeType text/csv, see document-metadata.js) are read as typed
+// tables for describe_table / query_table:
+//   - the delimiter is sniffed from the first lines (comma, semicolon, tab or pipe)
+//   - quoted fields follow RFC 4180: "a, b", "say ""hi""", and line breaks inside quotes
+//   - the first row is a header unless it looks like data (see looksLikeHeader)
+//   - callers can override both guesses with the delimiter / hasHeader options
+//   - every column gets a type from its values: integer, number, boolean, date or string;
+//     empty cells are null
+//   - numbers with a leading zero (ZIP codes, product IDs such as 01234) stay text
+// Tables are cached by content hash and options, so an updated document is
+// parsed again and an unchanged one is not. withCsvTables parses CSV documents
+// as they are stored, so a malformed one is rejected at upload rather than at
+// its first query.
+
+const { contentHash } = require('./revisions');
+const { detectMimeType } = require('./document-metadata');
+
+const DELIMITERS = [',', ';', '\t', '|'];
+// Lines looked at to pick the delimiter
+const SNIFF_LINES = 20;
+// Parsed tables kept in memory
+const CACHE_SIZE = 20;
+
+// Error code when a CSV document cannot be parsed on upload (REST: 400)
+const INVALID_CSV = 'INVALID_CSV';
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+// Zero-padded codes: a zero followed by more digits (but not 0 or 0.5)
+const LEADING_ZERO_PATTERN = /^[+-]?0\d/;
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const BOOLEAN_VALUES = { true: true, false: false, yes: true, no: false };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Tool arguments that override the detected layout (describe_table / query_table)
+const tableParseProperties = {
+  delimiter: {
+    type: 'string',
+    enum: DELIMITERS,
+    description: 'Optional: field delimiter, "," ";" "\\t" or "|" (default: detected)',
+  },
+  hasHeader: {
+    type: 'boolean',
+    description: 'Optional: whether the first row holds column names (default: detected; check hasHeader in describe_table)',
+  },
+};
+
+/**
+ * Split CSV text into rows of raw string cells
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @param {number} [maxRows=Infinity] - Stop after this many rows
+ * @returns {Array<Array<string>>} Rows (blank lines are skipped)
+ * @throws {Error} For a quote that is never closed
+ */
+function parseRows(text, delimiter, maxRows = Infinity) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let quoteStart = 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      inQuotes = true;
+      quoteStart = i;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes && rows.length < maxRows) {
+    const line = text.slice(0, quoteStart).split('\n').length;
+    throw new Error(`Unterminated quoted field starting on line ${line}`);
+  }
+  if (rows.length < maxRows && (cell !== '' || row.length > 0)) endRow();
+  return rows;
+}
+
+/**
+ * Pick the delimiter that splits the first lines into the most consistent number of fields
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter (comma if nothing splits the lines)
+ */
+function sniffDelimiter(text) {
+  let best = { delimiter: ',', score: 0 };
+  for (const delimiter of DELIMITERS) {
+    let rows;
+    try {
+      rows = parseRows(text, delimiter, SNIFF_LINES);
+    } catch (error) {
+      continue;
+    }
+    // Most common field count, weighted by how many lines have it
+    const counts = new Map();
+    for (const row of rows) counts.set(row.length, (counts.get(row.length) || 0) + 1);
+    for (const [fields, lines] of counts) {
+      const score = fields > 1 ? lines * 1000 + fields : 0;
+      if (score > best.score) best = { delimiter, score };
+    }
+  }
+  return best.delimiter;
+}
+
+function valueType(value) {
+  if (LEADING_ZERO_PATTERN.test(value)) return 'string';
+  if (INTEGER_PATTERN.test(value)) return 'integer';
+  if (NUMBER_PATTERN.test(value)) return 'number';
+  if (value.toLowerCase() in BOOLEAN_VALUES) return 'boolean';
+  if (DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))) return 'date';
+  return 'string';
+}
+
+// Narrowest type that fits every non-empty value (integers widen to numbers)
+function columnType(values) {
+  const types = new Set(values.map(value => value.trim()).filter(Boolean).map(valueType));
+  if (types.size === 0) return 'string';
+  if (types.size === 1) return [...types][0];
+  if ([...types].every(type => type === 'integer' || type === 'number')) return 'number';
+  return 'string';
+}
+
+/**
+ * Convert a raw cell to its column type
+ * @param {string} value - Raw cell
+ * @param {string} type - integer | number | boolean | date | string
+ * @returns {*} number, boolean, string (dates stay ISO strings) or null for empty cells
+ */
+function convertValue(value, type) {
+  const trimmed = (value || '').trim();
+  if (trimmed === '') return null;
+  switch (type) {
+    case 'integer':
+    case 'number':
+      return Number(trimmed);
+    case 'boolean':
+      return BOOLEAN_VALUES[trimmed.toLowerCase()];
+    case 'date':
+      return trimmed;
+    default:
+      return value;
+  }
+}
+
+// How a text column's first cell compares with the values below it:
+// positive when it looks like a label, negative when it looks like one more value
+function labelEvidence(label, values) {
+  if (values.length === 0) return 0;
+  let evidence = 0;
+  // Fixed-width values (codes, IDs): a label of the same width is probably one of them
+  const lengths = new Set(values.map(value => value.length));
+  if (values.length > 1 && lengths.size === 1) evidence += lengths.has(label.length) ? -1 : 1;
+  // Values repeat in a categorical column; its label appears once
+  if (new Set(values.map(value => value.toLowerCase())).size < values.length) evidence += 1;
+  // Values with digits (addresses, references) under a label without any
+  if (!/\d/.test(label) && values.every(value => /\d/.test(value))) evidence += 1;
+  return evidence;
+}
+
+// A first row is a header when its cells are distinct, non-empty and not
+// numbers / booleans / dates, and
+//   - some column below holds such typed values, or there is nothing below; or
+//   - every column is text, no first-row cell appears again in its column, and
+//     the cells don't look like the values below them (labelEvidence). Without
+//     evidence either way it is a header, as in most CSV files.
+function looksLikeHeader(rows) {
+  const [first, ...rest] = rows;
+  const cells = first.map(cell => cell.trim());
+  if (cells.some(cell => cell === '' || valueType(cell) !== 'string')) return false;
+  if (new Set(cells.map(cell => cell.toLowerCase())).size !== cells.length) return false;
+  if (rest.length === 0) return true;
+
+  const columns = cells.map((_, column) => rest.map(row => (row[column] || '').trim()).filter(Boolean));
+  if (columns.some(values => columnType(values) !== 'string')) return true;
+  if (cells.some((cell, column) => columns[column].some(value => value.toLowerCase() === cell.toLowerCase()))) return false;
+  return cells.reduce((evidence, cell, column) => evidence + labelEvidence(cell, columns[column]), 0) >= 0;
+}
+
+function columnNames(header, width) {
+  const used = new Set();
+  return Array.from({ length: width }, (_, i) => {
+    const base = (header && header[i] && header[i].trim()) || `column_${i + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name); n++) name = `${base}_${n}`;
+    used.add(name);
+    return name;
+  });
+}
+
+/**
+ * Parse CSV text into a typed table
+ * @param {string} text - CSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter (default: sniffed)
+ * @param {boolean} [options.hasHeader] - Whether the first row is a header (default: detected)
+ * @returns {{ delimiter: string, hasHeader: boolean, columns: Array<{ name: string, type: string }>, rows: Array<Array<*>>, raggedRows: number }}
+ *   rows hold converted values in column order; raggedRows counts rows with more or fewer cells than columns
+ * @throws {Error} For unterminated quotes or text without any rows
+ */
+function parseCsv(text, { delimiter = sniffDelimiter(text || ''), hasHeader } = {}) {
+  const rawRows = parseRows(text || '', delimiter);
+  if (rawRows.length === 0) throw new Error('The CSV has no rows');
+
+  const header = hasHeader === undefined ? looksLikeHeader(rawRows) : hasHeader;
+  const dataRows = header ? rawRows.slice(1) : rawRows;
+  const width = dataRows.reduce((widest, row) => Math.max(widest, row.length), header ? rawRows[0].length : 0);
+  const names = columnNames(header ? rawRows[0] : null, width);
+
+  const columns = names.map((name, i) => ({ name, type: columnType(dataRows.map(row => row[i] || '')) }));
+  return {
+    delimiter,
+    hasHeader: header,
+    columns,
+    rows: dataRows.map(row => columns.map((column, i) => convertValue(row[i], column.type))),
+    raggedRows: dataRows.filter(row => row.length !== width).length,
+  };
+}
+
+const cache = new Map(); // content hash + options -> table (least recently used first)
+
+/**
+ * Typed table of a CSV document, cached by content
+ * @param {Object} doc - Stored document
+ * @param {Object} [options] - delimiter / hasHeader overrides, as for parseCsv()
+ * @returns {Object} Table from parseCsv()
+ * @throws {Error} When the document is not a CSV or cannot be parsed
+ */
+function documentTable(doc, { delimiter, hasHeader } = {}) {
+  if (doc.mimeType !== 'text/csv') {
+    throw new Error(`Document ${doc.id} is not a CSV table (mime type: ${doc.mimeType || 'unknown'}); upload a .csv file or title`);
+  }
+
+  const options = {
+    ...(delimiter !== undefined && { delimiter }),
+    ...(hasHeader !== undefined && { hasHeader }),
+  };
+  const hash = `${contentHash(doc.text)} ${JSON.stringify(options)}`;
+  if (!cache.has(hash)) {
+    let table;
+    try {
+      table = parseCsv(doc.text, options);
+    } catch (error) {
+      throw new Error(`Could not parse ${doc.title} as CSV: ${error.message}`);
+    }
+    cache.set(hash, table);
+    if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+  }
+
+  const table = cache.get(hash);
+  // Move to the back: most recently used
+  cache.delete(hash);
+  cache.set(hash, table);
+  return table;
+}
+
+function isCsv(doc) {
+  return (doc.mimeType || detectMimeType({ title: doc.title })) === 'text/csv';
+}
+
+// Parse (and cache) the table of a document about to be stored
+function assertParsable(doc) {
+  try {
+    documentTable({ ...doc, mimeType: 'text/csv' });
+  } catch (error) {
+    error.code = INVALID_CSV;
+    throw error;
+  }
+}
+
+/**
+ * Wrap a DocumentStore so CSV documents are parsed when they are added or
+ * their text changes; a document that cannot be parsed is not stored
+ * @param {Object} store - DocumentStore to wrap
+ * @returns {Object} DocumentStore
+ */
+function withCsvTables(store) {
+  return {
+    ...store,
+
+    async addDocument(sessionId, doc, options) {
+      if (isCsv(doc)) assertParsable(doc);
+      return store.addDocument(sessionId, doc, options);
+    },
+
+    async updateDocument(sessionId, docId, changes, options) {
+      const current = await store.getDocument(sessionId, docId);
+      if (current && changes.text !== undefined && isCsv({ ...current, ...changes })) {
+        assertParsable({ ...current, ...changes });
+      }
+      return store.updateDocument(sessionId, docId, changes, options);
+    },
+  };
+}
+
+module.exports = {
+  INVALID_CSV,
+  tableParseProperties,
+  parseCsv,
+  documentTable,
+  withCsvTables,
+};
@@ -0,0 +1,34 @@
+// Document change events
+// The DocumentStore (memory-store.js) reports every change to sessions and documents here;
+// MCP connections listen to push resource notifications to their clients.
+
+const { EventEmitter } = require('events');
+
+const documentEvents = new EventEmitter();
+// One listener per open MCP connection, so there is no sensible fixed limit
+documentEvents.setMaxListeners(0);
+
+/**
+ * Announce a change to a session or one of its documents
+ * @param {Object} change
+ * @param {string} change.type - 'session-created' | 'session-deleted' | 'document-added' | 'document-updated' | 'document-deleted'
+ * @param {string} change.sessionId - Affected session
+ * @param {string} [change.docId] - Affected document, if any
+ * @param {Array<string>} [change.docIds] - Documents removed along with a deleted session
+ * @param {boolean} [change.renamed] - document-updated only: whether the title changed
+ */
+function emitDocumentChange(change) {
+  documentEvents.emit('change', change);
+}
+
+/**
+ * Listen for changes; returns a function that removes the listener
+ * @param {Function} listener - Called with the change object
+ * @returns {Function} Unsubscribe callback
+ */
+function onDocumentChange(listener) {
+  documentEvents.on('change', listener);
+  return () => documentEvents.off('change', listener);
+}
+
+module.exports = { emitDocumentChange, onDocumentChange };
@@ -0,0 +1,204 @@
+// Document metadata
+// Besides id / title / text every document carries:
+//   tags      - lower-cased, de-duplicated strings given on upload
+//   metadata  - arbitrary JSON object given on upload
+//   createdAt - upload time (recorded by the store)
+//   size      - text size in bytes (recorded by the store)
+//   mimeType  - from the source filename / title extension, or the upload's content type
+//   filename  - original filename for file uploads (null otherwise)
+// and the filters / sorting list_documents and search_documents apply to them.
+
+const path = require('path');
+
+const MIME_TYPES_BY_EXTENSION = {
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.json': 'application/json',
+};
+
+// Content types that say nothing about the file (browsers send these for unknown extensions)
+const GENERIC_MIME_TYPES = new Set(['application/octet-stream', 'binary/octet-stream']);
+
+const SORT_FIELDS = ['createdAt', 'size', 'title'];
+
+/**
+ * Mime type for a file or document name, by extension
+ * @param {string} [name] - Filename or title
+ * @returns {string|null} Mime type, or null for unknown extensions
+ */
+function mimeTypeForName(name) {
+  return MIME_TYPES_BY_EXTENSION[path.extname(name || '').toLowerCase()] || null;
+}
+
+/**
+ * Mime type recorded for an upload
+ * @param {Object} upload
+ * @param {string} [upload.filename] - Source filename (file uploads)
+ * @param {string} [upload.title] - Document title
+ * @param {string} [upload.contentType] - Content type sent with the file
+ * @returns {string} Mime type (text/plain when nothing more specific is known)
+ */
+function detectMimeType({ filename, title, contentType }) {
+  return mimeTypeForName(filename) ||
+    (contentType && !GENERIC_MIME_TYPES.has(contentType) ? contentType : null) ||
+    mimeTypeForName(title) ||
+    'text/plain';
+}
+
+function normalizeTags(tags) {
+  return Array.from(new Set((tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean)));
+}
+
+// ==================== SCHEMAS ====================
+
+// Upload properties shared by the REST upload body and upload_document
+const uploadMetadataProperties = {
+  tags: {
+    type: 'array',
+    items: { type: 'string', minLength: 1 },
+    description: 'Optional: tags for filtering, e.g. ["policy", "hr"]',
+  },
+  metadata: {
+    type: 'object',
+    description: 'Optional: arbitrary JSON metadata stored with the document',
+  },
+};
+
+// Filter / sort arguments shared by list_documents and search_documents
+const documentFilterProperties = {
+  tags: {
+    type: 'array',
+    items: { type: 'string', minLength: 1 },
+    description: 'Optional: only documents carrying all of these tags',
+  },
+  createdAfter: {
+    type: 'string',
+    minLength: 1,
+    description: 'Optional: only documents uploaded at or after this ISO 8601 date or date-time, e.g. "2025-01-31"',
+  },
+  createdBefore: {
+    type: 'string',
+    minLength: 1,
+    description: 'Optional: only documents uploaded before this ISO 8601 date or date-time',
+  },
+  minSize: {
+    type: 'integer',
+    minimum: 0,
+    description: 'Optional: minimum text size in bytes',
+  },
+  maxSize: {
+    type: 'integer',
+    minimum: 0,
+    description: 'Optional: maximum text size in bytes',
+  },
+  sortBy: {
+    type: 'string',
+    enum: SORT_FIELDS,
+    description: 'Optional: sort by upload time, size or title (default: upload order)',
+  },
+  order: {
+    type: 'string',
+    enum: ['asc', 'desc'],
+    description: 'Optional: sort direction (default: asc)',
+  },
+};
+
+// ==================== FILTERING ====================
+
+function parseDateFilter(name, value) {
+  if (value === undefined) return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${name} is not a valid ISO 8601 date: ${value}`);
+  }
+  return time;
+}
+
+function documentSize(doc) {
+  return doc.size !== undefined ? doc.size : Buffer.byteLength(doc.text || '', 'utf-8');
+}
+
+/**
+ * Apply documentFilterProperties arguments to a list of documents
+ * @param {Array<Object>} docs - Stored documents
+ * @param {Object} filters - { tags?, createdAfter?, createdBefore?, minSize?, maxSize?, sortBy?, order? }
+ * @returns {Array<Object>} Matching documents, sorted when sortBy is given
+ * @throws {Error} For dates that cannot be parsed
+ */
+function filterDocuments(docs, { tags, createdAfter, createdBefore, minSize, maxSize, sortBy, order = 'asc' } = {}) {
+  const requiredTags = normalizeTags(tags);
+  const after = parseDateFilter('createdAfter', createdAfter);
+  const before = parseDateFilter('createdBefore', createdBefore);
+
+  const matches = docs.filter((doc) => {
+    const docTags = doc.tags || [];
+    if (!requiredTags.every(tag => docTags.includes(tag))) return false;
+
+    const created = Date.parse(doc.createdAt);
+    if (after !== undefined && !(created >= after)) return false;
+    if (before !== undefined && !(created < before)) return false;
+
+    const size = documentSize(doc);
+    if (minSize !== undefined && size < minSize) return false;
+    if (maxSize !== undefined && size > maxSize) return false;
+    return true;
+  });
+
+  return sortDocuments(matches, { sortBy, order });
+}
+
+/**
+ * Sort documents (or results carrying createdAt / size / title) in place
+ * @param {Array<Object>} docs - Documents or search results
+ * @param {Object} options - { sortBy?, order? }; without sortBy the order is left alone
+ * @returns {Array<Object>} The same array
+ */
+function sortDocuments(docs, { sortBy, order = 'asc' } = {}) {
+  if (!sortBy) return docs;
+  const key = {
+    createdAt: doc => Date.parse(doc.createdAt) || 0,
+    size: documentSize,
+    title: doc => (doc.title || '').toLowerCase(),
+  }[sortBy];
+  const direction = order === 'desc' ? -1 : 1;
+  return docs.sort((a, b) => (key(a) < key(b) ? -direction : key(a) > key(b) ? direction : 0));
+}
+
+/**
+ * Metadata fields of a document as returned by the listing tools
+ * @param {Object} doc - Stored document
+ * @returns {{ tags: Array<string>, metadata: Object, createdAt: string|null, size: number, mimeType: string, filename: string|null }}
+ */
+function documentMetadata(doc) {
+  return {
+    tags: doc.tags || [],
+    metadata: doc.metadata || {},
+    createdAt: doc.createdAt || null,
+    size: documentSize(doc),
+    mimeType: doc.mimeType || detectMimeType({ title: doc.title }),
+    filename: doc.filename || null,
+  };
+}
+
+// JSON Schema for documentMetadata() output
+const documentMetadataSchema = {
+  tags: { type: 'array', items: { type: 'string' } },
+  metadata: { type: 'object' },
+  createdAt: { type: ['string', 'null'] },
+  size: { type: 'integer' },
+  mimeType: { type: 'string' },
+  filename: { type: ['string', 'null'] },
+};
+
+module.exports = {
+  mimeTypeForName,
+  detectMimeType,
+  normalizeTags,
+  uploadMetadataProperties,
+  documentFilterProperties,
+  documentMetadataSchema,
+  filterDocuments,
+  sortDocuments,
+  documentMetadata,
+};
@@ -0,0 +1,59 @@
+// DocumentStore
+// The interface every module uses to read and change sessions, documents and
+// query history, so the backing storage can be swapped without touching the
+// REST routes, MCP tools, resources, prompts or completions.
+//
+// Implementations:
+//   memory - memory-store.js, in-process Map (default, wiped on restart)
+//   file   - file-store.js, in-memory state backed by an append-only JSON journal
+//
+// Every method is async so a remote implementation (e.g. Cosmos DB or Blob
+// Storage) can be added later behind the same interface. Methods return copies:
+// changing a returned object does not change the store.
+//
+// Interface:
+//   createSession({ id?, createdAt? })          -> session
+//   getSession(sessionId)                       -> { id, createdAt, docs, history } | null
+//   listSessions()                              -> [{ id, createdAt, documentCount }]
+//   deleteSession(sessionId)                    -> boolean
+//   addDocument(sessionId, { id?, title, text, revisions? }, { author }?) -> document | null (no such session)
+//   getDocument(sessionId, docId)               -> document | null
+//   listDocuments(sessionId)                    -> [document] | null (no such session)
+//   updateDocument(sessionId, docId, changes, { author }?) -> document | null
+//   deleteDocument(sessionId, docId)            -> boolean
+//   appendHistory(sessionId, { query, response, docId? }) -> boolean
+//
+// Documents carry their revisions (see revisions.js): adding a document records
+// revision 1 and every update records the next one, with the author passed in.
+//
+// History stays consistent with the documents it refers to (by docId):
+// deleting a document removes its history entries, and changing a document's
+// text marks them stale: true.
+//
+// Changes to sessions and documents are announced on document-events.js.
+
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+
+const STORE_TYPES = ['memory', 'file'];
+
+/**
+ * Create the DocumentStore selected by configuration
+ * @param {Object} [options]
+ * @param {string} [options.type='memory'] - 'memory' or 'file'
+ * @param {string} [options.dir] - Data directory for the file store
+ * @returns {Object} DocumentStore
+ */
+function createDocumentStore({ type = 'memory', dir = path.join(__dirname, 'data') } = {}) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ dir });
+    default:
+      throw new Error(`Unknown DOCUMENT_STORE "${type}" (expected one of: ${STORE_TYPES.join(', ')})`);
+  }
+}
+
+module.exports = { createDocumentStore, STORE_TYPES };
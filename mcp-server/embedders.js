@@ -0,0 +1,142 @@
+// Text embedders
+// An embedder turns texts into vectors for the semantic index (vector-index.js):
+//   { name, embed(texts, { signal }?) -> Promise<Array<Array<number>>> }
+// one vector per text, in order. Vectors are compared by cosine similarity, so
+// only their direction matters.
+//
+// Two are built in, chosen with EMBEDDER:
+//   azure-openai - an Azure OpenAI embeddings deployment (EMBEDDING_ENDPOINT),
+//                  called with the web app's managed identity (see auth.js)
+//   local        - deterministic feature hashing of words and word trigrams; no
+//                  network, same vectors every run. Good for offline tests and
+//                  demos; it only matches shared words, not paraphrases
+// Without EMBEDDER, azure-openai is used when EMBEDDING_ENDPOINT is set.
+
+const fetch = require('node-fetch');
+const { getAuthHeaders } = require('./auth');
+const { tokenize } = require('./tokenizer');
+
+const EMBEDDER_TYPES = ['azure-openai', 'local'];
+
+// Texts per embeddings request (Azure OpenAI accepts up to 2048 inputs, but
+// large batches of long chunks run into the request token limit)
+const AZURE_BATCH_SIZE = 16;
+
+const LOCAL_DIMENSIONS = 256;
+
+/**
+ * Azure OpenAI embeddings deployment
+ * @param {Object} options
+ * @param {string} options.endpoint - Full embeddings URL, e.g.
+ *   https://<resource>.openai.azure.com/openai/deployments/<deployment>/embeddings?api-version=2024-02-01
+ * @returns {Object} Embedder
+ */
+function createAzureOpenAIEmbedder({ endpoint }) {
+  if (!endpoint) {
+    throw new Error('EMBEDDING_ENDPOINT must be set for the azure-openai embedder');
+  }
+
+  async function embedBatch(texts, signal) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...await getAuthHeaders(),
+      },
+      body: JSON.stringify({ input: texts }),
+      signal,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Embedding request failed: HTTP ${response.status}: ${data?.error?.message || 'Unknown error'}`);
+    }
+    return data.data
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  return {
+    name: 'azure-openai',
+    async embed(texts, { signal } = {}) {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += AZURE_BATCH_SIZE) {
+        vectors.push(...await embedBatch(texts.slice(i, i + AZURE_BATCH_SIZE), signal));
+      }
+      return vectors;
+    },
+  };
+}
+
+// 32-bit FNV-1a
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function localVector(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const add = (feature, weight) => {
+    const hash = hashString(feature);
+    // Low bits pick the dimension, the top bit the sign (keeps unrelated features from adding up)
+    vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+  };
+
+  for (const { term } of tokenize(text)) {
+    add(`w:${term}`, 1);
+    // Trigrams let related word forms ("connect" / "connections") share features
+    const padded = `^${term}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`t:${padded.slice(i, i + 3)}`, 0.5);
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Deterministic local embedder (feature hashing)
+ * @param {Object} [options]
+ * @param {number} [options.dimensions=256] - Vector length
+ * @returns {Object} Embedder
+ */
+function createLocalEmbedder({ dimensions = LOCAL_DIMENSIONS } = {}) {
+  return {
+    name: 'local',
+    async embed(texts) {
+      return texts.map(text => localVector(text, dimensions));
+    },
+  };
+}
+
+/**
+ * Create the embedder selected by EMBEDDER / EMBEDDING_ENDPOINT
+ * @param {Object} [options]
+ * @param {string} [options.type] - 'azure-openai' | 'local'
+ * @param {string} [options.endpoint] - Embeddings URL for azure-openai
+ * @returns {Object} Embedder
+ */
+function createEmbedder({
+  type = process.env.EMBEDDER,
+  endpoint = process.env.EMBEDDING_ENDPOINT,
+} = {}) {
+  const selected = type || (endpoint ? 'azure-openai' : 'local');
+  switch (selected) {
+    case 'azure-openai':
+      return createAzureOpenAIEmbedder({ endpoint });
+    case 'local':
+      return createLocalEmbedder();
+    default:
+      throw new Error(`Unknown embedder "${selected}" (expected one of: ${EMBEDDER_TYPES.join(', ')})`);
+  }
+}
+
+module.exports = {
+  EMBEDDER_TYPES,
+  createEmbedder,
+  createAzureOpenAIEmbedder,
+  createLocalEmbedder,
+};
@@ -0,0 +1,302 @@
+// Durable local DocumentStore
+// Wraps the in-memory store and records every change as one JSON line in an
+// append-only journal (<dir>/store.jsonl). On startup the journal is replayed
+// to rebuild the sessions and then compacted, so it only ever holds the
+// operations needed to recreate the current state plus what happened since.
+//
+// Several processes can share a directory, e.g. the HTTP gateway and the stdio
+// servers desktop clients start (stdio.js):
+//   - changes are made under a lock file (<dir>/store.lock), after reading the
+//     lines other processes appended, so every check sees the latest state
+//   - reads catch up on those lines first, and the journal is polled every
+//     DOCUMENT_STORE_POLL_MS so the search indexes and resource notifications
+//     follow the other processes' changes (they are announced on document-events.js
+//     like local ones)
+//   - a journal another process compacted is reloaded whole
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore, applyOperation, operationChange } = require('./memory-store');
+const { emitDocumentChange } = require('./document-events');
+
+const JOURNAL_FILE = 'store.jsonl';
+const LOCK_FILE = 'store.lock';
+
+// How often the journal is checked for changes made by other processes
+const POLL_INTERVAL_MS = parseInt(process.env.DOCUMENT_STORE_POLL_MS || '1000', 10);
+// Wait between attempts to take the lock, and how long to wait in all
+const LOCK_RETRY_MS = 10;
+const LOCK_TIMEOUT_MS = 10000;
+
+// Operations that change the store (run under the lock)
+const CHANGE_METHODS = ['createSession', 'deleteSession', 'addDocument', 'updateDocument', 'deleteDocument', 'appendHistory'];
+
+/**
+ * Read the operations in the complete lines of a journal from a byte offset
+ * A line still being written (no newline yet) is left for the next read;
+ * unreadable lines are skipped with a warning.
+ * @param {number} fd - Open journal
+ * @param {number} start - Byte offset to read from
+ * @param {number} end - Journal size
+ * @returns {{ ops: Array<Object>, end: number }} end: offset after the last complete line
+ */
+function readOperations(fd, start, end) {
+  const buffer = Buffer.alloc(end - start);
+  fs.readSync(fd, buffer, 0, buffer.length, start);
+  const complete = buffer.lastIndexOf(0x0a) + 1;
+
+  const ops = [];
+  for (const line of buffer.toString('utf8', 0, complete).split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      ops.push(JSON.parse(line));
+    } catch (error) {
+      console.warn(`⚠️ Skipping unreadable store journal line: ${error.message}`);
+    }
+  }
+  return { ops, end: start + complete };
+}
+
+function applyOperations(sessions, ops, onChange = () => {}) {
+  for (const op of ops) {
+    try {
+      const change = operationChange(sessions, op);
+      applyOperation(sessions, op);
+      if (change) onChange(change);
+    } catch (error) {
+      console.warn(`⚠️ Skipping store journal operation: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Changes that turn one state into another, for a journal reloaded whole
+ * @param {Map<string, Object>} before - Previous sessions
+ * @param {Map<string, Object>} after - Reloaded sessions
+ * @returns {Array<Object>} Changes as announced on document-events.js
+ */
+function stateChanges(before, after) {
+  const changes = [];
+  for (const [sessionId, session] of before) {
+    if (!after.has(sessionId)) changes.push({ type: 'session-deleted', sessionId, docIds: session.docs.map(d => d.id) });
+  }
+  for (const [sessionId, session] of after) {
+    const previous = before.get(sessionId);
+    if (!previous) changes.push({ type: 'session-created', sessionId });
+    const previousDocs = new Map((previous ? previous.docs : []).map(doc => [doc.id, doc]));
+    for (const doc of session.docs) {
+      const old = previousDocs.get(doc.id);
+      if (!old) {
+        changes.push({ type: 'document-added', sessionId, docId: doc.id });
+      } else if (old.revision !== doc.revision) {
+        changes.push({ type: 'document-updated', sessionId, docId: doc.id, renamed: old.title !== doc.title });
+      }
+      previousDocs.delete(doc.id);
+    }
+    for (const docId of previousDocs.keys()) changes.push({ type: 'document-deleted', sessionId, docId });
+  }
+  return changes;
+}
+
+/**
+ * Rewrite the journal as the minimal operations for the current state
+ * Written to a temp file and renamed so a crash never leaves a half-written journal.
+ * @param {string} journalPath - Path to the journal
+ * @param {Map<string, Object>} sessions - Current state
+ */
+function compactJournal(journalPath, sessions) {
+  const lines = [];
+  for (const session of sessions.values()) {
+    lines.push({ type: 'createSession', session: { id: session.id, createdAt: session.createdAt } });
+    for (const doc of session.docs) {
+      lines.push({ type: 'addDocument', sessionId: session.id, doc });
+    }
+    for (const entry of session.history) {
+      lines.push({ type: 'appendHistory', sessionId: session.id, entry });
+    }
+  }
+
+  const tempPath = `${journalPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, lines.map(op => JSON.stringify(op) + '\n').join(''));
+  fs.renameSync(tempPath, journalPath);
+}
+
+// ==================== LOCK ====================
+
+function processExists(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Take the lock file if it is free (or left behind by a process that died)
+ * @param {string} lockPath - Path to the lock file
+ * @returns {boolean} Whether this process now holds the lock
+ */
+function tryLock(lockPath) {
+  try {
+    fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  let owner;
+  try {
+    owner = parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+  } catch (error) {
+    if (error.code === 'ENOENT') return false; // Released meanwhile: try again
+    throw error;
+  }
+  // An empty lock file is being written by its owner right now
+  if (!owner || processExists(owner)) return false;
+
+  console.warn(`⚠️ Removing store lock left by process ${owner}`);
+  fs.rmSync(lockPath, { force: true });
+  return false;
+}
+
+function lockTimeout(lockPath) {
+  return new Error(`Timed out after ${LOCK_TIMEOUT_MS} ms waiting for the document store lock ${lockPath}`);
+}
+
+async function acquireLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  while (!tryLock(lockPath)) {
+    if (Date.now() > deadline) throw lockTimeout(lockPath);
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+// Startup runs before anything else can happen, so it may block
+function acquireLockSync(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  const sleeper = new Int32Array(new SharedArrayBuffer(4));
+  while (!tryLock(lockPath)) {
+    if (Date.now() > deadline) throw lockTimeout(lockPath);
+    Atomics.wait(sleeper, 0, 0, LOCK_RETRY_MS);
+  }
+}
+
+function releaseLock(lockPath) {
+  fs.rmSync(lockPath, { force: true });
+}
+
+// ==================== STORE ====================
+
+/**
+ * Create a DocumentStore persisted under a local directory (see document-store.js)
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the journal (created if missing)
+ * @returns {Object} DocumentStore
+ */
+function createFileStore({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const journalPath = path.join(dir, JOURNAL_FILE);
+  const lockPath = path.join(dir, LOCK_FILE);
+
+  const sessions = new Map();
+  let journal = { ino: null, offset: 0 }; // The journal file read so far, and up to which byte
+
+  /**
+   * Apply what other processes appended to the journal since the last read
+   * @param {Object} [options]
+   * @param {boolean} [options.announce=true] - Emit their changes on document-events.js
+   */
+  function catchUp({ announce = true } = {}) {
+    let fd;
+    try {
+      fd = fs.openSync(journalPath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    try {
+      const { ino, size } = fs.fstatSync(fd);
+      if (ino !== journal.ino || size < journal.offset) {
+        // Compacted by another process: same state plus anything since, so reload it whole
+        const reloaded = new Map();
+        const { ops, end } = readOperations(fd, 0, size);
+        applyOperations(reloaded, ops);
+        const changes = announce ? stateChanges(sessions, reloaded) : [];
+        sessions.clear();
+        for (const [id, session] of reloaded) sessions.set(id, session);
+        changes.forEach(emitDocumentChange);
+        journal = { ino, offset: end };
+      } else if (size > journal.offset) {
+        const { ops, end } = readOperations(fd, journal.offset, size);
+        applyOperations(sessions, ops, announce ? emitDocumentChange : undefined);
+        journal.offset = end;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Called under the lock, after catchUp(), so this process writes the next line
+  function appendOperation(op) {
+    const { size } = fs.statSync(journalPath);
+    // A line left unfinished by a process that died mid-write is ended, not continued
+    const line = (size > journal.offset ? '\n' : '') + JSON.stringify(op) + '\n';
+    fs.appendFileSync(journalPath, line);
+    journal.offset = size + Buffer.byteLength(line);
+  }
+
+  acquireLockSync(lockPath);
+  try {
+    catchUp({ announce: false });
+    compactJournal(journalPath, sessions);
+    const { ino, size } = fs.statSync(journalPath);
+    journal = { ino, offset: size };
+  } finally {
+    releaseLock(lockPath);
+  }
+  console.log(`💾 Loaded ${sessions.size} session(s) from ${journalPath}`);
+
+  // Changes run one at a time in this process, and under the lock across processes
+  let pendingChange = Promise.resolve();
+  function exclusive(change) {
+    const run = pendingChange.catch(() => {}).then(async () => {
+      await acquireLock(lockPath);
+      try {
+        catchUp();
+        return await change();
+      } finally {
+        releaseLock(lockPath);
+      }
+    });
+    pendingChange = run;
+    return run;
+  }
+
+  const memoryStore = createMemoryStore({ initialSessions: sessions, onOperation: async op => appendOperation(op) });
+  const store = { kind: 'file' };
+  for (const [name, method] of Object.entries(memoryStore)) {
+    if (typeof method !== 'function') continue;
+    store[name] = CHANGE_METHODS.includes(name)
+      ? (...args) => exclusive(() => method(...args))
+      : async (...args) => {
+        catchUp();
+        return method(...args);
+      };
+  }
+
+  if (POLL_INTERVAL_MS > 0) {
+    fs.watchFile(journalPath, { interval: POLL_INTERVAL_MS, persistent: false }, () => {
+      try {
+        catchUp();
+      } catch (error) {
+        console.error(`❌ Reading the store journal failed: ${error.message}`);
+      }
+    });
+  }
+
+  return store;
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,76 @@
+// Azure AI Foundry chat completions client
+// Calls the FOUNDRY_ENDPOINT deployment with the web app's managed identity (see auth.js).
+// Accepts an AbortSignal so callers can stop the request when the client goes away
+// or an MCP request is cancelled.
+
+const fetch = require('node-fetch');
+const { getAuthHeaders } = require('./auth');
+
+/**
+ * Send a chat completion request to Azure AI Foundry
+ * @param {Array<Object>} messages - Chat messages ({ role, content })
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens=300] - Completion token limit
+ * @param {AbortSignal} [options.signal] - Aborts the outgoing request
+ * @param {Function} [options.log] - MCP client logger (see mcp-logging.js) for MCP-initiated calls
+ * @returns {Promise<string>} Assistant message (or the service's error message)
+ */
+async function createChatCompletion(messages, { maxTokens = 300, signal, log = () => {} } = {}) {
+  const endpoint = process.env.FOUNDRY_ENDPOINT;
+
+  console.log("🔹 Sending request to Azure GPT-4o-mini...");
+  console.log("Endpoint:", endpoint);
+  log('info', { message: 'Calling Azure AI Foundry chat completions', maxTokens }, 'foundry');
+
+  let authHeaders;
+  try {
+    authHeaders = await getAuthHeaders();
+  } catch (error) {
+    log('error', `Managed identity authentication failed: ${error.message}`, 'foundry');
+    throw error;
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...authHeaders
+  };
+
+  const body = {
+    messages,
+    max_tokens: maxTokens
+  };
+
+  console.log("Request body:", JSON.stringify(body, null, 2));
+
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    log('error', `Foundry request failed: ${error.message}`, 'foundry');
+    throw error;
+  }
+
+  const data = await response.json();
+
+  console.log("🔹 Raw Azure response:");
+  console.log(JSON.stringify(data, null, 2));
+  log(response.ok ? 'debug' : 'error', {
+    message: `Foundry responded with HTTP ${response.status}`,
+    durationMs: Date.now() - startedAt,
+    usage: data?.usage,
+    error: data?.error?.message,
+  }, 'foundry');
+
+  return data?.choices?.[0]?.message?.content ||
+         data?.choices?.[0]?.content ||
+         data?.error?.message ||
+         "No response from model";
+}
+
+module.exports = { createChatCompletion };
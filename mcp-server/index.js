@@ -52,12 +52,34 @@
 // require('dotenv').config();
 
 const express = require('express');
-const fetch = require('node-fetch');
 const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
 const { createMCPServer } = require('./mcp-handler');
+const { changedResourceUris, changesResourceList } = require('./resources');
+const { onDocumentChange } = require('./document-events');
+const { isQuotaError } = require('./session-limits');
+const { INVALID_CSV } = require('./csv-table');
+const { documentRevisions, currentRevisionNumber, findRevision, revisionSummary } = require('./revisions');
+const { SESSION_EXISTS, INVALID_BUNDLE, bundleSchema, exportSession, importSession } = require('./session-bundles');
+const { detectMimeType, uploadMetadataProperties, documentFilterProperties } = require('./document-metadata');
+const { INVALID_SEARCH, searchOptionProperties, getSearchIndex } = require('./search-index');
+const { summaryPrompt, questionPrompt } = require('./prompts');
+const { createDispatcher } = require('./mcp-dispatcher');
+const {
+  SSE_RECONNECT_GRACE_MS,
+  createSSEConnection,
+  hasLiveStream,
+  sendSSEMessage,
+  canReplayFrom,
+  replayMissedEvents,
+  parseLastEventId,
+} = require('./sse-connections');
+const { processBody, errorResponse } = require('./jsonrpc');
+const { validateBody, validateAgainstSchema } = require('./validation');
 const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
-const { getAuthHeaders, makeAuthenticatedRequest } = require('./auth');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { createChatCompletion } = require('./foundry');
 // ...existing code...
 
 const app = express();
@@ -84,9 +106,12 @@ const upload = multer({
 app.use(express.static('public'));
 
 
+// Session bundles carry whole sessions, so POST /session/import gets a larger body limit
+// (body-parser skips bodies that are already parsed, so the default parser leaves these alone)
+app.use('/session/import', express.json({ limit: process.env.SESSION_IMPORT_MAX_BODY || '100mb' }));
 app.use(express.json());
 
-const sessions = {}; // In-memory store (for demo)
+const store = require('./store'); // DocumentStore selected by DOCUMENT_STORE (see document-store.js)
 
 // Health / landing page
 app.get('/', (_, res) => {
@@ -100,7 +125,30 @@ app.get('/healthz', (_, res) => res.json({ status: 'ok' }));
 // Store active MCP server connections
 const mcpConnections = new Map();
 
+// Remove a logical connection for good once its reconnect grace period is over
+function closeMCPConnection(connectionId) {
+  const connection = mcpConnections.get(connectionId);
+  if (!connection) return;
+  
+  clearTimeout(connection.expiryTimer);
+  connection.stopListening();
+  // A stream still attached (a client resuming too late) ends with the connection
+  if (hasLiveStream(connection)) {
+    const { res } = connection;
+    connection.res = null;
+    res.end();
+  }
+  // Nobody is left to receive the results of in-flight requests
+  connection.inFlightRequests.forEach(controller => controller.abort('SSE connection closed'));
+  mcpConnections.delete(connectionId);
+  console.log(`🗑️ MCP connection expired (connection: ${connectionId}), Total connections: ${mcpConnections.size}`);
+}
+
 // SSE endpoint for Model Context Protocol
+// A client reconnecting with Last-Event-ID gets its previous connection back
+// (same /mcp/message endpoint) and the events it missed are replayed. When some
+// of them are no longer in the replay buffer it gets a new connection instead,
+// whose requests fail until it sends initialize again, so it resyncs.
 app.get('/mcp/sse', async (req, res) => {
   console.log('🔌 MCP SSE connection initiated');
   
@@ -110,8 +158,17 @@ app.get('/mcp/sse', async (req, res) => {
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
   
-  // Generate unique connection ID
-  const connectionId = uuidv4();
+  const lastEventId = parseLastEventId(req.headers['last-event-id']);
+  let connection = lastEventId && mcpConnections.get(lastEventId.connectionId);
+  
+  if (lastEventId && !connection) {
+    console.warn(`⚠️ Cannot resume MCP connection ${lastEventId.connectionId} (expired or unknown), starting a new one`);
+  } else if (connection && !canReplayFrom(connection, lastEventId.seq)) {
+    console.warn(`⚠️ Cannot resume MCP connection ${connection.id}: events after #${lastEventId.seq} are no longer buffered, starting a new one`);
+    closeMCPConnection(connection.id);
+    connection = null;
+  }
+  const resumed = Boolean(connection);
   
   // Send a keep-alive comment every 30 seconds
   const keepAliveInterval = setInterval(() => {
@@ -123,33 +180,68 @@ app.get('/mcp/sse', async (req, res) => {
   }, 30000);
   
   try {
+    if (resumed) {
+      clearTimeout(connection.expiryTimer);
+      connection.expiryTimer = null;
+      // A stale stream that has not noticed it was dropped is replaced
+      if (connection.res && !connection.res.writableEnded) connection.res.end();
+    } else {
+      // Store the connection; messages are dispatched manually in the POST endpoint
+      connection = createSSEConnection(uuidv4());
+      mcpConnections.set(connection.id, connection);
+      
+      // Push resource notifications for document changes from REST or MCP tools
+      connection.stopListening = onDocumentChange((change) => {
+        for (const uri of changedResourceUris(change)) {
+          if (connection.subscriptions.has(uri)) {
+            connection.send({ jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } });
+          }
+        }
+        if (changesResourceList(change)) {
+          connection.send({ jsonrpc: '2.0', method: 'notifications/resources/list_changed' });
+        }
+      });
+    }
+    
+    const connectionId = connection.id;
+    connection.res = res;
+    
     // Send the endpoint event with our connection ID
     const endpoint = `/mcp/message?sessionId=${connectionId}`;
     res.write(`event: endpoint\ndata: ${endpoint}\n\n`);
     console.log(`📤 Sent endpoint event: ${endpoint}`);
     
-    // Create MCP server (but DON'T create transport or connect yet)
-    // We'll handle messages manually in the POST endpoint
-    const mcpServer = createMCPServer(sessions);
+    if (resumed) {
+      const replayed = replayMissedEvents(connection, lastEventId.seq);
+      console.log(`🔁 MCP connection resumed (connection: ${connectionId}), replayed ${replayed} event(s) after #${lastEventId.seq}`);
+    } else {
+      console.log(`🔵 STORED connection: ${connectionId}, Total connections: ${mcpConnections.size}`);
+      console.log(`🔵 All connection IDs: ${Array.from(mcpConnections.keys()).join(', ')}`);
+      console.log(`✅ MCP connection ready (connection: ${connectionId})`);
+    }
     
-    // Store the connection with res for sending SSE messages
-    // Don't include transport since we're not using it
-    mcpConnections.set(connectionId, { server: mcpServer, res });
-    console.log(`🔵 STORED connection: ${connectionId}, Total connections: ${mcpConnections.size}`);
-    console.log(`🔵 All connection IDs: ${Array.from(mcpConnections.keys()).join(', ')}`);
-    console.log(`✅ MCP connection ready (connection: ${connectionId})`);
+    // The stream dropping does not end the logical connection: keep it for a
+    // grace period so the client can reconnect with Last-Event-ID
+    let detached = false;
+    const detach = () => {
+      if (detached) return;
+      detached = true;
+      clearInterval(keepAliveInterval);
+      if (connection.res !== res) return; // Already replaced by a reconnect
+      connection.res = null;
+      connection.expiryTimer = setTimeout(() => closeMCPConnection(connectionId), SSE_RECONNECT_GRACE_MS);
+      console.log(`⏳ Keeping MCP connection ${connectionId} for ${SSE_RECONNECT_GRACE_MS}ms awaiting reconnect`);
+    };
     
     // Handle connection close
     res.on('close', () => {
       console.log(`🔌 MCP SSE connection closed (connection: ${connectionId})`);
-      clearInterval(keepAliveInterval);
-      mcpConnections.delete(connectionId);
+      detach();
     });
     
     res.on('error', (error) => {
       console.error('❌ MCP SSE connection error:', error);
-      clearInterval(keepAliveInterval);
-      mcpConnections.delete(connectionId);
+      detach();
     });
     
   } catch (error) {
@@ -161,15 +253,19 @@ app.get('/mcp/sse', async (req, res) => {
   }
 });
 
+// JSON-RPC dispatcher for legacy connections (initialize, ping, tools, resources, prompts)
+const mcpDispatcher = createDispatcher(store);
+
 app.post('/mcp/message', async (req, res) => {
   const connectionId = req.query.sessionId;
   const acceptHeader = req.headers.accept || '';
+  const isBatchBody = Array.isArray(req.body);
   
   const debugInfo = {
     requestedId: connectionId,
     totalConnections: mcpConnections.size,
     availableIds: Array.from(mcpConnections.keys()),
-    message: req.body.method,
+    message: isBatchBody ? req.body.map(m => m && m.method) : req.body.method,
     accept: acceptHeader,
     allHeaders: req.headers  // Log ALL headers
   };
@@ -189,389 +285,521 @@ app.post('/mcp/message', async (req, res) => {
         message: 'Connection not found',
         debug: debugInfo // Include debug info in error response
       },
-      id: req.body.id
+      id: isBatchBody ? null : (req.body.id === undefined ? null : req.body.id)
     });
   }
   
-  // Check if client accepts SSE (for tools/call responses per MCP spec)
+  // Check if client accepts SSE (responses are then only delivered on the stream)
   const wantsSSE = acceptHeader.includes('text/event-stream');
   
   try {
-    const message = req.body;
+    const { isBatch, responses } = await processBody(req.body, (message) => mcpDispatcher.handleMessage(connection, message));
     
-    // Handle JSON-RPC messages manually
-    if (message.method === 'initialize') {
-      const response = {
-        jsonrpc: '2.0',
-        result: {
-          protocolVersion: '2024-11-05',
-          capabilities: { tools: {}, resources: {} },
-          serverInfo: { name: 'ai-foundry-mcp-gateway', version: '1.0.0' },
-        },
-        id: message.id,
-      };
-      
-      // For initialize, send via SSE on the long-lived connection AND return JSON
-      connection.res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
-      console.log('✅ Sent initialization response via SSE');
-      
-      // Also return as JSON if client wants it
-      if (wantsSSE) {
-        return res.status(202).send(); // Accepted, response sent via SSE
-      } else {
-        return res.json(response);
-      }
+    // Only notifications (or client responses) in the body: nothing to answer
+    if (responses.length === 0) {
+      return res.status(202).send();
     }
     
-    if (message.method === 'tools/list') {
-      // Import tool handlers from mcp-handler
-      const { createMCPServer } = require('./mcp-handler');
-      const tempServer = createMCPServer(sessions);
-      
-      // Get tool definitions
-      const tools = [
-        {
-          name: 'create_session',
-          description: 'Create a new document session',
-          inputSchema: {
-            type: 'object',
-            properties: {},
-            required: [],
-          },
-        },
-        {
-          name: 'list_documents',
-          description: 'List all documents in a session',
-          inputSchema: {
-            type: 'object',
-            properties: { sessionId: { type: 'string' } },
-            required: ['sessionId'],
-          },
-        },
-        {
-          name: 'get_document',
-          description: 'Get document content',
-          inputSchema: {
-            type: 'object',
-            properties: { sessionId: { type: 'string' }, docId: { type: 'string' } },
-            required: ['sessionId', 'docId'],
-          },
-        },
-        {
-          name: 'search_documents',
-          description: 'Search documents',
-          inputSchema: {
-            type: 'object',
-            properties: { query: { type: 'string' }, sessionId: { type: 'string' } },
-            required: ['query'],
-          },
-        },
-        {
-          name: 'upload_document',
-          description: 'Upload document',
-          inputSchema: {
-            type: 'object',
-            properties: { sessionId: { type: 'string' }, title: { type: 'string' }, text: { type: 'string' } },
-            required: ['sessionId', 'title', 'text'],
-          },
-        },
-      ];
-      
-      const response = {
-        jsonrpc: '2.0',
-        result: { tools },
-        id: message.id,
-      };
-      
-      // For tools/list, send via SSE on the long-lived connection AND return JSON
-      connection.res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
-      console.log('✅ Sent tools list via SSE');
-      
-      // Also return as JSON if client wants it
-      if (wantsSSE) {
-        return res.status(202).send(); // Accepted, response sent via SSE
-      } else {
-        return res.json(response);
-      }
-    }
+    const payload = isBatch ? responses : responses[0];
     
-    if (message.method === 'tools/call') {
-      const { name, arguments: args } = message.params;
-      console.log(`🔧 Executing tool: ${name}`);
-      console.log(`🔧 Message ID from agent: ${message.id}`);
-      console.log(`🔧 Tool arguments:`, JSON.stringify(args, null, 2));
-      console.log(`🔧 Available sessions:`, Object.keys(sessions));
-      console.log(`🔧 Client wants SSE:`, wantsSSE);
-      
-      let result;
-      try {
-        // Execute tool directly
-        switch (name) {
-          case 'create_session': {
-            const sid = uuidv4();
-            sessions[sid] = { docs: [], history: [] };
-            console.log(`✅ New session created via MCP: ${sid}`);
-            result = {
-              content: [{
-                type: 'text',
-                text: JSON.stringify({ sessionId: sid, message: 'Session created successfully' }, null, 2),
-              }],
-              isError: false
-            };
-            break;
-          }
-          case 'list_documents': {
-            const session = sessions[args.sessionId];
-            if (!session) throw new Error(`Session not found: ${args.sessionId}`);
-            result = {
-              content: [{
-                type: 'text',
-                text: JSON.stringify({
-                  sessionId: args.sessionId,
-                  documentCount: session.docs.length,
-                  documents: session.docs.map(d => ({ id: d.id, title: d.title, textLength: d.text.length })),
-                }, null, 2),
-              }],
-              isError: false
-            };
-            break;
-          }
-          case 'get_document': {
-            const session = sessions[args.sessionId];
-            if (!session) {
-              console.error(`❌ Session not found: ${args.sessionId}`);
-              console.error(`   Available sessions:`, Object.keys(sessions));
-              throw new Error(`Session not found: ${args.sessionId}`);
-            }
-            console.log(`📄 Session found, has ${session.docs.length} documents`);
-            const doc = session.docs.find(d => d.id === args.docId);
-            if (!doc) {
-              console.error(`❌ Document not found: ${args.docId}`);
-              console.error(`   Available docs:`, session.docs.map(d => d.id));
-              throw new Error(`Document not found: ${args.docId}`);
-            }
-            console.log(`✅ Document found: ${doc.title}`);
-            result = {
-              content: [{
-                type: 'text',
-                text: JSON.stringify({ id: doc.id, title: doc.title, text: doc.text }, null, 2),
-              }],
-              isError: false
-            };
-            break;
-          }
-          case 'search_documents': {
-            const results = [];
-            const searchLower = args.query.toLowerCase();
-            const sessionsToSearch = args.sessionId ? { [args.sessionId]: sessions[args.sessionId] } : sessions;
-            for (const [sid, session] of Object.entries(sessionsToSearch)) {
-              if (!session) continue;
-              for (const doc of session.docs) {
-                if (doc.text.toLowerCase().includes(searchLower) || doc.title.toLowerCase().includes(searchLower)) {
-                  const index = doc.text.toLowerCase().indexOf(searchLower);
-                  results.push({ sessionId: sid, docId: doc.id, title: doc.title, snippet: `...${doc.text.substring(Math.max(0, index - 50), Math.min(doc.text.length, index + 50))}...` });
-                }
-              }
-            }
-            result = { content: [{ type: 'text', text: JSON.stringify({ query: args.query, resultCount: results.length, results }, null, 2) }], isError: false };
-            break;
-          }
-          case 'upload_document': {
-            const session = sessions[args.sessionId];
-            if (!session) throw new Error(`Session not found`);
-            const docId = uuidv4();
-            session.docs.push({ id: docId, title: args.title, text: args.text });
-            result = { content: [{ type: 'text', text: JSON.stringify({ success: true, docId, title: args.title, sessionId: args.sessionId }, null, 2) }], isError: false };
-            break;
-          }
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-        
-        const response = { jsonrpc: '2.0', result, id: message.id };
-        
-        // CRITICAL FIX: Always send response back through the ORIGINAL SSE connection
-        // The agent is listening on the long-lived SSE stream for tool responses
-        console.log(`✅ Tool ${name} executed, sending response via original SSE connection`);
-        console.log(`📤 Response being sent to agent:`);
-        console.log(`   jsonrpc: ${response.jsonrpc}`);
-        console.log(`   id: ${response.id}`);
-        console.log(`   result.isError: ${result.isError}`);
-        console.log(`   result.content[0].type: ${result.content[0].type}`);
-        console.log(`   result.content[0].text length: ${result.content[0].text.length}`);
-        console.log(`📤 Full response:`, JSON.stringify(response, null, 2));
-        
-        const sseConnection = mcpConnections.get(connectionId);
-        if (sseConnection && sseConnection.res && !sseConnection.res.writableEnded) {
-          try {
-            sseConnection.res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
-            console.log(`✅ Response sent via SSE connection ${connectionId}`);
-            // Send 200 OK to close the POST request
-            return res.status(200).json({ acknowledged: true });
-          } catch (sseError) {
-            console.error(`❌ Failed to send response via SSE: ${sseError.message}`);
-            // Fallback to POST response if SSE write fails
-            return res.json(response);
-          }
-        } else {
-          console.warn(`⚠️ SSE connection ${connectionId} not available or closed, falling back to POST response`);
-          console.log(`   Available connections: ${Array.from(mcpConnections.keys()).join(', ')}`);
-          return res.json(response);
-        }
-        
-      } catch (toolError) {
-        // Per MCP spec: Tool execution errors should be returned as results with isError: true
-        const errorResult = {
-          content: [{
-            type: 'text',
-            text: `Tool execution failed: ${toolError.message}`
-          }],
-          isError: true
-        };
-        const errorResponse = { jsonrpc: '2.0', result: errorResult, id: message.id };
-        
-        if (wantsSSE) {
-          res.setHeader('Content-Type', 'text/event-stream');
-          res.setHeader('Cache-Control', 'no-cache');
-          res.setHeader('Connection', 'keep-alive');
-          res.write(`event: message\ndata: ${JSON.stringify(errorResponse)}\n\n`);
-          console.log(`❌ Tool ${name} error sent via SSE, closing stream`);
-          res.end();
-        } else {
-          console.log(`❌ Tool ${name} error, returning JSON response`);
-          return res.json(errorResponse);
-        }
-      }
-      return; // Exit after handling tools/call
+    // Always send responses back through the ORIGINAL SSE connection:
+    // the agent is listening on the long-lived SSE stream for them.
+    // Without a stream they go in the POST body only (not buffered for replay)
+    if (!sendSSEMessage(connection, payload, { bufferUndelivered: false })) {
+      console.warn(`⚠️ SSE connection ${connectionId} not available or closed, falling back to POST response`);
+      return res.json(payload);
     }
-    
-    // Method not found
-    const errorResponse = { jsonrpc: '2.0', error: { code: -32601, message: `Method not found: ${message.method}` }, id: message.id };
+    console.log(`✅ Sent ${isBatch ? `batch of ${responses.length} responses` : `response to ${req.body.method}`} via SSE connection ${connectionId}`);
     
     if (wantsSSE) {
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-      res.write(`event: message\ndata: ${JSON.stringify(errorResponse)}\n\n`);
-      res.end();
-    } else {
-      connection.res.write(`event: message\ndata: ${JSON.stringify(errorResponse)}\n\n`);
-      return res.json({ received: true });
+      return res.status(202).send(); // Accepted, response sent via SSE
+    }
+    
+    // Foundry agents read tool results from the SSE stream only; just acknowledge the POST
+    if (!isBatch && req.body.method === 'tools/call') {
+      return res.status(200).json({ acknowledged: true });
     }
     
+    // Also return as JSON for clients that read the POST response
+    return res.json(payload);
+    
   } catch (error) {
     console.error('❌ Error handling MCP message:', error);
-    res.status(500).json({ jsonrpc: '2.0', error: { code: -32603, message: error.message }, id: req.body.id });
+    res.status(500).json(errorResponse(null, ErrorCode.InternalError, error.message));
   }
 });
 // ==================== END MCP ENDPOINT ====================
 
+// ==================== MCP STREAMABLE HTTP ENDPOINT ====================
+// Single-endpoint transport for newer MCP clients (spec 2025-03-26+).
+// POST carries client messages (the SDK answers with JSON or upgrades to SSE),
+// GET opens the stream for server-initiated messages and DELETE ends the session.
+// The legacy /mcp/sse + /mcp/message pair above stays for existing Foundry agents.
+
+// Active Streamable HTTP sessions keyed by Mcp-Session-Id: { transport, lastActivity, openStreams }
+const streamableTransports = new Map();
+
+// Sessions without requests or an open GET stream for this long are closed, so
+// clients that disconnect without DELETE don't leave their server behind (0 disables)
+const STREAMABLE_IDLE_TIMEOUT_MS = parseInt(process.env.MCP_STREAMABLE_IDLE_TIMEOUT_MS || '1800000', 10);
+const STREAMABLE_SWEEP_INTERVAL_MS = 60000;
+
+// Look up a session and count the request as activity
+function touchStreamableSession(mcpSessionId) {
+  const entry = mcpSessionId && streamableTransports.get(mcpSessionId);
+  if (entry) entry.lastActivity = Date.now();
+  return entry;
+}
+
+if (STREAMABLE_IDLE_TIMEOUT_MS > 0) {
+  setInterval(() => {
+    const now = Date.now();
+    for (const [mcpSessionId, entry] of streamableTransports) {
+      if (entry.openStreams > 0 || now - entry.lastActivity < STREAMABLE_IDLE_TIMEOUT_MS) continue;
+      // Closing the transport closes its server (onclose removes it from the map)
+      streamableTransports.delete(mcpSessionId);
+      console.log(`🧹 MCP Streamable HTTP session idle, closing: ${mcpSessionId}`);
+      entry.transport.close().catch((error) => {
+        console.error(`❌ Failed to close idle Streamable HTTP session ${mcpSessionId}: ${error.message}`);
+      });
+    }
+  }, Math.min(STREAMABLE_SWEEP_INTERVAL_MS, STREAMABLE_IDLE_TIMEOUT_MS)).unref();
+}
+
+app.post('/mcp', async (req, res) => {
+  const mcpSessionId = req.headers['mcp-session-id'];
+  console.log(`📨 MCP Streamable HTTP POST (session: ${mcpSessionId || 'new'}, method: ${req.body && req.body.method})`);
+
+  try {
+    const entry = touchStreamableSession(mcpSessionId);
+    let transport = entry && entry.transport;
+
+    if (!transport) {
+      if (mcpSessionId || !isInitializeRequest(req.body)) {
+        console.error(`❌ No active Streamable HTTP session found for: ${mcpSessionId}`);
+        return res.status(mcpSessionId ? 404 : 400).json({
+          jsonrpc: '2.0',
+          error: {
+            code: -32000,
+            message: mcpSessionId ? 'Session not found' : 'Bad Request: No valid session ID provided',
+          },
+          id: null,
+        });
+      }
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => uuidv4(),
+        onsessioninitialized: (newSessionId) => {
+          streamableTransports.set(newSessionId, { transport, lastActivity: Date.now(), openStreams: 0 });
+          console.log(`✅ MCP Streamable HTTP session ready: ${newSessionId}, Total sessions: ${streamableTransports.size}`);
+        },
+      });
+
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          streamableTransports.delete(transport.sessionId);
+          console.log(`🔌 MCP Streamable HTTP session closed: ${transport.sessionId}`);
+        }
+      };
+
+      const mcpServer = createMCPServer(store);
+      await mcpServer.connect(transport);
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    console.error('❌ Error handling MCP Streamable HTTP request:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ jsonrpc: '2.0', error: { code: -32603, message: error.message }, id: null });
+    }
+  }
+});
+
+// GET (server-initiated SSE stream) and DELETE (session termination) need an existing session
+async function handleStreamableSessionRequest(req, res) {
+  const mcpSessionId = req.headers['mcp-session-id'];
+  const entry = touchStreamableSession(mcpSessionId);
+
+  if (!entry) {
+    return res.status(mcpSessionId ? 404 : 400).json({
+      jsonrpc: '2.0',
+      error: {
+        code: -32000,
+        message: mcpSessionId ? 'Session not found' : 'Bad Request: Mcp-Session-Id header is required',
+      },
+      id: null,
+    });
+  }
+
+  // An open GET stream keeps the session from being swept as idle
+  if (req.method === 'GET') {
+    entry.openStreams++;
+    res.on('close', () => {
+      entry.openStreams--;
+      entry.lastActivity = Date.now();
+    });
+  }
+
+  try {
+    await entry.transport.handleRequest(req, res);
+  } catch (error) {
+    console.error(`❌ Error handling MCP Streamable HTTP ${req.method}:`, error);
+    if (!res.headersSent) {
+      res.status(500).send('Failed to handle MCP request');
+    }
+  }
+}
+
+app.get('/mcp', handleStreamableSessionRequest);
+app.delete('/mcp', handleStreamableSessionRequest);
+// ==================== END MCP STREAMABLE HTTP ENDPOINT ====================
+
 // Debug endpoint to check sessions
-app.get('/debug/sessions', (req, res) => {
-  const sessionList = Object.keys(sessions).map(sid => ({
-    sessionId: sid,
-    documentCount: sessions[sid].docs.length,
-    documents: sessions[sid].docs.map(d => ({ id: d.id, title: d.title }))
-  }));
-  res.json({ 
-    totalSessions: sessionList.length,
-    sessions: sessionList 
-  });
+app.get('/debug/sessions', async (req, res, next) => {
+  try {
+    const sessionList = [];
+    for (const { id: sid } of await store.listSessions()) {
+      const docs = await store.listDocuments(sid) || [];
+      sessionList.push({
+        sessionId: sid,
+        documentCount: docs.length,
+        documents: docs.map(d => ({ id: d.id, title: d.title }))
+      });
+    }
+    res.json({ 
+      store: store.kind,
+      totalSessions: sessionList.length,
+      sessions: sessionList 
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-app.post('/session', (req, res) => {
-  const sid = uuidv4();
-  sessions[sid] = { docs: [], history: [] };
-  console.log(`✅ New session created: ${sid}`);
-  res.json({ sessionId: sid });
+app.post('/session', async (req, res, next) => {
+  try {
+    const { id: sid, expiresAt } = await store.createSession();
+    console.log(`✅ New session created: ${sid}`);
+    res.json({ sessionId: sid, expiresAt });
+  } catch (error) {
+    next(error);
+  }
 });
 
-app.post('/session/:sid/upload', (req, res) => {
+// Author recorded on document revisions made through the REST routes (revisions.js)
+const REST_AUTHOR = { type: 'rest' };
+
+// Request body schemas for the JSON REST routes (same validator as MCP tool arguments)
+const uploadBodySchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    text: { type: 'string' },
+    ...uploadMetadataProperties,
+  },
+  required: ['title', 'text'],
+};
+
+// PUT replaces title and text; PATCH changes either (e.g. a rename)
+const patchDocumentBodySchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    text: { type: 'string' },
+    ...uploadMetadataProperties,
+  },
+  anyOf: ['title', 'text', 'tags', 'metadata'].map(name => ({ required: [name] })),
+};
+
+/**
+ * Tags and metadata from multipart form fields
+ * tags may be repeated fields, a comma-separated list or a JSON array; metadata is a JSON object string.
+ * @param {Object} body - multer's req.body
+ * @returns {{ fields?: Object, violations?: Array<string> }}
+ */
+function multipartUploadMetadata(body) {
+  const fields = {};
+  try {
+    if (body.tags !== undefined) {
+      const values = Array.isArray(body.tags) ? body.tags : [body.tags];
+      fields.tags = values.flatMap(value => (value.trim().startsWith('[') ? JSON.parse(value) : value.split(',')))
+        .map(tag => String(tag).trim())
+        .filter(Boolean);
+    }
+    if (body.metadata !== undefined) {
+      fields.metadata = JSON.parse(body.metadata);
+    }
+  } catch (error) {
+    return { violations: [`tags / metadata: invalid JSON (${error.message})`] };
+  }
+
+  const violations = validateAgainstSchema({ type: 'object', properties: uploadMetadataProperties }, fields);
+  return violations.length > 0 ? { violations } : { fields };
+}
+
+const queryBodySchema = {
+  type: 'object',
+  properties: {
+    docId: { type: 'string', minLength: 1 },
+    query: { type: 'string' },
+    mode: { type: 'string', enum: ['qa', ''] },
+  },
+  required: ['docId'],
+  // Q&A needs a question; summary mode ignores query
+  if: { properties: { mode: { const: 'qa' } }, required: ['mode'] },
+  then: { properties: { query: { minLength: 1 } }, required: ['query'] },
+};
+
+app.post('/session/:sid/upload', validateBody(uploadBodySchema), async (req, res, next) => {
   const { sid } = req.params;
-  if (!sessions[sid]) return res.status(404).send('Session not found');
 
-  const { text, title } = req.body;
-  const docId = uuidv4();
-  sessions[sid].docs.push({ id: docId, title, text });
-  console.log(`📄 Uploaded document ${docId} to session ${sid}`);
-  res.json({ docId });
+  try {
+    const { text, title, tags, metadata } = req.body;
+    const doc = await store.addDocument(sid, { title, text, tags, metadata }, { author: REST_AUTHOR });
+    if (!doc) return res.status(404).send('Session not found');
+
+    console.log(`📄 Uploaded document ${doc.id} to session ${sid}`);
+    res.json({ docId: doc.id });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // New endpoint for file uploads
-app.post('/session/:sid/upload-file', upload.single('file'), (req, res) => {
+app.post('/session/:sid/upload-file', upload.single('file'), async (req, res, next) => {
   const { sid } = req.params;
-  if (!sessions[sid]) return res.status(404).send('Session not found');
+  try {
+    if (!(await store.getSession(sid))) return res.status(404).send('Session not found');
+  } catch (error) {
+    return next(error);
+  }
 
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
+  const { fields, violations } = multipartUploadMetadata(req.body);
+  if (violations) {
+    return res.status(400).json({ error: 'Invalid request body', violations });
+  }
+
   try {
     const text = req.file.buffer.toString('utf-8');
     const title = req.body.title || req.file.originalname;
-    const docId = uuidv4();
+    const filename = req.file.originalname;
+    const mimeType = detectMimeType({ filename, title, contentType: req.file.mimetype });
     
-    sessions[sid].docs.push({ id: docId, title, text });
-    console.log(`📁 Uploaded file ${req.file.originalname} (${docId}) to session ${sid}`);
-    res.json({ docId, filename: req.file.originalname });
+    const doc = await store.addDocument(sid, { title, text, filename, mimeType, ...fields }, { author: REST_AUTHOR });
+    if (!doc) return res.status(404).send('Session not found');
+    console.log(`📁 Uploaded file ${req.file.originalname} (${doc.id}) to session ${sid}`);
+    res.json({ docId: doc.id, filename: req.file.originalname });
   } catch (error) {
+    if (isQuotaError(error) || error.code === INVALID_CSV) return next(error);
     console.error('Error processing file:', error);
     res.status(500).json({ error: 'Failed to process file' });
   }
 });
 
-app.post('/session/:sid/query', async (req, res) => {
-  const { sid } = req.params;
-  if (!sessions[sid]) return res.status(404).send('Session not found');
+async function updateDocumentRoute(req, res, next) {
+  const { sid, docId } = req.params;
 
-  const { docId, query, mode } = req.body;
-  const doc = sessions[sid].docs.find(d => d.id === docId);
-  if (!doc) return res.status(404).send('Document not found');
+  try {
+    if (!(await store.getSession(sid))) return res.status(404).send('Session not found');
+
+    const { title, text, tags, metadata } = req.body;
+    const doc = await store.updateDocument(sid, docId, {
+      ...(title !== undefined && { title }),
+      ...(text !== undefined && { text }),
+      ...(tags !== undefined && { tags }),
+      ...(metadata !== undefined && { metadata }),
+    }, { author: REST_AUTHOR });
+    if (!doc) return res.status(404).send('Document not found');
+
+    console.log(`✏️ Updated document ${docId} in session ${sid}`);
+    res.json({ docId, title: doc.title, textLength: doc.text.length, revision: currentRevisionNumber(doc) });
+  } catch (error) {
+    next(error);
+  }
+}
 
-  // ...existing code...
+app.put('/session/:sid/docs/:docId', validateBody(uploadBodySchema), updateDocumentRoute);
+app.patch('/session/:sid/docs/:docId', validateBody(patchDocumentBodySchema), updateDocumentRoute);
 
-  const prompt = mode === 'qa'
-    ? `Document:\n${doc.text}\n\nQuestion: ${query}\nAnswer:`
-    : `Summarize the following document:\n\n${doc.text}\n\nSummary:`;
+app.get('/session/:sid/docs/:docId/revisions', async (req, res, next) => {
+  const { sid, docId } = req.params;
 
-  const endpoint = process.env.FOUNDRY_ENDPOINT;
+  try {
+    if (!(await store.getSession(sid))) return res.status(404).send('Session not found');
+    const doc = await store.getDocument(sid, docId);
+    if (!doc) return res.status(404).send('Document not found');
+
+    res.json({
+      docId,
+      currentRevision: currentRevisionNumber(doc),
+      revisions: documentRevisions(doc).map(revisionSummary),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/session/:sid/docs/:docId/revisions/:revision', async (req, res, next) => {
+  const { sid, docId } = req.params;
 
-  console.log("🔹 Sending request to Azure GPT-4o-mini...");
-  console.log("Endpoint:", endpoint);
-  
   try {
-    const authHeaders = await getAuthHeaders();
-    
-    const headers = {
-      'Content-Type': 'application/json',
-      ...authHeaders
-    };
+    if (!(await store.getSession(sid))) return res.status(404).send('Session not found');
+    const doc = await store.getDocument(sid, docId);
+    if (!doc) return res.status(404).send('Document not found');
+    const revision = findRevision(doc, Number(req.params.revision));
+    if (!revision) return res.status(404).send('Revision not found');
+
+    res.json({ docId, ...revisionSummary(revision), text: revision.text });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/session/:sid/docs/:docId', async (req, res, next) => {
+  const { sid, docId } = req.params;
+
+  try {
+    if (!(await store.getSession(sid))) return res.status(404).send('Session not found');
+    if (!(await store.deleteDocument(sid, docId))) return res.status(404).send('Document not found');
+
+    console.log(`🗑️ Deleted document ${docId} from session ${sid}`);
+    res.json({ deleted: true, docId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const searchQuerySchema = {
+  type: 'object',
+  properties: {
+    q: { type: 'string', minLength: 1 },
+    ...searchOptionProperties,
+    ...documentFilterProperties,
+  },
+  required: ['q'],
+};
+
+/**
+ * Search parameters from a query string
+ * Numbers and booleans are converted; tags may be repeated or comma-separated.
+ * @param {Object} query - req.query
+ * @returns {Object} Parameters to validate against searchQuerySchema
+ */
+function searchQueryParams(query) {
+  const params = { ...query };
+  for (const name of ['limit', 'minSize', 'maxSize', 'fuzzy']) {
+    if (params[name] !== undefined && params[name] !== '') params[name] = Number(params[name]);
+  }
+  for (const name of ['allOccurrences', 'regex']) {
+    if (params[name] === 'true' || params[name] === 'false') params[name] = params[name] === 'true';
+  }
+  if (params.tags !== undefined) {
+    params.tags = [].concat(params.tags).flatMap(value => String(value).split(',')).map(tag => tag.trim()).filter(Boolean);
+  }
+  return params;
+}
+
+app.get('/session/:sid/search', async (req, res, next) => {
+  const { sid } = req.params;
+  const params = searchQueryParams(req.query);
+  const violations = validateAgainstSchema(searchQuerySchema, params);
+  if (violations.length > 0) {
+    return res.status(400).json({ error: 'Invalid search parameters', violations });
+  }
+
+  try {
+    if (!(await store.getSession(sid))) return res.status(404).send('Session not found');
 
-    console.log("Request body:", JSON.stringify({
-      messages: [{ role: "user", content: prompt }],
-      max_tokens: 300
-    }, null, 2));
-
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 300
-      })
+    const { q, limit, cursor, fuzzy, allOccurrences, regex, ...filters } = params;
+    const { total, nextCursor, results } = await getSearchIndex(store).search({
+      query: q, sessionId: sid, limit, cursor, filters, fuzzy, allOccurrences, regex,
     });
+    res.json({ query: q, total, resultCount: results.length, nextCursor, results });
+  } catch (error) {
+    if (error.code === INVALID_SEARCH) return res.status(400).json({ error: error.message });
+    next(error);
+  }
+});
 
-    const data = await response.json();
+app.get('/session/:sid/export', async (req, res, next) => {
+  const { sid } = req.params;
 
-    console.log("🔹 Raw Azure response:");
-    console.log(JSON.stringify(data, null, 2));
+  try {
+    const bundle = await exportSession(store, sid);
+    if (!bundle) return res.status(404).send('Session not found');
 
-    let assistantMessage = data?.choices?.[0]?.message?.content ||
-                           data?.choices?.[0]?.content ||
-                           data?.error?.message ||
-                           "No response from model";
+    console.log(`📦 Exported session ${sid} (${bundle.documents.length} documents)`);
+    res.attachment(`session-${sid}.json`);
+    res.json(bundle);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    sessions[sid].history.push({ query, response: assistantMessage });
+// ?preserveIds=true keeps the bundle's session and document IDs (409 if the session exists)
+app.post('/session/import', validateBody(bundleSchema), async (req, res, next) => {
+  const preserveIds = req.query.preserveIds === 'true';
+
+  try {
+    const result = await importSession(store, req.body, { preserveIds });
+    console.log(`📦 Imported session ${result.sessionId} (${req.body.documents.length} documents)`);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.code === SESSION_EXISTS) return res.status(409).json({ error: error.message });
+    if (error.code === INVALID_BUNDLE) return res.status(400).json({ error: error.message, code: error.code });
+    next(error);
+  }
+});
+
+app.delete('/session/:sid', async (req, res, next) => {
+  const { sid } = req.params;
+
+  try {
+    if (!(await store.deleteSession(sid))) return res.status(404).send('Session not found');
+
+    console.log(`🗑️ Deleted session ${sid}`);
+    res.json({ deleted: true, sessionId: sid });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/session/:sid/query', validateBody(queryBodySchema), async (req, res, next) => {
+  const { sid } = req.params;
+  const { docId, query, mode } = req.body;
+
+  let doc;
+  try {
+    if (!(await store.getSession(sid))) return res.status(404).send('Session not found');
+    doc = await store.getDocument(sid, docId);
+  } catch (error) {
+    return next(error);
+  }
+  if (!doc) return res.status(404).send('Document not found');
+
+  // ...existing code...
+
+  const prompt = mode === 'qa'
+    ? questionPrompt(doc.text, query)
+    : summaryPrompt(doc.text);
+
+  // Stop the Foundry call if the browser / caller disconnects before we answer
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  
+  try {
+    const assistantMessage = await createChatCompletion(
+      [{ role: "user", content: prompt }],
+      { maxTokens: 300, signal: controller.signal }
+    );
+
+    await store.appendHistory(sid, { docId, query, response: assistantMessage });
     res.json({ answer: assistantMessage });
 
   } catch (err) {
@@ -580,5 +808,25 @@ app.post('/session/:sid/query', async (req, res) => {
   }
 });
 
+// Malformed JSON on the MCP endpoints gets a JSON-RPC parse error instead of Express's HTML error page,
+// and quota and CSV errors from the store get a JSON body with their HTTP status
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed' && req.path.startsWith('/mcp')) {
+    console.error(`❌ Invalid JSON on ${req.path}: ${err.message}`);
+    return res.status(400).json(errorResponse(null, ErrorCode.ParseError, `Parse error: ${err.message}`));
+  }
+  // Session quotas (session-limits.js): 413 for size limits, 429 for count limits
+  if (isQuotaError(err)) {
+    console.warn(`⚠️ ${req.method} ${req.path}: ${err.message}`);
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  // CSV documents that cannot be parsed (csv-table.js)
+  if (err.code === INVALID_CSV) {
+    console.warn(`⚠️ ${req.method} ${req.path}: ${err.message}`);
+    return res.status(400).json({ error: err.message, code: err.code });
+  }
+  next(err);
+});
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`🚀 MCP server listening on port ${PORT}`));
\ No newline at end of file
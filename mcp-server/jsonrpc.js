@@ -0,0 +1,121 @@
+// JSON-RPC 2.0 helpers
+// Message classification, validation and batch processing for the
+// hand-rolled MCP dispatcher behind /mcp/message.
+// See https://www.jsonrpc.org/specification
+
+const { ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+
+const JSONRPC_VERSION = '2.0';
+
+function isRequest(message) {
+  return typeof message.method === 'string' && message.id !== undefined;
+}
+
+function isNotification(message) {
+  return typeof message.method === 'string' && message.id === undefined;
+}
+
+// A client's answer to a server-initiated request (e.g. sampling)
+function isResponse(message) {
+  return message.method === undefined && message.id !== undefined &&
+    (message.result !== undefined || message.error !== undefined);
+}
+
+function resultResponse(id, result) {
+  return { jsonrpc: JSONRPC_VERSION, result, id };
+}
+
+function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: JSONRPC_VERSION, error, id: id === undefined ? null : id };
+}
+
+/**
+ * Turn a thrown error into a JSON-RPC error response
+ * McpError and anything else carrying a numeric code keeps its code;
+ * everything else is reported as an internal error.
+ * @param {string|number|null} id - Request ID
+ * @param {Error} error - Thrown error
+ * @returns {Object} JSON-RPC error response
+ */
+function errorResponseFromError(id, error) {
+  const code = Number.isInteger(error.code) ? error.code : ErrorCode.InternalError;
+  return errorResponse(id, code, error.message, error.data);
+}
+
+/**
+ * Check the envelope of a single JSON-RPC message
+ * @param {*} message - Parsed message
+ * @returns {string|null} Reason the message is invalid, or null when valid
+ */
+function validateMessage(message) {
+  if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+    return 'Message must be a JSON object';
+  }
+  if (message.jsonrpc !== JSONRPC_VERSION) {
+    return 'Message must have jsonrpc: "2.0"';
+  }
+  if (message.id !== undefined && message.id !== null &&
+      typeof message.id !== 'string' && typeof message.id !== 'number') {
+    return 'id must be a string, number or null';
+  }
+  if (message.method !== undefined && typeof message.method !== 'string') {
+    return 'method must be a string';
+  }
+  if (message.method === undefined && !isResponse(message)) {
+    return 'Message must be a request, notification or response';
+  }
+  if (message.params !== undefined && (message.params === null || typeof message.params !== 'object')) {
+    return 'params must be an object or array';
+  }
+  return null;
+}
+
+/**
+ * Process a JSON-RPC body (single message or batch)
+ * Invalid messages are answered with -32600; requests are answered with the
+ * handler's return value; notifications and responses produce no output.
+ * @param {*} body - Parsed HTTP body
+ * @param {Function} handleMessage - async (message) => response object or null
+ * @returns {Promise<{ isBatch: boolean, responses: Array<Object> }>}
+ */
+async function processBody(body, handleMessage) {
+  const isBatch = Array.isArray(body);
+
+  if (isBatch && body.length === 0) {
+    return { isBatch: false, responses: [errorResponse(null, ErrorCode.InvalidRequest, 'Batch must not be empty')] };
+  }
+
+  const messages = isBatch ? body : [body];
+  const responses = [];
+
+  // Batch entries are processed in order so initialize can precede other calls
+  for (const message of messages) {
+    const invalidReason = validateMessage(message);
+    if (invalidReason) {
+      const id = message && typeof message === 'object' && !Array.isArray(message) ? message.id : null;
+      responses.push(errorResponse(id, ErrorCode.InvalidRequest, `Invalid Request: ${invalidReason}`));
+      continue;
+    }
+
+    const response = await handleMessage(message);
+    if (response && isRequest(message)) {
+      responses.push(response);
+    }
+  }
+
+  return { isBatch, responses };
+}
+
+module.exports = {
+  JSONRPC_VERSION,
+  isRequest,
+  isNotification,
+  isResponse,
+  resultResponse,
+  errorResponse,
+  errorResponseFromError,
+  validateMessage,
+  processBody,
+};
@@ -0,0 +1,280 @@
+// MCP Message Dispatcher
+// Hand-rolled MCP request handling for the legacy /mcp/message endpoint,
+// where responses travel over our own SSE stream instead of an SDK transport.
+// Handles the initialize handshake (with protocol version negotiation), ping,
+// notifications, and the tools / resources / prompts / completion / logging methods.
+
+const {
+  ErrorCode,
+  McpError,
+  LATEST_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+} = require('@modelcontextprotocol/sdk/types.js');
+const {
+  isNotification,
+  isResponse,
+  resultResponse,
+  errorResponse,
+  errorResponseFromError,
+} = require('./jsonrpc');
+const { SERVER_INFO, SERVER_CAPABILITIES, SAMPLING_TIMEOUT_MS } = require('./mcp-handler');
+const { listTools, callTool, createProgressReporter } = require('./tools');
+const { listResources, listResourceTemplates, readResource } = require('./resources');
+const { listPrompts, getPrompt } = require('./prompts');
+const { LOG_LEVELS, isValidLogLevel, createClientLogger } = require('./mcp-logging');
+const { complete } = require('./completions');
+
+/**
+ * Read a required string parameter or fail with -32602 Invalid params
+ * @param {Object} params - Request params
+ * @param {string} key - Parameter name
+ * @returns {string} Parameter value
+ */
+function requireStringParam(params, key) {
+  if (typeof params[key] !== 'string' || params[key] === '') {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid params: "${key}" must be a non-empty string`);
+  }
+  return params[key];
+}
+
+function optionalObjectParam(params, key) {
+  const value = params[key];
+  if (value !== undefined && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid params: "${key}" must be an object`);
+  }
+  return value;
+}
+
+/**
+ * Pick the protocol version for a connection
+ * Use the client's version when we support it, otherwise offer our latest
+ * and let the client decide whether it can continue.
+ * @param {string} requestedVersion - protocolVersion sent by the client
+ * @returns {string} Negotiated protocol version
+ */
+function negotiateProtocolVersion(requestedVersion) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
+    ? requestedVersion
+    : LATEST_PROTOCOL_VERSION;
+}
+
+/**
+ * Send a server-initiated request (e.g. sampling/createMessage) over the
+ * connection's SSE stream and wait for the client to POST the response back
+ * to /mcp/message. Times out, and follows the caller's AbortSignal, by
+ * sending notifications/cancelled to the client.
+ * @param {Object} connection - Legacy SSE connection state
+ * @param {string} method - JSON-RPC method
+ * @param {Object} params - Request params
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {number} [options.timeoutMs] - Defaults to SAMPLING_TIMEOUT_MS
+ * @returns {Promise<Object>} The client's result
+ */
+function sendClientRequest(connection, method, params, { signal, timeoutMs = SAMPLING_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const id = `server-${++connection.lastServerRequestId}`;
+
+    const settle = (callback, value) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      connection.pendingClientRequests.delete(id);
+      callback(value);
+    };
+    const cancel = (reason, error) => {
+      connection.send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: id, reason } });
+      settle(reject, error);
+    };
+    const onAbort = () => cancel('Request cancelled', new Error(`${method} cancelled`));
+
+    if (signal?.aborted) {
+      reject(new Error(`${method} cancelled`));
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      cancel('Timed out', new McpError(ErrorCode.RequestTimeout, `${method} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    connection.pendingClientRequests.set(id, {
+      resolve: (result) => settle(resolve, result),
+      reject: (error) => settle(reject, error),
+    });
+    connection.send({ jsonrpc: '2.0', id, method, params });
+    console.log(`📤 Sent ${method} request ${id} to client`);
+  });
+}
+
+/**
+ * Create a dispatcher bound to the shared document store
+ * @param {Object} store - Shared DocumentStore (see document-store.js)
+ * @returns {{ handleMessage: Function }}
+ */
+function createDispatcher(store) {
+  // Methods available once the connection is initialized
+  const requestHandlers = {
+    'tools/list': async () => ({ tools: listTools() }),
+    'tools/call': async (params, connection, extra) => {
+      const name = requireStringParam(params, 'name');
+      const args = optionalObjectParam(params, 'arguments');
+      return callTool(name, args, {
+        store,
+        // Recorded on the document revisions this call creates (revisions.js)
+        author: { type: 'mcp', transport: 'sse', connectionId: connection.id, client: connection.clientInfo?.name },
+        signal: extra.signal,
+        reportProgress: createProgressReporter(params._meta?.progressToken, (notification) =>
+          connection.send({ jsonrpc: '2.0', ...notification })),
+        log: createClientLogger(() => connection.logLevel, (notification) =>
+          connection.send({ jsonrpc: '2.0', ...notification })),
+        // Model-backed tools ask the client's own model when it supports sampling
+        createMessage: connection.clientCapabilities?.sampling
+          ? (samplingParams, options) => sendClientRequest(connection, 'sampling/createMessage', samplingParams, options)
+          : undefined,
+      });
+    },
+    'completion/complete': async (params) => {
+      const ref = optionalObjectParam(params, 'ref');
+      const argument = optionalObjectParam(params, 'argument');
+      if (!ref || typeof ref.type !== 'string') {
+        throw new McpError(ErrorCode.InvalidParams, 'Invalid params: "ref" must be an object with a "type"');
+      }
+      if (!argument || typeof argument.name !== 'string' || typeof argument.value !== 'string') {
+        throw new McpError(ErrorCode.InvalidParams, 'Invalid params: "argument" must have string "name" and "value"');
+      }
+      return complete(store, { ref, argument, context: optionalObjectParam(params, 'context') });
+    },
+    'logging/setLevel': async (params, connection) => {
+      const level = requireStringParam(params, 'level');
+      if (!isValidLogLevel(level)) {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid params: "level" must be one of ${LOG_LEVELS.join(', ')}`);
+      }
+      connection.logLevel = level;
+      console.log(`📝 MCP client log level set to ${level}`);
+      return {};
+    },
+    'resources/list': async () => listResources(store),
+    'resources/templates/list': async () => listResourceTemplates(),
+    'resources/read': async (params) => readResource(store, requireStringParam(params, 'uri')),
+    'resources/subscribe': async (params, connection) => {
+      connection.subscriptions.add(requireStringParam(params, 'uri'));
+      return {};
+    },
+    'resources/unsubscribe': async (params, connection) => {
+      connection.subscriptions.delete(requireStringParam(params, 'uri'));
+      return {};
+    },
+    'prompts/list': async () => listPrompts(),
+    'prompts/get': async (params) => {
+      const name = requireStringParam(params, 'name');
+      return getPrompt(store, name, optionalObjectParam(params, 'arguments'));
+    },
+  };
+
+  function initialize(connection, params) {
+    const requestedVersion = requireStringParam(params, 'protocolVersion');
+    const protocolVersion = negotiateProtocolVersion(requestedVersion);
+
+    connection.initialized = true;
+    connection.protocolVersion = protocolVersion;
+    connection.clientCapabilities = params.capabilities || {};
+    connection.clientInfo = params.clientInfo;
+
+    console.log(`🤝 MCP initialize: client ${params.clientInfo && params.clientInfo.name} requested ${requestedVersion}, using ${protocolVersion}`);
+
+    return {
+      protocolVersion,
+      capabilities: SERVER_CAPABILITIES,
+      serverInfo: SERVER_INFO,
+    };
+  }
+
+  function handleNotification(connection, message) {
+    switch (message.method) {
+      case 'notifications/initialized':
+        console.log('✅ MCP client finished initialization');
+        break;
+      case 'notifications/cancelled': {
+        const requestId = message.params?.requestId;
+        const controller = connection.inFlightRequests.get(requestId);
+        if (controller) {
+          console.log(`🛑 MCP request ${requestId} cancelled: ${message.params.reason || 'no reason given'}`);
+          controller.abort(message.params.reason);
+        }
+        break;
+      }
+      default:
+        // Unknown notifications are ignored, as JSON-RPC requires
+        console.log(`ℹ️ Ignoring MCP notification: ${message.method}`);
+    }
+  }
+
+  /**
+   * Handle one validated JSON-RPC message from a connection
+   * @param {Object} connection - Legacy SSE connection state
+   * @param {Object} message - Request, notification or response
+   * @returns {Promise<Object|null>} Response for requests, null otherwise
+   */
+  async function handleMessage(connection, message) {
+    if (isNotification(message)) {
+      handleNotification(connection, message);
+      return null;
+    }
+
+    // The client answering one of our requests (sampling/createMessage)
+    if (isResponse(message)) {
+      const pending = connection.pendingClientRequests.get(message.id);
+      if (!pending) {
+        console.warn(`⚠️ Ignoring unexpected JSON-RPC response with id ${message.id}`);
+      } else if (message.error) {
+        pending.reject(new McpError(message.error.code, message.error.message, message.error.data));
+      } else {
+        pending.resolve(message.result);
+      }
+      return null;
+    }
+
+    const { id, method } = message;
+    const params = message.params || {};
+
+    try {
+      if (method === 'initialize') {
+        return resultResponse(id, initialize(connection, params));
+      }
+
+      if (method === 'ping') {
+        return resultResponse(id, {});
+      }
+
+      if (!connection.initialized) {
+        return errorResponse(id, ErrorCode.InvalidRequest, `Invalid Request: received ${method} before initialize`);
+      }
+
+      const handler = requestHandlers[method];
+      if (!handler) {
+        return errorResponse(id, ErrorCode.MethodNotFound, `Method not found: ${method}`);
+      }
+
+      // Track the request so notifications/cancelled can abort it
+      const controller = new AbortController();
+      connection.inFlightRequests.set(id, controller);
+      try {
+        const result = await handler(params, connection, { requestId: id, signal: controller.signal });
+        // Cancelled requests get no response at all
+        return controller.signal.aborted ? null : resultResponse(id, result);
+      } catch (error) {
+        if (controller.signal.aborted) return null;
+        throw error;
+      } finally {
+        connection.inFlightRequests.delete(id);
+      }
+    } catch (error) {
+      console.error(`❌ ${method} failed: ${error.message}`);
+      return errorResponseFromError(id, error);
+    }
+  }
+
+  return { handleMessage };
+}
+
+module.exports = { createDispatcher, negotiateProtocolVersion };
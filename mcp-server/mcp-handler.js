@@ -7,369 +7,185 @@ const {
   ListToolsRequestSchema,
   CallToolRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  SetLevelRequestSchema,
+  CompleteRequestSchema,
+  PromptReferenceSchema,
+  ResourceTemplateReferenceSchema,
+  CreateMessageResultSchema,
 } = require('@modelcontextprotocol/sdk/types.js');
+const { z } = require('zod');
+const { listTools, callTool, createProgressReporter } = require('./tools');
+const {
+  changedResourceUris,
+  changesResourceList,
+  listResources,
+  listResourceTemplates,
+  readResource,
+} = require('./resources');
+const { onDocumentChange } = require('./document-events');
+const { listPrompts, getPrompt } = require('./prompts');
+const { createClientLogger } = require('./mcp-logging');
+const { complete } = require('./completions');
+
+// Server identity and capabilities, shared with the /mcp/message dispatcher
+const SERVER_INFO = {
+  name: 'ai-foundry-mcp-gateway',
+  version: '1.0.0',
+};
+
+const SERVER_CAPABILITIES = {
+  tools: {},
+  resources: { subscribe: true, listChanged: true },
+  prompts: {},
+  logging: {},
+  completions: {},
+};
+
+// How long a tool waits for the client to answer sampling/createMessage
+const SAMPLING_TIMEOUT_MS = parseInt(process.env.MCP_SAMPLING_TIMEOUT_MS || '120000', 10);
+
+// completion/complete also accepts the gateway's { type: 'ref/tool', name } reference
+// so tool arguments can be completed like prompt and resource template arguments
+const CompleteWithToolRefRequestSchema = CompleteRequestSchema.extend({
+  params: CompleteRequestSchema.shape.params.extend({
+    ref: z.union([
+      PromptReferenceSchema,
+      ResourceTemplateReferenceSchema,
+      z.object({ type: z.literal('ref/tool'), name: z.string() }).passthrough(),
+    ]),
+  }),
+});
 
 /**
  * Create an MCP server instance that provides document management tools
- * @param {Object} sessions - Shared sessions object from main Express app
+ * @param {Object} store - Shared DocumentStore (see document-store.js)
  * @returns {Server} MCP Server instance
  */
-function createMCPServer(sessions) {
-  const server = new Server(
-    {
-      name: 'ai-foundry-mcp-gateway',
-      version: '1.0.0',
-    },
-    {
-      capabilities: {
-        tools: {},
-        resources: {},
-      },
-    }
-  );
+function createMCPServer(store) {
+  const server = new Server(SERVER_INFO, { capabilities: SERVER_CAPABILITIES });
 
   // ==================== TOOLS ====================
   
-  // List all available tools
+  // Tool definitions and handlers come from the shared registry (tools.js)
   server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return {
-      tools: [
-        {
-          name: 'list_documents',
-          description: 'List all documents in a session with their IDs and titles',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              sessionId: {
-                type: 'string',
-                description: 'The session ID to list documents from',
-              },
-            },
-            required: ['sessionId'],
-          },
-        },
-        {
-          name: 'get_document',
-          description: 'Retrieve the full content of a specific document by ID',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              sessionId: {
-                type: 'string',
-                description: 'The session ID containing the document',
-              },
-              docId: {
-                type: 'string',
-                description: 'The document ID to retrieve',
-              },
-            },
-            required: ['sessionId', 'docId'],
-          },
-        },
-        {
-          name: 'search_documents',
-          description: 'Search for documents containing specific text across all sessions or a specific session',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              query: {
-                type: 'string',
-                description: 'The text to search for in documents',
-              },
-              sessionId: {
-                type: 'string',
-                description: 'Optional: limit search to a specific session',
-              },
-            },
-            required: ['query'],
-          },
-        },
-        {
-          name: 'upload_document',
-          description: 'Upload a new document to a session',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              sessionId: {
-                type: 'string',
-                description: 'The session ID to upload the document to',
-              },
-              title: {
-                type: 'string',
-                description: 'The title/name of the document',
-              },
-              text: {
-                type: 'string',
-                description: 'The full text content of the document',
-              },
-            },
-            required: ['sessionId', 'title', 'text'],
-          },
-        },
-      ],
-    };
+    return { tools: listTools() };
   });
 
-  // Handle tool execution
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  // The SDK aborts extra.signal on notifications/cancelled and drops the response.
+  // Progress and log notifications go out as part of this request's stream.
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const { name, arguments: args } = request.params;
+    return callTool(name, args, {
+      store,
+      // Recorded on the document revisions this call creates (revisions.js)
+      author: {
+        type: 'mcp',
+        transport: extra.sessionId ? 'streamable-http' : 'stdio',
+        connectionId: extra.sessionId,
+        client: server.getClientVersion()?.name,
+      },
+      signal: extra.signal,
+      reportProgress: createProgressReporter(request.params._meta?.progressToken, extra.sendNotification),
+      log: createClientLogger(() => logLevel, extra.sendNotification),
+      // Model-backed tools ask the client's own model when it supports sampling
+      createMessage: server.getClientCapabilities()?.sampling
+        ? (params, { signal } = {}) => extra.sendRequest(
+          { method: 'sampling/createMessage', params },
+          CreateMessageResultSchema,
+          { signal, timeout: SAMPLING_TIMEOUT_MS }
+        )
+        : undefined,
+    });
+  });
 
-    console.log(`🔧 MCP Tool called: ${name}`, args);
+  // ==================== COMPLETION ====================
 
-    try {
-      switch (name) {
-        case 'list_documents':
-          return await handleListDocuments(sessions, args);
-        
-        case 'get_document':
-          return await handleGetDocument(sessions, args);
-        
-        case 'search_documents':
-          return await handleSearchDocuments(sessions, args);
-        
-        case 'upload_document':
-          return await handleUploadDocument(sessions, args);
-        
-        default:
-          throw new Error(`Unknown tool: ${name}`);
-      }
-    } catch (error) {
-      console.error(`❌ Error executing MCP tool ${name}:`, error);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Error: ${error.message}`,
-          },
-        ],
-        isError: true,
-      };
-    }
+  // sessionId / docId suggestions for prompts, resource templates and tools (completions.js)
+  server.setRequestHandler(CompleteWithToolRefRequestSchema, async (request) => {
+    return complete(store, request.params);
+  });
+
+  // ==================== LOGGING ====================
+
+  // Minimum level chosen by this client; no log notifications until it sets one.
+  // Replaces the SDK's built-in handler so unset means "off" like on /mcp/message.
+  let logLevel;
+
+  server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    logLevel = request.params.level;
+    console.log(`📝 MCP client log level set to ${logLevel}`);
+    return {};
   });
 
   // ==================== RESOURCES ====================
   
-  // List available resources
+  // Session and document resources come from resources.js
   server.setRequestHandler(ListResourcesRequestSchema, async () => {
-    const resources = [];
-    
-    // Create a resource for each session
-    for (const [sessionId, session] of Object.entries(sessions)) {
-      resources.push({
-        uri: `session://${sessionId}`,
-        name: `Session ${sessionId}`,
-        description: `Session with ${session.docs.length} document(s)`,
-        mimeType: 'application/json',
-      });
-    }
-    
-    return { resources };
+    return listResources(store);
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return listResourceTemplates();
   });
 
-  // Read a resource
   server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-    const { uri } = request.params;
-    
-    // Parse session:// URIs
-    if (uri.startsWith('session://')) {
-      const sessionId = uri.replace('session://', '');
-      const session = sessions[sessionId];
-      
-      if (!session) {
-        throw new Error(`Session not found: ${sessionId}`);
-      }
-      
-      return {
-        contents: [
-          {
-            uri,
-            mimeType: 'application/json',
-            text: JSON.stringify({
-              sessionId,
-              documentCount: session.docs.length,
-              documents: session.docs.map(d => ({
-                id: d.id,
-                title: d.title,
-                textLength: d.text.length,
-              })),
-            }, null, 2),
-          },
-        ],
-      };
-    }
-    
-    throw new Error(`Unknown resource URI: ${uri}`);
+    return readResource(store, request.params.uri);
   });
 
-  return server;
-}
+  // ==================== PROMPTS ====================
 
-// ==================== TOOL HANDLERS ====================
+  // Summary / QA / comparison prompts shared with the REST query route (prompts.js)
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return listPrompts();
+  });
 
-async function handleListDocuments(sessions, args) {
-  const { sessionId } = args;
-  const session = sessions[sessionId];
-  
-  if (!session) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error: Session not found: ${sessionId}`,
-        },
-      ],
-      isError: true,
-    };
-  }
-  
-  const docList = session.docs.map(doc => ({
-    id: doc.id,
-    title: doc.title,
-    textLength: doc.text.length,
-  }));
-  
-  return {
-    content: [
-      {
-        type: 'text',
-        text: JSON.stringify({
-          sessionId,
-          documentCount: docList.length,
-          documents: docList,
-        }, null, 2),
-      },
-    ],
-  };
-}
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    return getPrompt(store, request.params.name, request.params.arguments);
+  });
 
-async function handleGetDocument(sessions, args) {
-  const { sessionId, docId } = args;
-  const session = sessions[sessionId];
-  
-  if (!session) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error: Session not found: ${sessionId}`,
-        },
-      ],
-      isError: true,
-    };
-  }
-  
-  const doc = session.docs.find(d => d.id === docId);
-  
-  if (!doc) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error: Document not found: ${docId}`,
-        },
-      ],
-      isError: true,
-    };
-  }
-  
-  return {
-    content: [
-      {
-        type: 'text',
-        text: JSON.stringify({
-          id: doc.id,
-          title: doc.title,
-          text: doc.text,
-        }, null, 2),
-      },
-    ],
-  };
-}
+  // ==================== SUBSCRIPTIONS ====================
 
-async function handleSearchDocuments(sessions, args) {
-  const { query, sessionId } = args;
-  const results = [];
-  const searchLower = query.toLowerCase();
-  
-  // Determine which sessions to search
-  const sessionsToSearch = sessionId 
-    ? { [sessionId]: sessions[sessionId] }
-    : sessions;
-  
-  for (const [sid, session] of Object.entries(sessionsToSearch)) {
-    if (!session) continue;
-    
-    for (const doc of session.docs) {
-      if (doc.text.toLowerCase().includes(searchLower) || 
-          doc.title.toLowerCase().includes(searchLower)) {
-        
-        // Find the context around the match
-        const index = doc.text.toLowerCase().indexOf(searchLower);
-        const start = Math.max(0, index - 50);
-        const end = Math.min(doc.text.length, index + query.length + 50);
-        const snippet = doc.text.substring(start, end);
-        
-        results.push({
-          sessionId: sid,
-          docId: doc.id,
-          title: doc.title,
-          snippet: `...${snippet}...`,
-        });
+  // Resource URIs this client subscribed to via resources/subscribe
+  const subscriptions = new Set();
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  // Push updated / list_changed notifications when REST or tools change documents
+  const stopListening = onDocumentChange((change) => {
+    const notify = (promise) => promise.catch((error) => {
+      console.error(`❌ Failed to send resource notification: ${error.message}`);
+    });
+
+    for (const uri of changedResourceUris(change)) {
+      if (subscriptions.has(uri)) {
+        notify(server.sendResourceUpdated({ uri }));
       }
     }
-  }
-  
-  return {
-    content: [
-      {
-        type: 'text',
-        text: JSON.stringify({
-          query,
-          resultCount: results.length,
-          results,
-        }, null, 2),
-      },
-    ],
-  };
-}
+    if (changesResourceList(change)) {
+      notify(server.sendResourceListChanged());
+    }
+  });
 
-async function handleUploadDocument(sessions, args) {
-  const { sessionId, title, text } = args;
-  const session = sessions[sessionId];
-  
-  if (!session) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error: Session not found: ${sessionId}`,
-        },
-      ],
-      isError: true,
-    };
-  }
-  
-  const { v4: uuidv4 } = require('uuid');
-  const docId = uuidv4();
-  
-  session.docs.push({ id: docId, title, text });
-  
-  console.log(`📄 MCP uploaded document ${docId} to session ${sessionId}`);
-  
-  return {
-    content: [
-      {
-        type: 'text',
-        text: JSON.stringify({
-          success: true,
-          docId,
-          title,
-          sessionId,
-        }, null, 2),
-      },
-    ],
+  server.onclose = () => {
+    stopListening();
+    subscriptions.clear();
   };
+
+  return server;
 }
 
-module.exports = { createMCPServer };
+module.exports = { createMCPServer, SERVER_INFO, SERVER_CAPABILITIES, SAMPLING_TIMEOUT_MS };
@@ -0,0 +1,31 @@
+// MCP Logging
+// Sends notifications/message log events to the client that made a request,
+// filtered by the level it chose with logging/setLevel. Connections that never
+// call logging/setLevel receive no log notifications.
+
+// RFC 5424 severities, least to most severe, as used by the MCP spec
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+function isValidLogLevel(level) {
+  return LOG_LEVELS.includes(level);
+}
+
+/**
+ * Build a log(level, data, logger) function for one client connection
+ * @param {Function} getMinimumLevel - Returns the level set via logging/setLevel (or undefined)
+ * @param {Function} send - Sends a JSON-RPC notification ({ method, params }) to the client
+ * @returns {Function} Logger; data may be a string or any JSON-serialisable value
+ */
+function createClientLogger(getMinimumLevel, send) {
+  return (level, data, logger = 'gateway') => {
+    const minimumLevel = getMinimumLevel();
+    if (!minimumLevel || LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minimumLevel)) {
+      return;
+    }
+    Promise.resolve(send({ method: 'notifications/message', params: { level, logger, data } })).catch((error) => {
+      console.error(`❌ Failed to send log notification: ${error.message}`);
+    });
+  };
+}
+
+module.exports = { LOG_LEVELS, isValidLogLevel, createClientLogger };
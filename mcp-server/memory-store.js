@@ -0,0 +1,217 @@
+// In-memory DocumentStore
+// Keeps every session in a Map inside the process: fast, but wiped on restart.
+// Every change is expressed as an operation object applied by applyOperation(),
+// which lets file-store.js persist the same operations to disk and replay them.
+
+const { v4: uuidv4 } = require('uuid');
+const { emitDocumentChange } = require('./document-events');
+const { contentHash, createRevision, documentRevisions } = require('./revisions');
+const { detectMimeType, normalizeTags } = require('./document-metadata');
+
+/**
+ * Apply a store operation to the sessions Map
+ * @param {Map<string, Object>} sessions - sessionId -> { id, createdAt, docs, history }
+ * @param {Object} op - Operation created by the store methods below
+ */
+function applyOperation(sessions, op) {
+  const session = op.sessionId ? sessions.get(op.sessionId) : undefined;
+
+  switch (op.type) {
+    case 'createSession':
+      sessions.set(op.session.id, { ...op.session, docs: [], history: [] });
+      break;
+    case 'deleteSession':
+      sessions.delete(op.sessionId);
+      break;
+    case 'addDocument':
+      if (session) session.docs.push(op.doc);
+      break;
+    case 'updateDocument': {
+      const index = session ? session.docs.findIndex(d => d.id === op.docId) : -1;
+      if (index < 0) break;
+      const previous = session.docs[index];
+      session.docs[index] = {
+        ...previous,
+        ...op.changes,
+        revision: op.revision.revision,
+        revisions: [...documentRevisions(previous), op.revision],
+      };
+      // Answers about the old text no longer describe the document
+      if (op.changes.text !== undefined) {
+        session.history = session.history.map(entry => (entry.docId === op.docId ? { ...entry, stale: true } : entry));
+      }
+      break;
+    }
+    case 'deleteDocument':
+      if (!session) break;
+      session.docs = session.docs.filter(d => d.id !== op.docId);
+      // Drop answers about the removed document (it may have been deleted for containing sensitive data)
+      session.history = session.history.filter(entry => entry.docId !== op.docId);
+      break;
+    case 'appendHistory':
+      if (session) session.history.push(op.entry);
+      break;
+    default:
+      throw new Error(`Unknown store operation: ${op.type}`);
+  }
+}
+
+/**
+ * The change an operation announces on document-events.js
+ * @param {Map<string, Object>} sessions - State before the operation is applied
+ * @param {Object} op - Store operation
+ * @returns {Object|null} Change, or null for operations that only touch query history
+ */
+function operationChange(sessions, op) {
+  switch (op.type) {
+    case 'createSession':
+      return { type: 'session-created', sessionId: op.session.id };
+    case 'deleteSession': {
+      const session = sessions.get(op.sessionId);
+      return { type: 'session-deleted', sessionId: op.sessionId, docIds: session ? session.docs.map(d => d.id) : [] };
+    }
+    case 'addDocument':
+      return { type: 'document-added', sessionId: op.sessionId, docId: op.doc.id };
+    case 'updateDocument': {
+      const session = sessions.get(op.sessionId);
+      const previous = session && session.docs.find(d => d.id === op.docId);
+      const renamed = Boolean(previous) && op.changes.title !== undefined && op.changes.title !== previous.title;
+      return { type: 'document-updated', sessionId: op.sessionId, docId: op.docId, renamed };
+    }
+    case 'deleteDocument':
+      return { type: 'document-deleted', sessionId: op.sessionId, docId: op.docId };
+    default:
+      return null;
+  }
+}
+
+function copyDocument(doc) {
+  return { ...doc, ...(doc.revisions && { revisions: doc.revisions.map(revision => ({ ...revision })) }) };
+}
+
+function copySession(session) {
+  return {
+    id: session.id,
+    createdAt: session.createdAt,
+    docs: session.docs.map(copyDocument),
+    history: session.history.map(entry => ({ ...entry })),
+  };
+}
+
+/**
+ * Create an in-memory DocumentStore (see document-store.js for the interface)
+ * @param {Object} [options]
+ * @param {Map<string, Object>} [options.initialSessions] - Pre-loaded state (used by file-store.js)
+ * @param {Function} [options.onOperation] - async (op) => void, called before each change is applied
+ * @returns {Object} DocumentStore
+ */
+function createMemoryStore({ initialSessions = new Map(), onOperation = async () => {} } = {}) {
+  const sessions = initialSessions;
+
+  async function commit(op) {
+    const change = operationChange(sessions, op);
+    await onOperation(op);
+    applyOperation(sessions, op);
+    if (change) emitDocumentChange(change);
+  }
+
+  return {
+    kind: 'memory',
+
+    async createSession({ id = uuidv4(), createdAt = new Date().toISOString() } = {}) {
+      if (sessions.has(id)) {
+        throw new Error(`Session already exists: ${id}`);
+      }
+      await commit({ type: 'createSession', session: { id, createdAt } });
+      return copySession(sessions.get(id));
+    },
+
+    async getSession(sessionId) {
+      const session = sessions.get(sessionId);
+      return session ? copySession(session) : null;
+    },
+
+    async listSessions() {
+      return Array.from(sessions.values(), session => ({
+        id: session.id,
+        createdAt: session.createdAt,
+        documentCount: session.docs.length,
+      }));
+    },
+
+    async deleteSession(sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) return false;
+      await commit({ type: 'deleteSession', sessionId });
+      return true;
+    },
+
+    async addDocument(sessionId, { id = uuidv4(), revision: ignoredRevision, revisions, ...fields }, { author } = {}) {
+      if (!sessions.has(sessionId)) return null;
+      // Imported documents (session-bundles.js) bring their own revisions
+      const kept = revisions && revisions.length > 0
+        ? revisions.map(r => ({ author: null, createdAt: null, ...r, hash: r.hash || contentHash(r.text) }))
+        : [createRevision(1, fields, author)];
+      const doc = {
+        id,
+        metadata: {},
+        filename: null,
+        ...fields,
+        // Recorded automatically (see document-metadata.js)
+        tags: normalizeTags(fields.tags),
+        createdAt: fields.createdAt || kept[0].createdAt || new Date().toISOString(),
+        size: Buffer.byteLength(fields.text || '', 'utf-8'),
+        mimeType: fields.mimeType || detectMimeType({ title: fields.title }),
+        revision: kept[kept.length - 1].revision,
+        revisions: kept,
+      };
+      await commit({ type: 'addDocument', sessionId, doc });
+      return copyDocument(doc);
+    },
+
+    async getDocument(sessionId, docId) {
+      const session = sessions.get(sessionId);
+      const doc = session && session.docs.find(d => d.id === docId);
+      return doc ? copyDocument(doc) : null;
+    },
+
+    async listDocuments(sessionId) {
+      const session = sessions.get(sessionId);
+      return session ? session.docs.map(copyDocument) : null;
+    },
+
+    async updateDocument(sessionId, docId, changes, { author } = {}) {
+      const session = sessions.get(sessionId);
+      const current = session && session.docs.find(d => d.id === docId);
+      if (!current) return null;
+      // A document's ID and revision history are not changed directly
+      const { id, revision: ignoredRevision, revisions: ignoredRevisions, createdAt, size, ...allowedChanges } = changes;
+      const revisions = documentRevisions(current);
+      const revision = createRevision(
+        revisions[revisions.length - 1].revision + 1,
+        { ...current, ...allowedChanges },
+        author
+      );
+      allowedChanges.updatedAt = revision.createdAt;
+      if (allowedChanges.text !== undefined) allowedChanges.size = Buffer.byteLength(allowedChanges.text, 'utf-8');
+      if (allowedChanges.tags !== undefined) allowedChanges.tags = normalizeTags(allowedChanges.tags);
+      await commit({ type: 'updateDocument', sessionId, docId, changes: allowedChanges, revision });
+      return copyDocument(session.docs.find(d => d.id === docId));
+    },
+
+    async deleteDocument(sessionId, docId) {
+      const session = sessions.get(sessionId);
+      if (!session || !session.docs.some(d => d.id === docId)) return false;
+      await commit({ type: 'deleteDocument', sessionId, docId });
+      return true;
+    },
+
+    async appendHistory(sessionId, entry) {
+      if (!sessions.has(sessionId)) return false;
+      await commit({ type: 'appendHistory', sessionId, entry: { ...entry } });
+      return true;
+    },
+  };
+}
+
+module.exports = { createMemoryStore, applyOperation, operationChange };
@@ -0,0 +1,130 @@
+// MCP Prompts
+// The prompt templates used by the web UI's POST /session/:sid/query route,
+// exposed as named MCP prompts so agents render exactly the same text.
+// Shared by index.js (REST query route and /mcp/message) and mcp-handler.js.
+
+const { McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+
+// ==================== TEMPLATES ====================
+
+function summaryPrompt(text) {
+  return `Summarize the following document:\n\n${text}\n\nSummary:`;
+}
+
+function questionPrompt(text, question) {
+  return `Document:\n${text}\n\nQuestion: ${question}\nAnswer:`;
+}
+
+function comparisonPrompt(first, second, focus) {
+  const focusLine = focus ? `\nFocus on: ${focus}\n` : '';
+  return `Compare the following two documents. Describe what they have in common and how they differ.\n${focusLine}\n` +
+    `Document A (${first.title}):\n${first.text}\n\n` +
+    `Document B (${second.title}):\n${second.text}\n\nComparison:`;
+}
+
+// ==================== PROMPT DEFINITIONS ====================
+
+const prompts = [
+  {
+    name: 'summarize_document',
+    description: 'Summarize a document (same prompt as the web UI summary mode)',
+    arguments: [
+      { name: 'sessionId', description: 'The session ID containing the document', required: true },
+      { name: 'docId', description: 'The document ID to summarize', required: true },
+    ],
+    render: async (args, store) => {
+      const doc = await requireDocument(store, args.sessionId, args.docId);
+      return summaryPrompt(doc.text);
+    },
+  },
+  {
+    name: 'answer_question',
+    description: 'Answer a question about a document (same prompt as the web UI qa mode)',
+    arguments: [
+      { name: 'sessionId', description: 'The session ID containing the document', required: true },
+      { name: 'docId', description: 'The document ID to ask about', required: true },
+      { name: 'question', description: 'The question to answer from the document', required: true },
+    ],
+    render: async (args, store) => {
+      const doc = await requireDocument(store, args.sessionId, args.docId);
+      return questionPrompt(doc.text, args.question);
+    },
+  },
+  {
+    name: 'compare_documents',
+    description: 'Compare two documents from the same session',
+    arguments: [
+      { name: 'sessionId', description: 'The session ID containing both documents', required: true },
+      { name: 'docId', description: 'The first document ID', required: true },
+      { name: 'otherDocId', description: 'The second document ID', required: true },
+      { name: 'focus', description: 'Optional: aspect to focus the comparison on', required: false },
+    ],
+    render: async (args, store) => {
+      const first = await requireDocument(store, args.sessionId, args.docId);
+      const second = await requireDocument(store, args.sessionId, args.otherDocId);
+      return comparisonPrompt(first, second, args.focus);
+    },
+  },
+];
+
+const promptsByName = new Map(prompts.map(prompt => [prompt.name, prompt]));
+
+async function requireDocument(store, sessionId, docId) {
+  if (!(await store.getSession(sessionId))) {
+    throw new McpError(ErrorCode.InvalidParams, `Session not found: ${sessionId}`);
+  }
+  const doc = await store.getDocument(sessionId, docId);
+  if (!doc) {
+    throw new McpError(ErrorCode.InvalidParams, `Document not found: ${docId}`);
+  }
+  return doc;
+}
+
+// ==================== PROMPTS API ====================
+
+/**
+ * Result for prompts/list
+ * @returns {{ prompts: Array<Object> }}
+ */
+function listPrompts() {
+  return {
+    prompts: prompts.map(({ name, description, arguments: args }) => ({ name, description, arguments: args })),
+  };
+}
+
+/**
+ * Result for prompts/get: the rendered prompt as a single user message
+ * @param {Object} store - Shared DocumentStore
+ * @param {string} name - Prompt name
+ * @param {Object} args - Prompt arguments (string values)
+ * @returns {Promise<{ description: string, messages: Array<Object> }>}
+ * @throws {McpError} InvalidParams for unknown prompts, missing arguments or documents
+ */
+async function getPrompt(store, name, args = {}) {
+  const prompt = promptsByName.get(name);
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+  if (missing.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Missing required argument(s) for ${name}: ${missing.join(', ')}`);
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text: await prompt.render(args, store) },
+      },
+    ],
+  };
+}
+
+module.exports = {
+  summaryPrompt,
+  questionPrompt,
+  listPrompts,
+  getPrompt,
+};
@@ -0,0 +1,197 @@
+// MCP Resources
+// Exposes sessions and their documents as addressable resources:
+//   session://{sessionId}              -> JSON summary of the session
+//   session://{sessionId}/doc/{docId}  -> raw document content
+// Shared by the SDK Server (mcp-handler.js) and the /mcp/message dispatcher (index.js).
+
+const { McpError } = require('@modelcontextprotocol/sdk/types.js');
+const { detectMimeType } = require('./document-metadata');
+
+// MCP error code for an unknown resource (see spec "Resources > Error Handling")
+const RESOURCE_NOT_FOUND = -32002;
+
+const SESSION_URI_PATTERN = /^session:\/\/([^/]+)$/;
+const DOCUMENT_URI_PATTERN = /^session:\/\/([^/]+)\/doc\/([^/]+)$/;
+
+const resourceTemplates = [
+  {
+    uriTemplate: 'session://{sessionId}',
+    name: 'Session',
+    description: 'Summary of a document session: document IDs, titles and sizes',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'session://{sessionId}/doc/{docId}',
+    name: 'Document',
+    description: 'Full content of a single document in a session',
+  },
+];
+
+// IDs are percent-encoded in URIs so a "/" or "%" in an imported ID can't break parsing
+function sessionUri(sessionId) {
+  return `session://${encodeURIComponent(sessionId)}`;
+}
+
+function documentUri(sessionId, docId) {
+  return `session://${encodeURIComponent(sessionId)}/doc/${encodeURIComponent(docId)}`;
+}
+
+/**
+ * Mime type of a document, from its recorded type or its title's extension
+ * @param {Object} doc - Stored document
+ * @returns {string} Mime type
+ */
+function documentMimeType(doc) {
+  return doc.mimeType || detectMimeType({ title: doc.title });
+}
+
+function resourceNotFound(uri, reason) {
+  return new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri} (${reason})`, { uri });
+}
+
+// Decode the IDs captured from a URI; a malformed % sequence names no resource
+function decodeIds(uri, encodedIds) {
+  try {
+    return encodedIds.map(decodeURIComponent);
+  } catch (error) {
+    throw resourceNotFound(uri, 'malformed percent-encoding');
+  }
+}
+
+/**
+ * Resource URIs whose content is affected by a document change
+ * (the session summary always is; the document itself when there is one,
+ * and every document of a deleted session)
+ * @param {Object} change - Change from document-events.js
+ * @returns {Array<string>} URIs to notify subscribers of
+ */
+function changedResourceUris(change) {
+  const uris = [sessionUri(change.sessionId)];
+  if (change.docId) uris.push(documentUri(change.sessionId, change.docId));
+  for (const docId of change.docIds || []) {
+    uris.push(documentUri(change.sessionId, docId));
+  }
+  return uris;
+}
+
+/**
+ * Whether a document change alters resources/list: sessions and documents
+ * appearing or disappearing, or a document's name (title). Content edits only
+ * concern subscribers of the changed URIs (notifications/resources/updated).
+ * @param {Object} change - Change from document-events.js
+ * @returns {boolean} Whether to send notifications/resources/list_changed
+ */
+function changesResourceList(change) {
+  return change.type !== 'document-updated' || Boolean(change.renamed);
+}
+
+/**
+ * Result for resources/list: one entry per session and one per document
+ * @param {Object} store - Shared DocumentStore
+ * @returns {Promise<{ resources: Array<Object> }>}
+ */
+async function listResources(store) {
+  const resources = [];
+
+  for (const { id: sessionId } of await store.listSessions()) {
+    const docs = await store.listDocuments(sessionId);
+    if (!docs) continue; // Deleted while listing
+
+    resources.push({
+      uri: sessionUri(sessionId),
+      name: `Session ${sessionId}`,
+      description: `Session with ${docs.length} document(s)`,
+      mimeType: 'application/json',
+    });
+
+    for (const doc of docs) {
+      resources.push({
+        uri: documentUri(sessionId, doc.id),
+        name: doc.title || doc.id,
+        description: `Document in session ${sessionId}`,
+        mimeType: documentMimeType(doc),
+        size: Buffer.byteLength(doc.text || '', 'utf-8'),
+      });
+    }
+  }
+
+  return { resources };
+}
+
+/**
+ * Result for resources/templates/list
+ * @returns {{ resourceTemplates: Array<Object> }}
+ */
+function listResourceTemplates() {
+  return { resourceTemplates };
+}
+
+/**
+ * Result for resources/read
+ * @param {Object} store - Shared DocumentStore
+ * @param {string} uri - session:// resource URI
+ * @returns {Promise<{ contents: Array<Object> }>}
+ * @throws {McpError} RESOURCE_NOT_FOUND for unknown sessions, documents or URIs
+ */
+async function readResource(store, uri) {
+  const docMatch = DOCUMENT_URI_PATTERN.exec(uri || '');
+  if (docMatch) {
+    const [sessionId, docId] = decodeIds(uri, docMatch.slice(1));
+    const session = await store.getSession(sessionId);
+    if (!session) throw resourceNotFound(uri, `session ${sessionId} does not exist`);
+
+    const doc = session.docs.find(d => d.id === docId);
+    if (!doc) throw resourceNotFound(uri, `document ${docId} does not exist`);
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: documentMimeType(doc),
+          text: doc.text,
+        },
+      ],
+    };
+  }
+
+  const sessionMatch = SESSION_URI_PATTERN.exec(uri || '');
+  if (sessionMatch) {
+    const [sessionId] = decodeIds(uri, sessionMatch.slice(1));
+    const session = await store.getSession(sessionId);
+    if (!session) throw resourceNotFound(uri, `session ${sessionId} does not exist`);
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify({
+            sessionId,
+            documentCount: session.docs.length,
+            documents: session.docs.map(d => ({
+              id: d.id,
+              title: d.title,
+              uri: documentUri(sessionId, d.id),
+              mimeType: documentMimeType(d),
+              textLength: d.text.length,
+            })),
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  throw resourceNotFound(uri, 'unsupported URI, expected session://{sessionId} or session://{sessionId}/doc/{docId}');
+}
+
+module.exports = {
+  RESOURCE_NOT_FOUND,
+  sessionUri,
+  documentUri,
+  documentMimeType,
+  changedResourceUris,
+  changesResourceList,
+  listResources,
+  listResourceTemplates,
+  readResource,
+};
@@ -0,0 +1,81 @@
+// Document revisions
+// Every stored document keeps the full series of its versions:
+//   revisions: [{ revision, title, text, author, createdAt, hash }]   (oldest first)
+//   revision:  number of the current one (its title / text are the document's)
+// author says who made the change: { type: 'rest' } for the REST routes, or
+// { type: 'mcp', transport, connectionId?, client? } for an MCP connection.
+
+const crypto = require('crypto');
+
+function contentHash(text) {
+  return `sha256:${crypto.createHash('sha256').update(text || '', 'utf8').digest('hex')}`;
+}
+
+/**
+ * Build a revision record
+ * @param {number} revision - Revision number (1 for the uploaded version)
+ * @param {{ title: string, text: string }} content - Document content at this revision
+ * @param {Object|null} author - Who made the change (see above)
+ * @returns {Object} Revision
+ */
+function createRevision(revision, { title, text }, author) {
+  return {
+    revision,
+    title,
+    text,
+    author: author || null,
+    createdAt: new Date().toISOString(),
+    hash: contentHash(text),
+  };
+}
+
+/**
+ * Revisions of a document, oldest first
+ * Documents stored before revisions existed get a single synthetic revision 1.
+ * @param {Object} doc - Stored document
+ * @returns {Array<Object>} Revisions
+ */
+function documentRevisions(doc) {
+  if (doc.revisions && doc.revisions.length > 0) return doc.revisions;
+  return [{
+    revision: 1,
+    title: doc.title,
+    text: doc.text,
+    author: null,
+    createdAt: doc.createdAt || null,
+    hash: contentHash(doc.text),
+  }];
+}
+
+function currentRevisionNumber(doc) {
+  const revisions = documentRevisions(doc);
+  return revisions[revisions.length - 1].revision;
+}
+
+/**
+ * A specific revision of a document
+ * @param {Object} doc - Stored document
+ * @param {number} revision - Revision number
+ * @returns {Object|null} Revision, or null if the document has no such revision
+ */
+function findRevision(doc, revision) {
+  return documentRevisions(doc).find(r => r.revision === revision) || null;
+}
+
+/**
+ * Revision metadata without the text, for listings
+ * @param {Object} revision - Revision record
+ * @returns {Object} { revision, title, author, createdAt, hash, textLength }
+ */
+function revisionSummary({ revision, title, author, createdAt, hash, text }) {
+  return { revision, title, author, createdAt, hash, textLength: (text || '').length };
+}
+
+module.exports = {
+  contentHash,
+  createRevision,
+  documentRevisions,
+  currentRevisionNumber,
+  findRevision,
+  revisionSummary,
+};
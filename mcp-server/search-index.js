@@ -0,0 +1,726 @@
+// Full-text search
+// An inverted index over every document in the DocumentStore, kept up to date
+// from document-events.js, with BM25 ranking over the title and text fields,
+// highlighted snippets and cursor pagination. Used by search_documents and
+// GET /session/:sid/search.
+//
+// Queries use the language in search-query.js (phrases, AND / OR / NOT,
+// prefixes, field qualifiers and opt-in regular expressions). The syntax tree
+// decides which documents match; they are ranked by BM25 over the words,
+// prefixes and phrases the query asks for (not the excluded ones), so
+// documents with more and rarer query words rank higher, and title matches
+// count TITLE_WEIGHT times a text match.
+//
+// Words can be matched with typos (fuzzy option or word~N): the query word
+// is expanded to the indexed words within the allowed edit distance, and each
+// typo halves a variant's score (FUZZY_WEIGHT) so exact matches rank first.
+//
+// With allOccurrences every match in a result's text is listed with its
+// offset, line and column (up to MAX_OCCURRENCES), for citing exact locations.
+//
+// Regular expressions run in a separate V8 context with a time limit
+// (SEARCH_REGEX_TIMEOUT_MS) so a catastrophic pattern cannot block the server.
+
+const vm = require('vm');
+const { onDocumentChange } = require('./document-events');
+const { filterDocuments, documentMetadata } = require('./document-metadata');
+const { TOKEN_PATTERN, tokenize } = require('./tokenizer');
+const { QUERY_PARSE_ERROR, MAX_EDIT_DISTANCE, allowedEdits, parseQuery } = require('./search-query');
+
+// BM25 parameters (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_WEIGHT = 2;
+// Score factor per typo in a fuzzy match
+const FUZZY_WEIGHT = 0.5;
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const SNIPPETS_PER_RESULT = 3;
+const SNIPPET_CONTEXT_CHARS = 60;
+// Stop scanning a document for highlights after this many matches
+const MAX_HIGHLIGHTS_SCANNED = 50;
+// Occurrences listed per result with allOccurrences
+const MAX_OCCURRENCES = 1000;
+
+// Time limit for evaluating one regular expression over the documents in scope
+const REGEX_TIMEOUT_MS = parseInt(process.env.SEARCH_REGEX_TIMEOUT_MS || '1000', 10);
+
+// Error code for bad queries, cursors and filter values (the caller's fault, not the index's)
+const INVALID_SEARCH = 'INVALID_SEARCH';
+
+function invalidSearch(message) {
+  const error = new Error(message);
+  error.code = INVALID_SEARCH;
+  return error;
+}
+
+function termFrequencies(text) {
+  const frequencies = new Map();
+  for (const { term } of tokenize(text)) {
+    frequencies.set(term, (frequencies.get(term) || 0) + 1);
+  }
+  return frequencies;
+}
+
+function documentKey(sessionId, docId) {
+  return `${sessionId}\u0000${docId}`;
+}
+
+// ==================== CURSORS ====================
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw invalidSearch(`Invalid cursor: ${cursor}`);
+}
+
+// ==================== SNIPPETS ====================
+
+/**
+ * Snippets around the places a document matches, with matches wrapped in **
+ * @param {string} text - Document text
+ * @param {Function} isMatch - (term) => boolean for a token
+ * @param {Array<Array<number>>} [ranges=[]] - Further [start, end) ranges to highlight (regular expression matches)
+ * @returns {Array<{ text: string, offset: number }>} offset: where the snippet starts in the document
+ */
+function buildSnippets(text, isMatch, ranges = []) {
+  const found = ranges.filter(([start, end]) => end > start).map(([start, end]) => ({ start, end }));
+  for (const token of (text || '').matchAll(TOKEN_PATTERN)) {
+    if (isMatch(token[0].toLowerCase())) {
+      found.push({ start: token.index, end: token.index + token[0].length });
+      if (found.length >= MAX_HIGHLIGHTS_SCANNED) break;
+    }
+  }
+
+  // In document order, without overlaps
+  const matches = [];
+  for (const match of found.sort((a, b) => a.start - b.start || b.end - a.end)) {
+    if (matches.length === 0 || match.start >= matches[matches.length - 1].end) matches.push(match);
+  }
+
+  // Windows around the matches; matches close together share a window
+  const windows = [];
+  for (const match of matches) {
+    const last = windows[windows.length - 1];
+    if (last && match.start - SNIPPET_CONTEXT_CHARS <= last.end) {
+      last.end = Math.min(text.length, match.end + SNIPPET_CONTEXT_CHARS);
+      last.matches.push(match);
+    } else {
+      if (windows.length >= SNIPPETS_PER_RESULT) break;
+      windows.push({
+        start: Math.max(0, match.start - SNIPPET_CONTEXT_CHARS),
+        end: Math.min(text.length, match.end + SNIPPET_CONTEXT_CHARS),
+        matches: [match],
+      });
+    }
+  }
+
+  return windows.map(({ start, end, matches: windowMatches }) => {
+    let snippet = '';
+    let position = start;
+    for (const match of windowMatches) {
+      snippet += `${text.slice(position, match.start)}**${text.slice(match.start, match.end)}**`;
+      position = match.end;
+    }
+    snippet += text.slice(position, end);
+    return {
+      text: `${start > 0 ? '...' : ''}${snippet}${end < text.length ? '...' : ''}`,
+      offset: start,
+    };
+  });
+}
+
+// ==================== MATCHING ====================
+
+/**
+ * Edit distance with adjacent transpositions (optimal string alignment)
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Stop once the distance is known to exceed this
+ * @returns {number} Distance, or max + 1 if it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return Math.min(row[b.length], max + 1);
+}
+
+/**
+ * Where a phrase occurs in a text
+ * @param {string} text - Text to search
+ * @param {Array<string>} terms - Phrase words (lower case)
+ * @param {number} [limit=Infinity] - Stop after this many
+ * @returns {Array<Array<number>>} [start, end) ranges from the first word's start to the last word's end
+ */
+function phraseRanges(text, terms, limit = Infinity) {
+  const tokens = tokenize(text);
+  const ranges = [];
+  for (let i = 0; i + terms.length <= tokens.length && ranges.length < limit; i++) {
+    if (terms.every((term, j) => tokens[i + j].term === term)) {
+      ranges.push([tokens[i].start, tokens[i + terms.length - 1].end]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Every match in a text with its line and column (1-based)
+ * @param {string} text - Document text
+ * @param {Object} matchers
+ * @param {Function} matchers.isMatch - (term) => boolean for a token
+ * @param {Array<Array<string>>} matchers.phrases - Phrases (word lists)
+ * @param {Array<Array<number>>} matchers.ranges - Further [start, end) ranges (regular expression matches)
+ * @returns {{ occurrences: Array<Object>, truncated: boolean }}
+ *   occurrences: { offset, length, line, column, text }, in document order, at most MAX_OCCURRENCES
+ */
+function findOccurrences(text, { isMatch, phrases, ranges }) {
+  const found = [
+    ...ranges.filter(([start, end]) => end > start),
+    ...phrases.flatMap(terms => phraseRanges(text, terms)),
+  ];
+  for (const token of tokenize(text)) {
+    if (isMatch(token.term)) found.push([token.start, token.end]);
+  }
+
+  // In document order; a match inside a longer one (a phrase word) is not listed again
+  const spans = [];
+  for (const [start, end] of found.sort((a, b) => a[0] - b[0] || b[1] - a[1])) {
+    if (spans.length === 0 || start >= spans[spans.length - 1][1]) spans.push([start, end]);
+  }
+
+  const lineStarts = [0];
+  for (const match of text.matchAll(/\n/g)) lineStarts.push(match.index + 1);
+  const lineOf = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return low;
+  };
+
+  return {
+    occurrences: spans.slice(0, MAX_OCCURRENCES).map(([start, end]) => {
+      const line = lineOf(start);
+      return {
+        offset: start,
+        length: end - start,
+        line: line + 1,
+        column: start - lineStarts[line] + 1,
+        text: text.slice(start, end),
+      };
+    }),
+    truncated: spans.length > MAX_OCCURRENCES,
+  };
+}
+
+// ==================== REGULAR EXPRESSIONS ====================
+
+const REGEX_SCRIPT = new vm.Script(`
+  const expression = new RegExp(pattern, flags + 'g');
+  texts.map((text) => {
+    const ranges = [];
+    expression.lastIndex = 0;
+    let match;
+    while (ranges.length < limit && (match = expression.exec(text)) !== null) {
+      ranges.push([match.index, match.index + match[0].length]);
+      if (match[0].length === 0) expression.lastIndex++;
+    }
+    return ranges;
+  })
+`);
+
+/**
+ * Where a regular expression matches in each of several texts, under the time limit
+ * @param {string} pattern - Regular expression source
+ * @param {string} flags - Flags (without g)
+ * @param {Array<string>} texts - Texts to search
+ * @param {number} limit - Ranges to collect per text
+ * @returns {Array<Array<Array<number>>>} Per text, up to limit [start, end) ranges (empty: no match)
+ * @throws {Error} With code INVALID_SEARCH when the time limit is exceeded
+ */
+function regexMatches(pattern, flags, texts, limit) {
+  try {
+    return REGEX_SCRIPT.runInNewContext(
+      { pattern, flags, texts, limit },
+      { timeout: REGEX_TIMEOUT_MS },
+    );
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw invalidSearch(`Regular expression /${pattern}/ was stopped after ${REGEX_TIMEOUT_MS} ms; simplify it or narrow the search`);
+    }
+    throw error;
+  }
+}
+
+// ==================== SCHEMAS ====================
+
+// Paging and query options shared by search_documents and GET /session/:sid/search
+const searchOptionProperties = {
+  limit: {
+    type: 'integer',
+    minimum: 1,
+    maximum: MAX_LIMIT,
+    description: `Optional: results per page (default: ${DEFAULT_LIMIT}, at most ${MAX_LIMIT})`,
+  },
+  cursor: {
+    type: 'string',
+    minLength: 1,
+    description: 'Optional: nextCursor from a previous search with the same query, for the next page',
+  },
+  fuzzy: {
+    type: 'integer',
+    minimum: 0,
+    maximum: MAX_EDIT_DISTANCE,
+    description: `Optional: typos allowed per word, 0-${MAX_EDIT_DISTANCE} (default: 0; fewer for short words). word~N sets it for one word`,
+  },
+  allOccurrences: {
+    type: 'boolean',
+    description: `Optional: list every match in each result's text with offset, line and column (default: false; at most ${MAX_OCCURRENCES} per result)`,
+  },
+  regex: {
+    type: 'boolean',
+    description: `Optional: allow /pattern/flags regular expressions in the query (default: false; each is stopped after ${REGEX_TIMEOUT_MS} ms)`,
+  },
+};
+
+// JSON Schema for one search() result
+const searchResultSchema = {
+  type: 'object',
+  properties: {
+    sessionId: { type: 'string' },
+    docId: { type: 'string' },
+    title: { type: 'string' },
+    score: { type: 'number' },
+    snippets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          offset: { type: 'integer' },
+        },
+        required: ['text', 'offset'],
+      },
+    },
+    tags: { type: 'array', items: { type: 'string' } },
+    createdAt: { type: ['string', 'null'] },
+    size: { type: 'integer' },
+    // Only with allOccurrences
+    occurrences: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          offset: { type: 'integer' },
+          length: { type: 'integer' },
+          line: { type: 'integer' },
+          column: { type: 'integer' },
+          text: { type: 'string' },
+        },
+        required: ['offset', 'length', 'line', 'column', 'text'],
+      },
+    },
+    occurrencesTruncated: { type: 'boolean' },
+  },
+  required: ['sessionId', 'docId', 'title', 'score', 'snippets', 'tags', 'createdAt', 'size'],
+};
+
+// ==================== INDEX ====================
+
+/**
+ * Create an inverted index over a DocumentStore, kept current from document events
+ * @param {Object} store - DocumentStore (see document-store.js)
+ * @returns {{ search: Function, ready: Function }}
+ */
+function createSearchIndex(store) {
+  const documents = new Map(); // documentKey -> { sessionId, doc, lengths: { title, text }, terms: Set }
+  const postings = new Map(); // term -> Map(documentKey -> { title, text } term frequencies)
+  const totals = { title: 0, text: 0 }; // Sum of field lengths, for average lengths
+
+  function removeDocument(key) {
+    const entry = documents.get(key);
+    if (!entry) return;
+    for (const term of entry.terms) {
+      const posting = postings.get(term);
+      posting.delete(key);
+      if (posting.size === 0) postings.delete(term);
+    }
+    totals.title -= entry.lengths.title;
+    totals.text -= entry.lengths.text;
+    documents.delete(key);
+  }
+
+  function addDocument(sessionId, doc) {
+    const key = documentKey(sessionId, doc.id);
+    removeDocument(key);
+
+    const fields = { title: termFrequencies(doc.title), text: termFrequencies(doc.text) };
+    const lengths = { title: 0, text: 0 };
+    const terms = new Set();
+    for (const field of ['title', 'text']) {
+      for (const [term, frequency] of fields[field]) {
+        lengths[field] += frequency;
+        terms.add(term);
+        if (!postings.has(term)) postings.set(term, new Map());
+        const posting = postings.get(term);
+        posting.set(key, { title: 0, text: 0, ...posting.get(key), [field]: frequency });
+      }
+    }
+
+    totals.title += lengths.title;
+    totals.text += lengths.text;
+    // Keep only what results and filters need (not the revisions)
+    const { tags, createdAt, size } = documentMetadata(doc);
+    documents.set(key, { sessionId, doc: { id: doc.id, title: doc.title, text: doc.text, tags, createdAt, size }, lengths, terms });
+  }
+
+  async function reindexSession(sessionId, docId) {
+    const docs = await store.listDocuments(sessionId);
+    const doc = docs && docs.find(d => d.id === docId);
+    if (doc) {
+      addDocument(sessionId, doc);
+    } else {
+      removeDocument(documentKey(sessionId, docId));
+    }
+  }
+
+  async function applyChange(change) {
+    switch (change.type) {
+      case 'document-added':
+      case 'document-updated':
+        return reindexSession(change.sessionId, change.docId);
+      case 'document-deleted':
+        return removeDocument(documentKey(change.sessionId, change.docId));
+      case 'session-deleted':
+        for (const [key, entry] of documents) {
+          if (entry.sessionId === change.sessionId) removeDocument(key);
+        }
+        return undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  async function build() {
+    for (const { id: sessionId } of await store.listSessions()) {
+      for (const doc of await store.listDocuments(sessionId) || []) {
+        addDocument(sessionId, doc);
+      }
+    }
+    console.log(`🔎 Search index built: ${documents.size} document(s), ${postings.size} term(s)`);
+  }
+
+  // Changes are applied in order; searches wait for the ones already queued
+  let pendingUpdates = build();
+  onDocumentChange((change) => {
+    pendingUpdates = pendingUpdates
+      .then(() => applyChange(change))
+      .catch((error) => console.error(`❌ Search index update failed: ${error.message}`));
+  });
+
+  function bm25(frequency, length, averageLength) {
+    if (!frequency) return 0;
+    const norm = averageLength > 0 ? length / averageLength : 0;
+    return (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * norm));
+  }
+
+  // Per-search evaluation of a syntax tree from search-query.js over the documents in scope
+  function createEvaluation(scope, { fuzzy, allOccurrences }) {
+    const documentCount = documents.size;
+    const averageLengths = {
+      title: documentCount ? totals.title / documentCount : 0,
+      text: documentCount ? totals.text / documentCount : 0,
+    };
+    const regexRanges = new Map(); // documentKey -> text ranges matched by regular expressions
+    const regexLimit = allOccurrences ? MAX_OCCURRENCES : MAX_HIGHLIGHTS_SCANNED;
+    const variantCache = new Map();
+
+    const fieldsOf = field => (field ? [field] : ['title', 'text']);
+
+    function termKeys(term, field) {
+      const keys = new Set();
+      for (const [key, frequencies] of postings.get(term) || []) {
+        if (scope.has(key) && fieldsOf(field).some(name => frequencies[name] > 0)) keys.add(key);
+      }
+      return keys;
+    }
+
+    function prefixTerms(prefix) {
+      return Array.from(postings.keys()).filter(term => term.startsWith(prefix));
+    }
+
+    // Indexed words a term node matches: itself, and with typos allowed those within reach
+    function termVariants({ term, fuzzy: requested = fuzzy }) {
+      const edits = allowedEdits(term, requested);
+      if (edits === 0) return [{ term, distance: 0 }];
+      const cacheKey = `${term}~${edits}`;
+      if (!variantCache.has(cacheKey)) {
+        const variants = [];
+        for (const candidate of postings.keys()) {
+          const distance = editDistance(term, candidate, edits);
+          if (distance <= edits) variants.push({ term: candidate, distance });
+        }
+        variantCache.set(cacheKey, variants);
+      }
+      return variantCache.get(cacheKey);
+    }
+
+    function regexKeys({ field, pattern, flags }) {
+      const keys = Array.from(scope);
+      const keysWithMatches = new Set();
+      for (const name of fieldsOf(field)) {
+        const matches = regexMatches(pattern, flags, keys.map(key => documents.get(key).doc[name] || ''), regexLimit);
+        matches.forEach((ranges, i) => {
+          if (ranges.length === 0) return;
+          keysWithMatches.add(keys[i]);
+          if (name === 'text') regexRanges.set(keys[i], [...(regexRanges.get(keys[i]) || []), ...ranges]);
+        });
+      }
+      return keysWithMatches;
+    }
+
+    function intersect(sets) {
+      const [first, ...rest] = sets.sort((a, b) => a.size - b.size);
+      return new Set(Array.from(first).filter(key => rest.every(set => set.has(key))));
+    }
+
+    function evaluate(node) {
+      switch (node.type) {
+        case 'all':
+          return new Set(scope);
+        case 'term':
+          if (node.field === 'tags') {
+            return new Set(Array.from(scope).filter(key => documents.get(key).doc.tags.includes(node.term)));
+          }
+          return new Set(termVariants(node).flatMap(({ term }) => Array.from(termKeys(term, node.field))));
+        case 'prefix':
+          if (node.field === 'tags') {
+            return new Set(Array.from(scope).filter(key => documents.get(key).doc.tags.some(tag => tag.startsWith(node.prefix))));
+          }
+          return new Set(prefixTerms(node.prefix).flatMap(term => Array.from(termKeys(term, node.field))));
+        case 'phrase': {
+          const candidates = intersect(node.terms.map(term => termKeys(term, node.field)));
+          return new Set(Array.from(candidates).filter((key) => {
+            const { doc } = documents.get(key);
+            return fieldsOf(node.field).some(name => phraseRanges(doc[name], node.terms, 1).length > 0);
+          }));
+        }
+        case 'regex':
+          return regexKeys(node);
+        case 'and':
+          return intersect(node.clauses.map(evaluate));
+        case 'or':
+          return new Set(node.clauses.flatMap(clause => Array.from(evaluate(clause))));
+        case 'not': {
+          const excluded = evaluate(node.clause);
+          return new Set(Array.from(scope).filter(key => !excluded.has(key)));
+        }
+        default:
+          throw new Error(`Unknown query node: ${node.type}`);
+      }
+    }
+
+    function termScore(key, term, field) {
+      const posting = postings.get(term);
+      const frequencies = posting && posting.get(key);
+      if (!frequencies) return 0;
+      const { lengths } = documents.get(key);
+      const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+      return idf * (
+        (field === 'title' ? 0 : bm25(frequencies.text, lengths.text, averageLengths.text)) +
+        (field === 'text' ? 0 : TITLE_WEIGHT * bm25(frequencies.title, lengths.title, averageLengths.title))
+      );
+    }
+
+    // Words / prefixes the query looks for (not under NOT), for scoring and highlighting
+    function positiveLeaves(node, negated = false, leaves = []) {
+      if (node.type === 'not') return positiveLeaves(node.clause, !negated, leaves);
+      if (node.clauses) {
+        node.clauses.forEach(clause => positiveLeaves(clause, negated, leaves));
+      } else if (!negated && node.field !== 'tags') {
+        leaves.push(node);
+      }
+      return leaves;
+    }
+
+    return { evaluate, termScore, termVariants, prefixTerms, positiveLeaves, regexRanges };
+  }
+
+  /**
+   * Ranked search
+   * @param {Object} params
+   * @param {string} params.query - Query in the search-query.js language
+   * @param {string} [params.sessionId] - Only documents of this session
+   * @param {number} [params.limit=10] - Page size (at most 100)
+   * @param {string} [params.cursor] - nextCursor from the previous page
+   * @param {Object} [params.filters] - list_documents style filters and sortBy / order (document-metadata.js)
+   * @param {number} [params.fuzzy=0] - Typos allowed per word (word~N overrides)
+   * @param {boolean} [params.allOccurrences=false] - List every match in each result
+   * @param {boolean} [params.regex=false] - Allow /pattern/ in the query
+   * @param {AbortSignal} [params.signal] - Abort signal of the calling request, checked between result documents
+   * @param {Function} [params.onProgress] - Called as (done, total, message) once the matches are known
+   *   and after each result document is highlighted
+   * @returns {Promise<{ total: number, nextCursor: string|null, results: Array<Object> }>}
+   *   results match searchResultSchema, best first (or in sortBy order)
+   * @throws {Error} With code INVALID_SEARCH for unparsable queries, regular
+   *   expressions over the time limit, invalid cursors or filter values
+   */
+  async function search({
+    query, sessionId, limit = DEFAULT_LIMIT, cursor, filters = {}, fuzzy = 0, allOccurrences = false, regex = false, signal,
+    onProgress = () => {},
+  }) {
+    await pendingUpdates;
+    if (signal) signal.throwIfAborted();
+    const offset = decodeCursor(cursor);
+    const pageSize = Math.min(Math.max(1, limit), MAX_LIMIT);
+
+    let tree;
+    try {
+      tree = parseQuery(query, { allowRegex: regex });
+    } catch (error) {
+      throw error.code === QUERY_PARSE_ERROR ? invalidSearch(error.message) : error;
+    }
+
+    const scope = new Set(Array.from(documents)
+      .filter(([, entry]) => !sessionId || entry.sessionId === sessionId)
+      .map(([key]) => key));
+    const evaluation = createEvaluation(scope, { fuzzy, allOccurrences });
+    const matched = evaluation.evaluate(tree);
+
+    const leaves = evaluation.positiveLeaves(tree);
+    const scoredTerms = leaves.flatMap((leaf) => {
+      if (leaf.type === 'term') {
+        return evaluation.termVariants(leaf).map(({ term, distance }) => ({ term, field: leaf.field, weight: FUZZY_WEIGHT ** distance }));
+      }
+      if (leaf.type === 'phrase') return leaf.terms.map(term => ({ term, field: leaf.field, weight: 1 }));
+      if (leaf.type === 'prefix') return evaluation.prefixTerms(leaf.prefix).map(term => ({ term, field: leaf.field, weight: 1 }));
+      return [];
+    });
+    const scores = new Map(Array.from(matched, key => [
+      key,
+      scoredTerms.reduce((score, { term, field, weight }) => score + weight * evaluation.termScore(key, term, field), 0),
+    ]));
+
+    // Ranked by score; filterDocuments keeps that order unless sortBy is given
+    const ranked = Array.from(scores, ([key, score]) => ({ ...documents.get(key), key, score }))
+      .sort((a, b) => b.score - a.score || a.sessionId.localeCompare(b.sessionId) || a.doc.id.localeCompare(b.doc.id));
+    const resultsByDoc = new Map(ranked.map(result => [result.doc, result]));
+    let matches;
+    try {
+      matches = filterDocuments(ranked.map(result => result.doc), filters).map(doc => resultsByDoc.get(doc));
+    } catch (error) {
+      throw invalidSearch(error.message);
+    }
+
+    // Highlight what the query looks for in the text
+    const textLeaves = leaves.filter(leaf => leaf.field !== 'title');
+    const highlightTerms = new Set(textLeaves.flatMap((leaf) => {
+      if (leaf.type === 'term') return evaluation.termVariants(leaf).map(variant => variant.term);
+      return leaf.type === 'phrase' ? leaf.terms : [];
+    }));
+    const highlightPrefixes = textLeaves.filter(leaf => leaf.type === 'prefix').map(leaf => leaf.prefix);
+    const isMatch = term => highlightTerms.has(term) || highlightPrefixes.some(prefix => term.startsWith(prefix));
+    // Occurrences list phrases whole; their words on their own only where the query asks for them
+    const occurrenceTerms = new Set(textLeaves.flatMap(leaf => (leaf.type === 'term' ? evaluation.termVariants(leaf).map(variant => variant.term) : [])));
+    const occurrenceMatchers = {
+      isMatch: term => occurrenceTerms.has(term) || highlightPrefixes.some(prefix => term.startsWith(prefix)),
+      phrases: textLeaves.filter(leaf => leaf.type === 'phrase').map(leaf => leaf.terms),
+    };
+
+    const page = matches.slice(offset, offset + pageSize);
+    onProgress(0, page.length, `Matched ${matches.length} document(s)`);
+
+    // Snippets and occurrences scan each result's whole text: the slow part for long documents
+    const results = [];
+    for (const { sessionId: sid, doc, key, score } of page) {
+      const result = {
+        sessionId: sid,
+        docId: doc.id,
+        title: doc.title,
+        score: Math.round(score * 1000) / 1000,
+        snippets: buildSnippets(doc.text, isMatch, (evaluation.regexRanges.get(key) || []).slice(0, MAX_HIGHLIGHTS_SCANNED)),
+        tags: doc.tags,
+        createdAt: doc.createdAt,
+        size: doc.size,
+      };
+      if (allOccurrences) {
+        const { occurrences, truncated } = findOccurrences(doc.text || '', {
+          ...occurrenceMatchers,
+          ranges: evaluation.regexRanges.get(key) || [],
+        });
+        result.occurrences = occurrences;
+        result.occurrencesTruncated = truncated;
+      }
+      results.push(result);
+      onProgress(results.length, page.length, `Highlighted ${doc.title}`);
+
+      // Yield so a cancellation can be processed between documents
+      await new Promise(resolve => setImmediate(resolve));
+      if (signal) signal.throwIfAborted();
+    }
+
+    return {
+      total: matches.length,
+      nextCursor: offset + pageSize < matches.length ? encodeCursor(offset + pageSize) : null,
+      results,
+    };
+  }
+
+  return {
+    search,
+    ready: () => pendingUpdates,
+  };
+}
+
+// One index per store, created on first use
+const indexes = new WeakMap();
+
+/**
+ * The search index for a DocumentStore
+ * @param {Object} store - DocumentStore
+ * @returns {Object} Index created by createSearchIndex()
+ */
+function getSearchIndex(store) {
+  if (!indexes.has(store)) indexes.set(store, createSearchIndex(store));
+  return indexes.get(store);
+}
+
+module.exports = {
+  INVALID_SEARCH,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  searchOptionProperties,
+  searchResultSchema,
+  getSearchIndex,
+};
@@ -0,0 +1,301 @@
+// Search query language
+// Parses search_documents queries into a small syntax tree that
+// search-index.js evaluates:
+//
+//   vpn password            either word (documents with both rank higher)
+//   vpn AND password        both words
+//   vpn OR password         either word (same as juxtaposition)
+//   NOT ssh, -ssh           documents without the word
+//   "multi-factor auth"     exact phrase (words in this order)
+//   auth*                   words starting with "auth"
+//   pasword~, pasword~1     words within 2 (or the given number of) typos, see below
+//   (vpn OR ssh) AND key    grouping
+//   title:policy            only in the title; also text:, tags: (a whole tag, e.g. tags:hr)
+//   /pass(word)?s?/i        regular expression on the raw text (only with regex: true)
+//
+// As in Lucene, AND binds tighter than juxtaposition, and words next to each
+// other are alternatives while negated ones exclude: `"mfa" AND vpn -ssh
+// title:policy` finds documents with both "mfa" and vpn, or with policy in
+// the title, but never ssh. Operators must be upper case; lower-case and / or /
+// not are ordinary words.
+//
+// A typo is an inserted, deleted, replaced or swapped letter (edit distance).
+// At most MAX_EDIT_DISTANCE are allowed, and fewer for short words: none up
+// to 2 letters, one up to 5 (otherwise "cat~" would match half the index).
+//
+// Syntax tree nodes:
+//   { type: 'term', field, term, fuzzy? }   field: 'title' | 'text' | 'tags' | null (title or text);
+//                                           fuzzy: edit distance asked for with ~
+//   { type: 'prefix', field, prefix }
+//   { type: 'phrase', field, terms, text }
+//   { type: 'regex', field, pattern, flags }
+//   { type: 'and' | 'or', clauses }
+//   { type: 'not', clause }
+//   { type: 'all' }                          every document (a query of only exclusions)
+
+const { tokenize } = require('./tokenizer');
+
+const FIELDS = ['title', 'text', 'tags'];
+const MAX_EDIT_DISTANCE = 2;
+const REGEX_FLAGS = /^[imsu]*$/;
+
+// Error code for queries that cannot be parsed (search-index.js reports them like bad cursors)
+const QUERY_PARSE_ERROR = 'QUERY_PARSE_ERROR';
+
+function parseError(message, position) {
+  const error = new Error(`Invalid query at position ${position + 1}: ${message}`);
+  error.code = QUERY_PARSE_ERROR;
+  error.position = position;
+  return error;
+}
+
+// ==================== LEXER ====================
+
+/**
+ * Split a query into lexemes
+ * @param {string} query - Query text
+ * @returns {Array<Object>} { type: '(' | ')' | 'AND' | 'OR' | 'NOT' | 'word' | 'phrase' | 'regex', position, negated?, field?, value?, flags? }
+ */
+function lex(query) {
+  const lexemes = [];
+  let i = 0;
+
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    if (query[i] === '(' || query[i] === ')') {
+      lexemes.push({ type: query[i], position });
+      i++;
+      continue;
+    }
+
+    // Optional "-" and "field:" directly in front of the value
+    let negated = false;
+    if (query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      negated = true;
+      i++;
+    }
+    let field = null;
+    const qualifier = /^([a-z]+):(?=\S)/i.exec(query.slice(i));
+    if (qualifier && FIELDS.includes(qualifier[1].toLowerCase())) {
+      field = qualifier[1].toLowerCase();
+      i += qualifier[0].length;
+    }
+
+    if (query[i] === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end < 0) throw parseError('unterminated phrase (missing closing ")', i);
+      lexemes.push({ type: 'phrase', position, negated, field, value: query.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    if (query[i] === '/') {
+      // Find the closing slash, skipping escaped characters
+      let end = i + 1;
+      while (end < query.length && query[end] !== '/') end += query[end] === '\\' ? 2 : 1;
+      if (end >= query.length) throw parseError('unterminated regular expression (missing closing /)', i);
+      const flags = /^[a-z]*/i.exec(query.slice(end + 1))[0];
+      lexemes.push({ type: 'regex', position, negated, field, value: query.slice(i + 1, end), flags });
+      i = end + 1 + flags.length;
+      continue;
+    }
+
+    const word = /^[^\s()"]+/.exec(query.slice(i));
+    if (!word) throw parseError(`expected a word after "${query.slice(position, i)}"`, i);
+    i += word[0].length;
+
+    if (!negated && !field && ['AND', 'OR', 'NOT'].includes(word[0])) {
+      lexemes.push({ type: word[0], position });
+    } else {
+      lexemes.push({ type: 'word', position, negated, field, value: word[0] });
+    }
+  }
+
+  return lexemes;
+}
+
+// ==================== PARSER ====================
+
+function atomNode(lexeme, { allowRegex }) {
+  const { type, field, value, position } = lexeme;
+
+  if (type === 'regex') {
+    if (!allowRegex) {
+      throw parseError('regular expressions are disabled; pass regex: true to use /pattern/', position);
+    }
+    if (field === 'tags') throw parseError('regular expressions cannot be used with tags:', position);
+    if (!REGEX_FLAGS.test(lexeme.flags)) {
+      throw parseError(`unsupported regular expression flags "${lexeme.flags}" (use i, m, s, u)`, position);
+    }
+    try {
+      RegExp(value, lexeme.flags);
+    } catch (error) {
+      throw parseError(`invalid regular expression: ${error.message}`, position);
+    }
+    return { type: 'regex', field, pattern: value, flags: lexeme.flags };
+  }
+
+  // Tags are matched whole, not as words
+  if (field === 'tags') {
+    if (type === 'word' && /~\d*$/.test(value)) throw parseError('~ cannot be used with tags:', position);
+    const tag = value.trim().toLowerCase();
+    if (type === 'word' && tag.length > 1 && tag.endsWith('*')) {
+      return { type: 'prefix', field, prefix: tag.slice(0, -1) };
+    }
+    if (!tag) throw parseError('empty tag', position);
+    return { type: 'term', field, term: tag };
+  }
+
+  const fuzzy = type === 'word' ? /^(.+?)~(\d*)$/.exec(value) : null;
+  if (fuzzy) {
+    const edits = fuzzy[2] === '' ? MAX_EDIT_DISTANCE : Number(fuzzy[2]);
+    if (edits > MAX_EDIT_DISTANCE) {
+      throw parseError(`at most ${MAX_EDIT_DISTANCE} typos can be allowed (got ~${fuzzy[2]})`, position);
+    }
+    const fuzzyTerms = tokenize(fuzzy[1]).map(token => token.term);
+    if (fuzzyTerms.length !== 1 || fuzzy[1].endsWith('*')) {
+      throw parseError('~ works on a single word', position);
+    }
+    return { type: 'term', field, term: fuzzyTerms[0], fuzzy: edits };
+  }
+
+  const isPrefix = type === 'word' && value.endsWith('*');
+  const terms = tokenize(isPrefix ? value.slice(0, -1) : value).map(token => token.term);
+  if (terms.length === 0) {
+    if (type === 'phrase') throw parseError('empty phrase', position);
+    return null; // Punctuation only: nothing to search for
+  }
+
+  if (isPrefix) {
+    const prefix = { type: 'prefix', field, prefix: terms[terms.length - 1] };
+    if (terms.length === 1) return prefix;
+    return { type: 'and', clauses: [...terms.slice(0, -1).map(term => ({ type: 'term', field, term })), prefix] };
+  }
+  // "multi-factor" is searched as the phrase "multi factor"
+  if (terms.length > 1) return { type: 'phrase', field, terms, text: value };
+  return { type: 'term', field, term: terms[0] };
+}
+
+/**
+ * Edit distance a term may be matched within
+ * @param {string} term - Query term
+ * @param {number} requested - Typos asked for (~N or the fuzzy search option)
+ * @returns {number} requested, capped by MAX_EDIT_DISTANCE and the term length
+ */
+function allowedEdits(term, requested) {
+  const lengthCap = term.length <= 2 ? 0 : term.length <= 5 ? 1 : MAX_EDIT_DISTANCE;
+  return Math.max(0, Math.min(requested, lengthCap));
+}
+
+/**
+ * Parse a query
+ * @param {string} query - Query text (syntax above)
+ * @param {Object} [options]
+ * @param {boolean} [options.allowRegex=false] - Accept /pattern/ atoms
+ * @returns {Object} Syntax tree
+ * @throws {Error} With code QUERY_PARSE_ERROR and the failing position
+ */
+function parseQuery(query, { allowRegex = false } = {}) {
+  const lexemes = lex(query);
+  let index = 0;
+
+  const peek = () => lexemes[index];
+  const endPosition = () => query.length;
+
+  // unary := NOT unary | '(' or ')' | atom      (returns null for atoms without searchable words)
+  function parseUnary() {
+    const lexeme = peek();
+    if (!lexeme) throw parseError('unexpected end of query', endPosition());
+
+    if (lexeme.type === 'NOT') {
+      index++;
+      const clause = parseUnary();
+      if (!clause) throw parseError('NOT must be followed by something to exclude', lexeme.position);
+      return { type: 'not', clause };
+    }
+
+    if (lexeme.type === '(') {
+      index++;
+      const group = parseOr();
+      const close = peek();
+      if (!close || close.type !== ')') {
+        throw parseError('missing closing parenthesis', close ? close.position : endPosition());
+      }
+      index++;
+      return group;
+    }
+
+    if (lexeme.type === ')' || lexeme.type === 'AND' || lexeme.type === 'OR') {
+      throw parseError(`unexpected ${lexeme.type}`, lexeme.position);
+    }
+
+    index++;
+    const atom = atomNode(lexeme, { allowRegex });
+    return atom && lexeme.negated ? { type: 'not', clause: atom } : atom;
+  }
+
+  // and := unary (AND unary)*
+  function parseAnd() {
+    const clauses = [parseUnary()];
+    while (peek() && peek().type === 'AND') {
+      index++;
+      clauses.push(parseUnary());
+    }
+    const present = clauses.filter(Boolean);
+    if (present.length === 0) return null;
+    return present.length === 1 ? present[0] : { type: 'and', clauses: present };
+  }
+
+  // sequence := and+   (alternatives, minus the negated ones)
+  function parseSequence() {
+    const positives = [];
+    const negatives = [];
+    while (peek() && !['OR', ')'].includes(peek().type)) {
+      const clause = parseAnd();
+      if (!clause) continue;
+      if (clause.type === 'not') negatives.push(clause.clause);
+      else positives.push(clause);
+    }
+
+    if (positives.length === 0 && negatives.length === 0) return null;
+    const include = positives.length === 0 ? { type: 'all' }
+      : positives.length === 1 ? positives[0]
+        : { type: 'or', clauses: positives };
+    if (negatives.length === 0) return include;
+    return { type: 'and', clauses: [include, ...negatives.map(clause => ({ type: 'not', clause }))] };
+  }
+
+  // or := sequence (OR sequence)*
+  function parseOr() {
+    const start = peek();
+    const clauses = [parseSequence()];
+    if (peek() && peek().type === 'OR' && index === lexemes.indexOf(start)) {
+      throw parseError('OR must follow something to search for', peek().position);
+    }
+    while (peek() && peek().type === 'OR') {
+      const operator = peek();
+      index++;
+      if (!peek() || peek().type === ')' || peek().type === 'OR') {
+        throw parseError('OR must be followed by something to search for', operator.position);
+      }
+      clauses.push(parseSequence());
+    }
+    const present = clauses.filter(Boolean);
+    if (present.length === 0) {
+      throw parseError('nothing to search for', start ? start.position : endPosition());
+    }
+    return present.length === 1 ? present[0] : { type: 'or', clauses: present };
+  }
+
+  if (lexemes.length === 0) throw parseError('nothing to search for', 0);
+  const tree = parseOr();
+  if (peek()) throw parseError(`unexpected ${peek().type === ')' ? ')' : `"${peek().type}"`}`, peek().position);
+  return tree;
+}
+
+module.exports = { QUERY_PARSE_ERROR, MAX_EDIT_DISTANCE, allowedEdits, parseQuery };
@@ -0,0 +1,198 @@
+// Session bundles
+// A session exported as one JSON document (documents with their revisions,
+// query history and metadata) that another gateway can import, e.g. to move
+// a prepared set of documents from a dev gateway to the demo one or to attach
+// it to a bug report. Used by the REST export / import routes and MCP tools.
+
+const { v4: uuidv4 } = require('uuid');
+const { contentHash } = require('./revisions');
+const { documentMetadataSchema } = require('./document-metadata');
+
+const BUNDLE_FORMAT = 'ai-foundry-mcp-gateway/session-bundle';
+const BUNDLE_VERSION = 1;
+
+// Error code when importing with preserved IDs into a gateway that already has the session
+const SESSION_EXISTS = 'SESSION_EXISTS';
+// Error code for bundles that pass bundleSchema but contradict themselves
+const INVALID_BUNDLE = 'INVALID_BUNDLE';
+
+const revisionSchema = {
+  type: 'object',
+  properties: {
+    revision: { type: 'integer', minimum: 1 },
+    title: { type: 'string' },
+    text: { type: 'string' },
+    author: { type: ['object', 'null'] },
+    createdAt: { type: ['string', 'null'] },
+    hash: { type: 'string' },
+  },
+  required: ['revision', 'title', 'text'],
+};
+
+const bundleSchema = {
+  type: 'object',
+  properties: {
+    format: { const: BUNDLE_FORMAT },
+    version: { const: BUNDLE_VERSION },
+    exportedAt: { type: 'string' },
+    session: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        createdAt: { type: ['string', 'null'] },
+      },
+      required: ['id'],
+    },
+    documents: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          title: { type: 'string', minLength: 1 },
+          text: { type: 'string' },
+          revisions: { type: 'array', items: revisionSchema, minItems: 1 },
+          ...documentMetadataSchema,
+        },
+        required: ['id', 'title', 'text'],
+      },
+    },
+    history: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          query: { type: ['string', 'null'] },
+          response: { type: ['string', 'null'] },
+          docId: { type: 'string' },
+        },
+      },
+    },
+  },
+  required: ['format', 'version', 'session', 'documents'],
+};
+
+/**
+ * Bundle a session for export
+ * @param {Object} store - Shared DocumentStore
+ * @param {string} sessionId - Session to export
+ * @returns {Promise<Object|null>} Bundle, or null if there is no such session
+ */
+async function exportSession(store, sessionId) {
+  const session = await store.getSession(sessionId);
+  if (!session) return null;
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: { id: session.id, createdAt: session.createdAt || null },
+    documents: session.docs,
+    history: session.history,
+  };
+}
+
+function invalidBundle(message) {
+  const error = new Error(`Invalid bundle: ${message}`);
+  error.code = INVALID_BUNDLE;
+  return error;
+}
+
+/**
+ * Check what bundleSchema can't: document IDs are unique, and each document's
+ * revisions are numbered in strictly ascending order, match their hashes, and
+ * end with the document's current title and text. Later updates number their
+ * revision after the last one, so a history that breaks these rules would
+ * collide with existing revisions or make diffs lie.
+ * @param {Object} bundle - Bundle that passed bundleSchema
+ * @throws {Error} With code INVALID_BUNDLE naming the first problem
+ */
+function validateBundleContent(bundle) {
+  const seenIds = new Set();
+  for (const doc of bundle.documents) {
+    if (seenIds.has(doc.id)) throw invalidBundle(`duplicate document ID ${doc.id}`);
+    seenIds.add(doc.id);
+
+    const revisions = doc.revisions || [];
+    revisions.forEach((revision, i) => {
+      const previous = revisions[i - 1];
+      if (previous && revision.revision <= previous.revision) {
+        throw invalidBundle(`document ${doc.id}: revision ${revision.revision} follows revision ${previous.revision}; revision numbers must be unique and ascending`);
+      }
+      if (revision.hash && revision.hash !== contentHash(revision.text)) {
+        throw invalidBundle(`document ${doc.id}: revision ${revision.revision} does not match its hash`);
+      }
+    });
+
+    const last = revisions[revisions.length - 1];
+    if (last && (last.text !== doc.text || last.title !== doc.title)) {
+      throw invalidBundle(`document ${doc.id}: title and text differ from its last revision (${last.revision})`);
+    }
+  }
+}
+
+/**
+ * Recreate a session from a bundle (validate it against bundleSchema first)
+ * With preserveIds the session and documents keep their exported IDs, which
+ * fails if the session already exists here; otherwise everything gets new IDs
+ * and history entries are re-pointed at the new document IDs. If a quota is
+ * hit half way the partly imported session is removed again. Bundles with
+ * duplicate document IDs or an inconsistent revision history are rejected
+ * before anything is created (see validateBundleContent).
+ * @param {Object} store - Shared DocumentStore
+ * @param {Object} bundle - Bundle produced by exportSession()
+ * @param {Object} [options]
+ * @param {boolean} [options.preserveIds=false] - Keep the bundle's IDs
+ * @returns {Promise<{ sessionId: string, expiresAt: string|null, documentIds: Object }>}
+ *   documentIds maps each bundle document ID to its ID in this gateway
+ * @throws {Error} With code INVALID_BUNDLE or SESSION_EXISTS
+ */
+async function importSession(store, bundle, { preserveIds = false } = {}) {
+  validateBundleContent(bundle);
+
+  const sessionExists = () => {
+    const error = new Error(`Session already exists: ${bundle.session.id}`);
+    error.code = SESSION_EXISTS;
+    return error;
+  };
+  if (preserveIds && await store.getSession(bundle.session.id)) throw sessionExists();
+
+  let session;
+  try {
+    session = await store.createSession(preserveIds
+      ? { id: bundle.session.id, ...(bundle.session.createdAt && { createdAt: bundle.session.createdAt }) }
+      : {});
+  } catch (error) {
+    // Another import (or create) may have taken the ID since the check above
+    if (preserveIds && await store.getSession(bundle.session.id)) throw sessionExists();
+    throw error;
+  }
+
+  const documentIds = {};
+  try {
+    for (const { id, ...doc } of bundle.documents) {
+      const imported = await store.addDocument(session.id, { ...doc, id: preserveIds ? id : uuidv4() });
+      documentIds[id] = imported.id;
+    }
+    for (const entry of bundle.history || []) {
+      await store.appendHistory(session.id, {
+        ...entry,
+        ...(entry.docId && { docId: documentIds[entry.docId] || entry.docId }),
+      });
+    }
+  } catch (error) {
+    await store.deleteSession(session.id);
+    throw error;
+  }
+
+  return { sessionId: session.id, expiresAt: session.expiresAt, documentIds };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  SESSION_EXISTS,
+  INVALID_BUNDLE,
+  bundleSchema,
+  exportSession,
+  importSession,
+};
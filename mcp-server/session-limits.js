@@ -0,0 +1,229 @@
+// Session lifetime and quotas
+// Wraps a DocumentStore (see document-store.js) so every transport gets the same
+// limits: an idle TTL after which a background sweeper deletes the session, and
+// caps on the number of sessions, documents per session and bytes per session.
+//
+// Activity that keeps a session alive: creating it, getSession / getDocument,
+// and any change to it. Enumeration (listSessions / listDocuments, used by
+// resources/list, completion and search) does not, so a client browsing the
+// gateway can't keep every session alive. Changes announced on document-events.js
+// count too, so changes another process makes to a shared file store keep the
+// session alive here (its reads don't). Activity times are kept in memory:
+// after a restart the idle clock of persisted sessions starts over.
+//
+// Every limit can be disabled by setting it to 0.
+
+const { documentRevisions } = require('./revisions');
+const { onDocumentChange } = require('./document-events');
+
+// Error code on quota errors; REST routes map error.status to the HTTP status
+const QUOTA_EXCEEDED = 'SESSION_QUOTA_EXCEEDED';
+
+const SESSION_LIMITS = {
+  idleTtlMs: parseInt(process.env.SESSION_IDLE_TTL_MS || String(24 * 60 * 60 * 1000), 10),
+  maxSessions: parseInt(process.env.MAX_SESSIONS || '1000', 10),
+  maxDocumentsPerSession: parseInt(process.env.MAX_DOCUMENTS_PER_SESSION || '100', 10),
+  maxBytesPerSession: parseInt(process.env.MAX_BYTES_PER_SESSION || String(50 * 1024 * 1024), 10),
+  sweepIntervalMs: parseInt(process.env.SESSION_SWEEP_INTERVAL_MS || '60000', 10),
+};
+
+/**
+ * Build a quota error
+ * @param {number} status - 413 for size limits, 429 for count limits
+ * @param {string} message - What was exceeded, including the limit
+ * @returns {Error} Error with code QUOTA_EXCEEDED and status
+ */
+function quotaError(status, message) {
+  const error = new Error(`Quota exceeded: ${message}`);
+  error.code = QUOTA_EXCEEDED;
+  error.status = status;
+  return error;
+}
+
+function isQuotaError(error) {
+  return Boolean(error) && error.code === QUOTA_EXCEEDED;
+}
+
+function textBytes(text) {
+  return Buffer.byteLength(text || '', 'utf-8');
+}
+
+// A document's size counts every revision it keeps (see revisions.js)
+function storedBytes(doc) {
+  return documentRevisions(doc).reduce((total, revision) => total + textBytes(revision.text), 0);
+}
+
+/**
+ * Wrap a DocumentStore with TTLs and quotas
+ * Sessions returned by createSession / getSession / listSessions gain an
+ * expiresAt (ISO string, or null when the TTL is disabled).
+ * @param {Object} store - DocumentStore to wrap
+ * @param {Object} [limits=SESSION_LIMITS] - { idleTtlMs, maxSessions, maxDocumentsPerSession, maxBytesPerSession }
+ * @returns {Object} DocumentStore with sweepExpiredSessions() and startSweeper(intervalMs)
+ */
+function withSessionLimits(store, limits = SESSION_LIMITS) {
+  const startedAt = Date.now();
+  const lastActivity = new Map(); // sessionId -> epoch ms
+
+  function touch(sessionId) {
+    lastActivity.set(sessionId, Date.now());
+  }
+
+  onDocumentChange((change) => {
+    if (change.type === 'session-deleted') {
+      lastActivity.delete(change.sessionId);
+    } else {
+      touch(change.sessionId);
+    }
+  });
+
+  function expiresAt(sessionId) {
+    if (!limits.idleTtlMs) return null;
+    return new Date((lastActivity.get(sessionId) || startedAt) + limits.idleTtlMs).toISOString();
+  }
+
+  function isExpired(sessionId, now) {
+    return Boolean(limits.idleTtlMs) && (lastActivity.get(sessionId) || startedAt) + limits.idleTtlMs <= now;
+  }
+
+  // Quota checks and the changes they guard run one at a time, so concurrent
+  // requests can't all pass the check before any of them is applied
+  let pendingChange = Promise.resolve();
+  function serialized(change) {
+    const run = pendingChange.catch(() => {}).then(change);
+    pendingChange = run;
+    return run;
+  }
+
+  function withExpiry(session) {
+    return session && { ...session, expiresAt: expiresAt(session.id) };
+  }
+
+  /**
+   * Throw if storing more text (a new document, or a new revision of one) breaks a quota
+   * @param {string} sessionId - Target session
+   * @param {number} addedBytes - Bytes of text about to be stored
+   * @param {boolean} isNewDocument - Whether a document is added (counts toward the document limit)
+   */
+  async function assertFits(sessionId, addedBytes, isNewDocument) {
+    const docs = await store.listDocuments(sessionId);
+    if (!docs) return; // The wrapped store reports the missing session
+
+    if (isNewDocument && limits.maxDocumentsPerSession && docs.length >= limits.maxDocumentsPerSession) {
+      throw quotaError(429, `Session ${sessionId} already has the maximum of ${limits.maxDocumentsPerSession} documents`);
+    }
+
+    const bytes = docs.reduce((total, d) => total + storedBytes(d), 0) + addedBytes;
+    if (limits.maxBytesPerSession && bytes > limits.maxBytesPerSession) {
+      throw quotaError(413, `Session ${sessionId} would hold ${bytes} bytes including document revisions, over its limit of ${limits.maxBytesPerSession} bytes`);
+    }
+  }
+
+  const limitedStore = {
+    ...store,
+
+    async createSession(options) {
+      return serialized(async () => {
+        if (limits.maxSessions && (await store.listSessions()).length >= limits.maxSessions) {
+          throw quotaError(429, `the gateway already holds the maximum of ${limits.maxSessions} sessions; try again after idle sessions expire`);
+        }
+        const session = await store.createSession(options);
+        touch(session.id);
+        return withExpiry(session);
+      });
+    },
+
+    async getSession(sessionId) {
+      const session = await store.getSession(sessionId);
+      if (session) touch(sessionId);
+      return withExpiry(session);
+    },
+
+    async listSessions() {
+      return (await store.listSessions()).map(withExpiry);
+    },
+
+    async deleteSession(sessionId) {
+      lastActivity.delete(sessionId);
+      return store.deleteSession(sessionId);
+    },
+
+    async addDocument(sessionId, doc, options) {
+      return serialized(async () => {
+        await assertFits(sessionId, storedBytes(doc), true);
+        const added = await store.addDocument(sessionId, doc, options);
+        if (added) touch(sessionId);
+        return added;
+      });
+    },
+
+    async getDocument(sessionId, docId) {
+      const doc = await store.getDocument(sessionId, docId);
+      if (doc) touch(sessionId);
+      return doc;
+    },
+
+    async updateDocument(sessionId, docId, changes, options) {
+      return serialized(async () => {
+        const current = await store.getDocument(sessionId, docId);
+        if (current) {
+          // The new revision stores the full text again, even for a rename
+          await assertFits(sessionId, textBytes(typeof changes.text === 'string' ? changes.text : current.text), false);
+        }
+        const updated = await store.updateDocument(sessionId, docId, changes, options);
+        if (updated) touch(sessionId);
+        return updated;
+      });
+    },
+
+    async deleteDocument(sessionId, docId) {
+      const deleted = await store.deleteDocument(sessionId, docId);
+      if (deleted) touch(sessionId);
+      return deleted;
+    },
+
+    async appendHistory(sessionId, entry) {
+      const appended = await store.appendHistory(sessionId, entry);
+      if (appended) touch(sessionId);
+      return appended;
+    },
+
+    /**
+     * Delete every session that has been idle longer than the TTL
+     * @returns {Promise<Array<string>>} IDs of the evicted sessions
+     */
+    async sweepExpiredSessions() {
+      const now = Date.now();
+      const evicted = [];
+      for (const { id } of await store.listSessions()) {
+        if (isExpired(id, now) && await limitedStore.deleteSession(id)) {
+          evicted.push(id);
+        }
+      }
+      if (evicted.length > 0) {
+        console.log(`🧹 Evicted ${evicted.length} idle session(s): ${evicted.join(', ')}`);
+      }
+      return evicted;
+    },
+
+    /**
+     * Run sweepExpiredSessions() on an interval that doesn't keep the process alive
+     * @param {number} [intervalMs=limits.sweepIntervalMs]
+     * @returns {Function} Stops the sweeper
+     */
+    startSweeper(intervalMs = limits.sweepIntervalMs) {
+      if (!limits.idleTtlMs || !intervalMs) return () => {};
+      const timer = setInterval(() => {
+        limitedStore.sweepExpiredSessions().catch((error) => {
+          console.error(`❌ Session sweep failed: ${error.message}`);
+        });
+      }, intervalMs);
+      timer.unref();
+      return () => clearInterval(timer);
+    },
+  };
+
+  return limitedStore;
+}
+
+module.exports = { SESSION_LIMITS, QUOTA_EXCEEDED, isQuotaError, withSessionLimits };
@@ -0,0 +1,133 @@
+// Legacy SSE connection state
+// Each GET /mcp/sse stream is a logical connection that outlives the HTTP
+// response: every `event: message` carries an `id: <connectionId>:<seq>`, the
+// last events are kept in a bounded replay buffer, and a client reconnecting
+// with Last-Event-ID within the grace period gets the same connection back
+// along with anything it missed while App Service / APIM had dropped the stream.
+// If some of those events already fell out of the buffer, the connection is not
+// resumed: the client gets a new one and has to initialize again.
+
+// Number of events kept per connection for replay
+const SSE_REPLAY_BUFFER_SIZE = parseInt(process.env.MCP_SSE_REPLAY_BUFFER_SIZE || '200', 10);
+
+// How long a dropped connection is kept waiting for a reconnect
+const SSE_RECONNECT_GRACE_MS = parseInt(process.env.MCP_SSE_RECONNECT_GRACE_MS || '120000', 10);
+
+/**
+ * Create the state for a new logical SSE connection
+ * @param {string} connectionId - ID used in the /mcp/message?sessionId= endpoint and event IDs
+ * @returns {Object} Connection state (res is attached separately)
+ */
+function createSSEConnection(connectionId) {
+  const connection = {
+    id: connectionId,
+    res: null,
+    lastEventSeq: 0,
+    replayBuffer: [], // [{ seq, event }] oldest first
+    droppedEventSeq: 0, // Last event pushed out of the replay buffer
+    expiryTimer: null,
+    subscriptions: new Set(),
+    inFlightRequests: new Map(), // JSON-RPC id -> AbortController
+    pendingClientRequests: new Map(), // server-initiated request id -> { resolve, reject }
+    lastServerRequestId: 0,
+    // initialized / protocolVersion / clientCapabilities are filled in by the dispatcher
+    initialized: false,
+  };
+  connection.send = (message) => sendSSEMessage(connection, message);
+  return connection;
+}
+
+/**
+ * Whether the connection currently has a stream to write events to
+ * @param {Object} connection - Connection state
+ * @returns {boolean}
+ */
+function hasLiveStream(connection) {
+  return Boolean(connection.res) && !connection.res.writableEnded;
+}
+
+/**
+ * Write a JSON-RPC message to the connection's SSE stream
+ * The event is numbered and buffered even when the stream is currently
+ * detached, so a reconnecting client can still receive it.
+ * @param {Object} connection - Connection state
+ * @param {Object|Array} message - JSON-RPC message or batch
+ * @param {Object} [options]
+ * @param {boolean} [options.bufferUndelivered=true] - false when the caller delivers the
+ *   message another way if the stream can't take it (a response in the POST body), so a
+ *   resuming client does not receive it twice
+ * @returns {boolean} True if the event was written to a live stream
+ */
+function sendSSEMessage(connection, message, { bufferUndelivered = true } = {}) {
+  const seq = ++connection.lastEventSeq;
+  const event = `id: ${connection.id}:${seq}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`;
+
+  let written = false;
+  if (hasLiveStream(connection)) {
+    try {
+      connection.res.write(event);
+      written = true;
+    } catch (error) {
+      console.error(`❌ Failed to write SSE message: ${error.message}`);
+    }
+  }
+
+  if (written || bufferUndelivered) {
+    connection.replayBuffer.push({ seq, event });
+    if (connection.replayBuffer.length > SSE_REPLAY_BUFFER_SIZE) {
+      connection.droppedEventSeq = connection.replayBuffer.shift().seq;
+    }
+  }
+  return written;
+}
+
+/**
+ * Whether every event after a client's Last-Event-ID is still in the buffer
+ * @param {Object} connection - Connection state
+ * @param {number} afterSeq - Sequence number from the client's Last-Event-ID
+ * @returns {boolean} False when replaying would leave a gap
+ */
+function canReplayFrom(connection, afterSeq) {
+  return afterSeq >= connection.droppedEventSeq;
+}
+
+/**
+ * Re-send buffered events the client has not seen yet
+ * @param {Object} connection - Connection state with a live res
+ * @param {number} afterSeq - Sequence number from the client's Last-Event-ID
+ * @returns {number} Number of events replayed
+ */
+function replayMissedEvents(connection, afterSeq) {
+  const missed = connection.replayBuffer.filter(entry => entry.seq > afterSeq);
+  for (const entry of missed) {
+    connection.res.write(entry.event);
+  }
+  return missed.length;
+}
+
+/**
+ * Parse a Last-Event-ID header produced by sendSSEMessage
+ * @param {string} [header] - Last-Event-ID header value
+ * @returns {{ connectionId: string, seq: number }|null}
+ */
+function parseLastEventId(header) {
+  if (!header) return null;
+  const separator = header.lastIndexOf(':');
+  if (separator <= 0) return null;
+
+  const seq = parseInt(header.slice(separator + 1), 10);
+  if (!Number.isInteger(seq) || seq < 0) return null;
+
+  return { connectionId: header.slice(0, separator), seq };
+}
+
+module.exports = {
+  SSE_REPLAY_BUFFER_SIZE,
+  SSE_RECONNECT_GRACE_MS,
+  createSSEConnection,
+  hasLiveStream,
+  sendSSEMessage,
+  canReplayFrom,
+  replayMissedEvents,
+  parseLastEventId,
+};
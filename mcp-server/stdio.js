@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// MCP stdio entrypoint
+// Runs the gateway's MCP server over stdin/stdout for desktop MCP clients
+// that spawn servers as child processes:
+//
+//   node mcp-server/stdio.js
+//
+// It uses the same store configuration as the HTTP server (store.js). With
+// DOCUMENT_STORE=file and the gateway's DOCUMENT_STORE_DIR both processes share
+// the sessions and documents (file-store.js locks and re-reads the journal);
+// with the default memory store this process has sessions of its own.
+//
+// stdout carries the JSON-RPC protocol stream, so all logging is sent to stderr.
+
+// Route every console method to stderr BEFORE loading modules that log
+for (const method of ['log', 'info', 'warn', 'debug']) {
+  console[method] = (...args) => console.error(...args);
+}
+
+// Sharing a file store, the gateway evicts idle sessions: this process doesn't
+// see the gateway's reads, so it would count sessions in use there as idle
+if (process.env.DOCUMENT_STORE === 'file' && process.env.SESSION_SWEEP_INTERVAL_MS === undefined) {
+  process.env.SESSION_SWEEP_INTERVAL_MS = '0';
+}
+
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { createMCPServer } = require('./mcp-handler');
+const store = require('./store');
+
+async function main() {
+  const server = createMCPServer(store);
+  const transport = new StdioServerTransport();
+
+  await server.connect(transport);
+  const sharing = store.kind === 'file'
+    ? `file store in ${process.env.DOCUMENT_STORE_DIR || 'mcp-server/data'}, shared with other processes using it`
+    : 'memory store of its own';
+  console.log(`🚀 MCP server running on stdio (${sharing})`);
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to start MCP stdio server:', error);
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+// Shared document store
+// The DocumentStore selected by DOCUMENT_STORE / DOCUMENT_STORE_DIR (see document-store.js),
+// with the session TTL and quotas from session-limits.js applied, CSV documents parsed
+// as they are stored (csv-table.js), idle sessions swept, and the keyword and
+// semantic search indexes kept up to date.
+// Required by both the HTTP server (index.js) and the stdio entrypoint (stdio.js)
+// so every transport works on the same data within a process.
+
+const { createDocumentStore } = require('./document-store');
+const { withSessionLimits } = require('./session-limits');
+const { withCsvTables } = require('./csv-table');
+const { getSearchIndex } = require('./search-index');
+const { getVectorIndex } = require('./vector-index');
+
+const store = withCsvTables(withSessionLimits(createDocumentStore({
+  type: process.env.DOCUMENT_STORE || 'memory',
+  dir: process.env.DOCUMENT_STORE_DIR || undefined,
+})));
+
+store.startSweeper();
+
+// Build the indexes now, so documents are indexed (and embedded) as they are uploaded
+getSearchIndex(store);
+getVectorIndex(store);
+
+module.exports = store;
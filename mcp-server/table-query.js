@@ -0,0 +1,312 @@
+// Table queries
+// describe_table and query_table over the typed tables from csv-table.js.
+// A query runs in SQL order: where (all conditions must hold) -> groupBy with
+// aggregates -> orderBy -> limit -> select. Values given in conditions are
+// converted to the column's type, so "30" compares as a number on an integer
+// column and "2024-01-31" as a date on a date column. Text comparisons ignore
+// case. Nulls never satisfy a comparison and sort last.
+
+const DEFAULT_SAMPLE_SIZE = 5;
+const MAX_SAMPLE_SIZE = 50;
+const DEFAULT_ROW_LIMIT = 100;
+const MAX_ROW_LIMIT = 1000;
+
+const OPERATORS = ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'contains', 'in', 'isNull', 'notNull'];
+const AGGREGATES = ['count', 'sum', 'avg'];
+const NUMERIC_TYPES = ['integer', 'number'];
+
+// ==================== SCHEMAS ====================
+
+const describeTableProperties = {
+  sampleSize: {
+    type: 'integer',
+    minimum: 0,
+    maximum: MAX_SAMPLE_SIZE,
+    description: `Optional: number of sample rows (default: ${DEFAULT_SAMPLE_SIZE})`,
+  },
+};
+
+const queryTableProperties = {
+  where: {
+    type: 'array',
+    description: 'Optional: conditions that must all hold, e.g. [{ "column": "region", "op": "eq", "value": "EU" }]',
+    items: {
+      type: 'object',
+      properties: {
+        column: { type: 'string', minLength: 1 },
+        op: { type: 'string', enum: OPERATORS },
+        value: { description: 'Value to compare with (an array for "in"; not used by isNull / notNull)' },
+      },
+      required: ['column', 'op'],
+    },
+  },
+  select: {
+    type: 'array',
+    items: { type: 'string', minLength: 1 },
+    description: 'Optional: columns (or aggregate names) to return (default: all)',
+  },
+  groupBy: {
+    type: 'array',
+    items: { type: 'string', minLength: 1 },
+    description: 'Optional: columns to group rows by; each group becomes one row with the aggregates',
+  },
+  aggregates: {
+    type: 'array',
+    description: 'Optional: e.g. [{ "fn": "sum", "column": "sales", "as": "total" }, { "fn": "count" }]; over all rows when there is no groupBy',
+    items: {
+      type: 'object',
+      properties: {
+        fn: { type: 'string', enum: AGGREGATES },
+        column: { type: 'string', minLength: 1, description: 'Column to aggregate (required for sum / avg; count without it counts rows)' },
+        as: { type: 'string', minLength: 1, description: 'Result name (default: fn_column, or count)' },
+      },
+      required: ['fn'],
+    },
+  },
+  orderBy: {
+    type: 'array',
+    description: 'Optional: sort keys, e.g. [{ "column": "total", "direction": "desc" }]',
+    items: {
+      type: 'object',
+      properties: {
+        column: { type: 'string', minLength: 1 },
+        direction: { type: 'string', enum: ['asc', 'desc'] },
+      },
+      required: ['column'],
+    },
+  },
+  limit: {
+    type: 'integer',
+    minimum: 1,
+    maximum: MAX_ROW_LIMIT,
+    description: `Optional: maximum rows returned (default: ${DEFAULT_ROW_LIMIT})`,
+  },
+};
+
+const columnSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    type: { type: 'string' },
+  },
+  required: ['name', 'type'],
+};
+
+// ==================== HELPERS ====================
+
+function requireColumn(columns, name) {
+  const index = columns.findIndex(column => column.name === name);
+  if (index < 0) {
+    throw new Error(`Unknown column: ${name} (columns: ${columns.map(column => column.name).join(', ')})`);
+  }
+  return index;
+}
+
+// Comparable form of a value of the given type (text is trimmed, like condition values)
+function sortKey(value, type) {
+  if (value === null || value === undefined) return null;
+  if (type === 'date') return Date.parse(value);
+  if (type === 'string') return String(value).trim().toLowerCase();
+  return typeof value === 'boolean' ? Number(value) : value;
+}
+
+function compareValues(a, b) {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Convert a condition value to the column type, or fail with a clear message
+function conditionValue(value, column) {
+  if (value === null || value === undefined) {
+    throw new Error(`Condition on ${column.name} needs a value`);
+  }
+  const text = String(value).trim();
+  switch (column.type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(text);
+      if (text === '' || Number.isNaN(number)) throw new Error(`${column.name} is numeric; cannot compare with ${JSON.stringify(value)}`);
+      return number;
+    }
+    case 'boolean': {
+      const lower = text.toLowerCase();
+      if (!['true', 'false', 'yes', 'no'].includes(lower)) throw new Error(`${column.name} is boolean; cannot compare with ${JSON.stringify(value)}`);
+      return lower === 'true' || lower === 'yes' ? 1 : 0;
+    }
+    case 'date': {
+      const time = Date.parse(text);
+      if (Number.isNaN(time)) throw new Error(`${column.name} holds dates; cannot compare with ${JSON.stringify(value)}`);
+      return time;
+    }
+    default:
+      return text.toLowerCase();
+  }
+}
+
+function buildPredicate(columns, { column: name, op, value }) {
+  const index = requireColumn(columns, name);
+  const column = columns[index];
+  const key = row => sortKey(row[index], column.type);
+
+  switch (op) {
+    case 'isNull':
+      return row => row[index] === null;
+    case 'notNull':
+      return row => row[index] !== null;
+    case 'contains': {
+      const needle = String(value ?? '').toLowerCase();
+      return row => row[index] !== null && String(row[index]).toLowerCase().includes(needle);
+    }
+    case 'in': {
+      if (!Array.isArray(value)) throw new Error(`"in" on ${name} needs an array value`);
+      const accepted = new Set(value.map(item => conditionValue(item, column)));
+      return row => key(row) !== null && accepted.has(key(row));
+    }
+    default: {
+      const target = conditionValue(value, column);
+      const test = {
+        eq: c => c === 0,
+        ne: c => c !== 0,
+        lt: c => c < 0,
+        lte: c => c <= 0,
+        gt: c => c > 0,
+        gte: c => c >= 0,
+      }[op];
+      return row => key(row) !== null && test(compareValues(key(row), target));
+    }
+  }
+}
+
+function roundNumber(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// ==================== DESCRIBE / QUERY ====================
+
+/**
+ * Columns, types, row count and sample rows of a table
+ * @param {Object} table - Table from csv-table.js
+ * @param {Object} [options]
+ * @param {number} [options.sampleSize=5] - Sample rows to include
+ * @returns {Object} { delimiter, hasHeader, rowCount, raggedRows, columns: [{ name, type, nullCount, distinctCount, min?, max? }], sample }
+ */
+function describeTable(table, { sampleSize = DEFAULT_SAMPLE_SIZE } = {}) {
+  const columns = table.columns.map((column, index) => {
+    const values = table.rows.map(row => row[index]).filter(value => value !== null);
+    const description = {
+      ...column,
+      nullCount: table.rows.length - values.length,
+      distinctCount: new Set(values).size,
+    };
+    if (values.length > 0 && (NUMERIC_TYPES.includes(column.type) || column.type === 'date')) {
+      const sorted = values.slice().sort((a, b) => compareValues(sortKey(a, column.type), sortKey(b, column.type)));
+      description.min = sorted[0];
+      description.max = sorted[sorted.length - 1];
+    }
+    return description;
+  });
+
+  return {
+    delimiter: table.delimiter,
+    hasHeader: table.hasHeader,
+    rowCount: table.rows.length,
+    raggedRows: table.raggedRows,
+    columns,
+    sample: table.rows.slice(0, sampleSize).map(row => Object.fromEntries(table.columns.map((column, i) => [column.name, row[i]]))),
+  };
+}
+
+/**
+ * Run a query against a table
+ * @param {Object} table - Table from csv-table.js
+ * @param {Object} query - { where?, select?, groupBy?, aggregates?, orderBy?, limit? } (see queryTableProperties)
+ * @returns {Object} { columns: [{ name, type }], rows: [{ column: value }], matchedRows, rowCount, truncated }
+ *   matchedRows: rows passing where; rowCount: rows returned; truncated: whether limit cut the result
+ * @throws {Error} For unknown columns, values that do not fit a column, or invalid aggregates
+ */
+function queryTable(table, { where = [], select, groupBy, aggregates = [], orderBy = [], limit = DEFAULT_ROW_LIMIT } = {}) {
+  const predicates = where.map(condition => buildPredicate(table.columns, condition));
+  const matched = table.rows.filter(row => predicates.every(predicate => predicate(row)));
+
+  let columns = table.columns;
+  let rows = matched;
+
+  if ((groupBy && groupBy.length > 0) || aggregates.length > 0) {
+    const groupIndexes = (groupBy || []).map(name => requireColumn(table.columns, name));
+    const outputs = aggregates.map(({ fn, column: name, as }) => {
+      if (fn !== 'count' && !name) throw new Error(`${fn} needs a column`);
+      const index = name ? requireColumn(table.columns, name) : -1;
+      if (fn !== 'count' && !NUMERIC_TYPES.includes(table.columns[index].type)) {
+        throw new Error(`${fn} needs a numeric column; ${name} is ${table.columns[index].type}`);
+      }
+      return { fn, index, name: as || (name ? `${fn}_${name}` : fn) };
+    });
+
+    const groups = new Map();
+    for (const row of matched) {
+      const values = groupIndexes.map(index => row[index]);
+      const key = JSON.stringify(values);
+      if (!groups.has(key)) groups.set(key, { values, rows: [] });
+      groups.get(key).rows.push(row);
+    }
+    // Aggregates without groupBy describe all rows, even when none matched
+    if (groupIndexes.length === 0 && groups.size === 0) groups.set('[]', { values: [], rows: [] });
+
+    columns = [
+      ...groupIndexes.map(index => table.columns[index]),
+      ...outputs.map(({ fn, name }) => ({ name, type: fn === 'count' ? 'integer' : 'number' })),
+    ];
+    rows = Array.from(groups.values(), ({ values, rows: groupRows }) => [
+      ...values,
+      ...outputs.map(({ fn, index }) => {
+        const numbers = index < 0 ? groupRows : groupRows.map(row => row[index]).filter(value => value !== null);
+        if (fn === 'count') return numbers.length;
+        if (numbers.length === 0) return null;
+        const sum = numbers.reduce((total, value) => total + value, 0);
+        return roundNumber(fn === 'sum' ? sum : sum / numbers.length);
+      }),
+    ]);
+  }
+
+  if (orderBy.length > 0) {
+    const keys = orderBy.map(({ column: name, direction = 'asc' }) => {
+      const index = requireColumn(columns, name);
+      return { index, type: columns[index].type, sign: direction === 'desc' ? -1 : 1 };
+    });
+    rows = rows.slice().sort((a, b) => {
+      for (const { index, type, sign } of keys) {
+        const x = sortKey(a[index], type);
+        const y = sortKey(b[index], type);
+        // Nulls last in either direction
+        if (x === null || y === null) {
+          if (x !== y) return x === null ? 1 : -1;
+          continue;
+        }
+        const order = compareValues(x, y) * sign;
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+  }
+
+  const limited = rows.slice(0, limit);
+  const selected = select && select.length > 0 ? select.map(name => requireColumn(columns, name)) : columns.map((_, i) => i);
+
+  return {
+    columns: selected.map(index => columns[index]),
+    rows: limited.map(row => Object.fromEntries(selected.map(index => [columns[index].name, row[index]]))),
+    matchedRows: matched.length,
+    rowCount: limited.length,
+    truncated: rows.length > limited.length,
+  };
+}
+
+module.exports = {
+  describeTableProperties,
+  queryTableProperties,
+  columnSchema,
+  describeTable,
+  queryTable,
+};
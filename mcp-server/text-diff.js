@@ -0,0 +1,152 @@
+// Unified line diffs
+// Myers' O((N+M)D) shortest edit script over lines, rendered in the unified
+// format used by `diff -u` / git so agents and humans can read it directly.
+// The common prefix and suffix are trimmed first, so a small edit in a large
+// document only costs the changed region. When two revisions differ by more
+// than MAX_DIFF_EDITS lines the changed region is shown as one replacement.
+
+const MAX_DIFF_EDITS = 2000;
+const DEFAULT_CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop(); // Trailing newline ends the last line
+  return lines;
+}
+
+/**
+ * Shortest edit script between two line arrays
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<{ type: ' '|'-'|'+', line: string, oldIndex: number, newIndex: number }>|null}
+ *   Operations in order, or null when there are more than MAX_DIFF_EDITS edits
+ */
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_DIFF_EDITS);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = []; // trace[d] = v[-d-1 .. d+1] before step d
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+  if (!found) return null;
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const at = (k) => previous[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ type: ' ', line: a[x], oldIndex: x, newIndex: y });
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: '+', line: b[prevY], oldIndex: x, newIndex: prevY });
+      } else {
+        ops.push({ type: '-', line: a[prevX], oldIndex: prevX, newIndex: y });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+function hunkRange(start, count) {
+  // An empty range names the line before it and a single line has no count, like GNU diff
+  if (count === 1) return `${start + 1}`;
+  return `${count === 0 ? start : start + 1},${count}`;
+}
+
+/**
+ * Unified diff between two texts
+ * @param {string} oldText - Previous content
+ * @param {string} newText - New content
+ * @param {Object} [options]
+ * @param {string} [options.fromLabel='a'] - Label for the --- line
+ * @param {string} [options.toLabel='b'] - Label for the +++ line
+ * @param {number} [options.context=3] - Unchanged lines around each change
+ * @returns {{ diff: string, additions: number, deletions: number }} diff is '' when the texts are equal
+ */
+function unifiedDiff(oldText, newText, { fromLabel = 'a', toLabel = 'b', context = DEFAULT_CONTEXT_LINES } = {}) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+  const middleOps = myersDiff(oldMiddle, newMiddle) || [
+    ...oldMiddle.map((line, i) => ({ type: '-', line, oldIndex: i, newIndex: 0 })),
+    ...newMiddle.map((line, i) => ({ type: '+', line, oldIndex: oldMiddle.length, newIndex: i })),
+  ];
+
+  const ops = [
+    ...a.slice(0, prefix).map((line, i) => ({ type: ' ', line, oldIndex: i, newIndex: i })),
+    ...middleOps.map(op => ({ ...op, oldIndex: op.oldIndex + prefix, newIndex: op.newIndex + prefix })),
+    ...a.slice(a.length - suffix).map((line, i) => ({
+      type: ' ', line, oldIndex: a.length - suffix + i, newIndex: b.length - suffix + i,
+    })),
+  ];
+
+  const additions = ops.filter(op => op.type === '+').length;
+  const deletions = ops.filter(op => op.type === '-').length;
+  if (additions === 0 && deletions === 0) return { diff: '', additions, deletions };
+
+  // Group changes separated by at most 2 * context unchanged lines into hunks
+  const changeIndexes = ops.map((op, i) => (op.type === ' ' ? -1 : i)).filter(i => i >= 0);
+  const hunks = [];
+  for (const index of changeIndexes) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end - 1 <= 2 * context) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const hunk of hunks) {
+    const slice = ops.slice(Math.max(0, hunk.start - context), Math.min(ops.length, hunk.end + context + 1));
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    lines.push(`@@ -${hunkRange(slice[0].oldIndex, oldCount)} +${hunkRange(slice[0].newIndex, newCount)} @@`);
+    for (const op of slice) lines.push(`${op.type}${op.line}`);
+  }
+
+  return { diff: lines.join('\n') + '\n', additions, deletions };
+}
+
+module.exports = { unifiedDiff };
@@ -0,0 +1,23 @@
+// Tokenizer
+// Tokens are runs of Unicode letters / digits, lower-cased. Shared by the
+// keyword index (search-index.js), its query parser (search-query.js) and the
+// local embedder (embedders.js) so they all agree on what a word is.
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split text into lower-cased tokens with their character offsets
+ * @param {string} text - Text to tokenize
+ * @param {number} [maxTokens=Infinity] - Stop after this many tokens
+ * @returns {Array<{ term: string, start: number, end: number }>}
+ */
+function tokenize(text, maxTokens = Infinity) {
+  const tokens = [];
+  for (const match of (text || '').matchAll(TOKEN_PATTERN)) {
+    tokens.push({ term: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    if (tokens.length >= maxTokens) break;
+  }
+  return tokens;
+}
+
+module.exports = { TOKEN_PATTERN, tokenize };
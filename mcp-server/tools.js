@@ -0,0 +1,1058 @@
+// MCP Tool Registry
+// Single source of truth for the document tools exposed over MCP.
+// Both the SDK Server (mcp-handler.js) and the hand-rolled /mcp/message
+// dispatcher (index.js) list and execute tools through this module.
+
+const { ErrorCode, McpError } = require('@modelcontextprotocol/sdk/types.js');
+const { assertValidArguments, validateAgainstSchema } = require('./validation');
+const { createChatCompletion } = require('./foundry');
+const { summaryPrompt, questionPrompt } = require('./prompts');
+const { documentRevisions, currentRevisionNumber, findRevision, revisionSummary } = require('./revisions');
+const { unifiedDiff } = require('./text-diff');
+const { bundleSchema, exportSession, importSession } = require('./session-bundles');
+const { MAX_LIMIT, searchOptionProperties, searchResultSchema, getSearchIndex } = require('./search-index');
+const { DEFAULT_TOP_K, MAX_TOP_K, semanticResultSchema, getVectorIndex } = require('./vector-index');
+const { tableParseProperties, documentTable } = require('./csv-table');
+const { tokenize } = require('./tokenizer');
+const {
+  describeTableProperties,
+  queryTableProperties,
+  columnSchema,
+  describeTable,
+  queryTable,
+} = require('./table-query');
+const {
+  uploadMetadataProperties,
+  documentFilterProperties,
+  documentMetadataSchema,
+  filterDocuments,
+  documentMetadata,
+} = require('./document-metadata');
+
+// Completion token limit for model-backed tools (same as the REST query route)
+const MODEL_MAX_TOKENS = 300;
+
+/**
+ * Keyword query for the words of a plain-language question
+ * Tokens are lower-cased letters and digits, so they never read as operators,
+ * quotes or parentheses; side by side they are alternatives, as in BM25 ranking.
+ * @param {string} text - Question as typed by the user
+ * @returns {string} Query for search-index.js ('' when there are no words)
+ */
+function keywordQuery(text) {
+  return tokenize(text).map(token => token.term).join(' ');
+}
+
+/**
+ * Wrap a JSON-serialisable payload in an MCP tool result
+ * The payload is returned as structuredContent (matching the tool's outputSchema)
+ * with the same JSON as a text block for clients without structured output support.
+ * @param {Object} data - Payload returned to the agent
+ * @returns {Object} MCP CallToolResult
+ */
+function jsonResult(data) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+    structuredContent: data,
+    isError: false,
+  };
+}
+
+/**
+ * Build an MCP tool error result (tool errors are results, not JSON-RPC errors)
+ * @param {string} message - Human readable error message
+ * @returns {Object} MCP CallToolResult with isError set
+ */
+function errorResult(message) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Error: ${message}`,
+      },
+    ],
+    isError: true,
+  };
+}
+
+async function requireSession(store, sessionId) {
+  const session = await store.getSession(sessionId);
+  if (!session) {
+    console.error(`❌ Session not found: ${sessionId}`);
+    console.error(`   Available sessions:`, (await store.listSessions()).map(s => s.id));
+    throw new Error(`Session not found: ${sessionId}`);
+  }
+  return session;
+}
+
+function requireDocument(session, docId) {
+  const doc = session.docs.find(d => d.id === docId);
+  if (!doc) {
+    console.error(`❌ Document not found: ${docId}`);
+    console.error(`   Available docs:`, session.docs.map(d => d.id));
+    throw new Error(`Document not found: ${docId}`);
+  }
+  return doc;
+}
+
+function requireRevision(doc, revision) {
+  const found = findRevision(doc, revision);
+  if (!found) {
+    throw new Error(`Revision ${revision} not found for document ${doc.id} (current revision: ${currentRevisionNumber(doc)})`);
+  }
+  return found;
+}
+
+// Progress steps of a model-backed tool: document loaded, model answered, answer recorded
+const MODEL_TOOL_STEPS = 2;
+
+/**
+ * Run a prompt through a model
+ * Uses the connected client's model via sampling/createMessage when the client
+ * supports sampling (context.createMessage is set), otherwise falls back to the
+ * Azure AI Foundry deployment called with the web app's managed identity.
+ * Reports progress before and after the model call and stops when the call is cancelled.
+ * @param {string} prompt - Rendered user prompt
+ * @param {Object} context - Tool context ({ createMessage?, signal, reportProgress, log })
+ * @returns {Promise<{ text: string, source: string, model?: string }>}
+ */
+async function generateText(prompt, { createMessage, signal, reportProgress, log }) {
+  signal.throwIfAborted();
+  reportProgress(0, MODEL_TOOL_STEPS, createMessage
+    ? 'Waiting for the client model (sampling/createMessage)'
+    : 'Waiting for Azure AI Foundry');
+
+  let result;
+  if (createMessage) {
+    log('info', 'Requesting completion from the client via sampling/createMessage', 'sampling');
+    const message = await createMessage({
+      messages: [{ role: 'user', content: { type: 'text', text: prompt } }],
+      maxTokens: MODEL_MAX_TOKENS,
+      includeContext: 'none',
+    }, { signal });
+    const text = message.content?.type === 'text' ? message.content.text : '';
+    result = { text, source: 'client-sampling', model: message.model };
+  } else {
+    const text = await createChatCompletion(
+      [{ role: 'user', content: prompt }],
+      { maxTokens: MODEL_MAX_TOKENS, signal, log }
+    );
+    result = { text, source: 'foundry' };
+  }
+
+  signal.throwIfAborted();
+  reportProgress(1, MODEL_TOOL_STEPS, 'Model answered');
+  return result;
+}
+
+// ==================== TOOL DEFINITIONS ====================
+// Each tool declares its name, description, input/output JSON Schemas and handler.
+// Handlers receive (args, context) where context carries the shared
+// DocumentStore (see document-store.js), the author recorded on document
+// revisions, an AbortSignal for cancellation, reportProgress(),
+// log() (MCP logging to the calling client) and, when the client supports
+// sampling, createMessage(), and return a plain object sent back as JSON.
+
+const tools = [
+  {
+    name: 'create_session',
+    description: 'Create a new document session and return its session ID and idle expiry time',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: [],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string' },
+        expiresAt: { type: ['string', 'null'], description: 'When the session expires if left idle (null: never)' },
+        message: { type: 'string' },
+      },
+      required: ['sessionId', 'expiresAt'],
+    },
+    handler: async (args, { store }) => {
+      const { id: sid, expiresAt } = await store.createSession();
+      console.log(`✅ New session created via MCP: ${sid}`);
+      return { sessionId: sid, expiresAt, message: 'Session created successfully' };
+    },
+  },
+  {
+    name: 'list_documents',
+    description: 'List the documents in a session with their IDs, titles, tags and metadata, optionally filtered by tag, upload date and size and sorted',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID to list documents from',
+        },
+        ...documentFilterProperties,
+      },
+      required: ['sessionId'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string' },
+        documentCount: { type: 'integer' },
+        documents: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              title: { type: 'string' },
+              textLength: { type: 'integer' },
+              ...documentMetadataSchema,
+            },
+            required: ['id', 'title', 'textLength', 'tags', 'createdAt', 'size', 'mimeType'],
+          },
+        },
+      },
+      required: ['sessionId', 'documentCount', 'documents'],
+    },
+    handler: async ({ sessionId, ...filters }, { store }) => {
+      const session = await requireSession(store, sessionId);
+      const documents = filterDocuments(session.docs, filters).map(doc => ({
+        id: doc.id,
+        title: doc.title,
+        textLength: doc.text.length,
+        ...documentMetadata(doc),
+      }));
+      return {
+        sessionId,
+        documentCount: documents.length,
+        documents,
+      };
+    },
+  },
+  {
+    name: 'get_document',
+    description: 'Retrieve the full content of a specific document by ID, optionally at an earlier revision',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID containing the document',
+        },
+        docId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The document ID to retrieve',
+        },
+        revision: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Optional: revision number to retrieve (default: the current revision)',
+        },
+      },
+      required: ['sessionId', 'docId'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        text: { type: 'string' },
+        revision: { type: 'integer' },
+        currentRevision: { type: 'integer' },
+        hash: { type: 'string' },
+      },
+      required: ['id', 'title', 'text', 'revision', 'currentRevision', 'hash'],
+    },
+    handler: async ({ sessionId, docId, revision }, { store }) => {
+      const session = await requireSession(store, sessionId);
+      const doc = requireDocument(session, docId);
+      const currentRevision = currentRevisionNumber(doc);
+      const version = requireRevision(doc, revision || currentRevision);
+      return {
+        id: doc.id,
+        title: version.title,
+        text: version.text,
+        revision: version.revision,
+        currentRevision,
+        hash: version.hash,
+      };
+    },
+  },
+  {
+    name: 'search_documents',
+    description: 'Ranked full-text search (BM25) over documents across all sessions or a specific session, optionally filtered by tag, upload date and size. Returns scored results with highlighted snippets, a page at a time. Query syntax: words (any may match), "exact phrases", AND, OR, NOT or -word, prefix*, word~ for typos, (grouping), title:/text:/tags: qualifiers, and /regex/ with regex: true. Set allOccurrences to get every match with offset, line and column',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          minLength: 1,
+          description: 'Search query, e.g. "multi-factor authentication" AND vpn -ssh title:policy',
+        },
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'Optional: limit search to a specific session',
+        },
+        ...searchOptionProperties,
+        ...documentFilterProperties,
+        sortBy: {
+          ...documentFilterProperties.sortBy,
+          description: 'Optional: sort by upload time, size or title instead of relevance',
+        },
+      },
+      required: ['query'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        total: { type: 'integer' },
+        resultCount: { type: 'integer' },
+        nextCursor: { type: ['string', 'null'] },
+        results: {
+          type: 'array',
+          items: searchResultSchema,
+        },
+      },
+      required: ['query', 'total', 'resultCount', 'nextCursor', 'results'],
+    },
+    handler: async ({
+      query, sessionId, limit, cursor, fuzzy, allOccurrences, regex, ...filters
+    }, { store, signal, reportProgress }) => {
+      const { total, nextCursor, results } = await getSearchIndex(store).search({
+        query, sessionId, limit, cursor, filters, fuzzy, allOccurrences, regex, signal, onProgress: reportProgress,
+      });
+
+      return {
+        query,
+        total,
+        resultCount: results.length,
+        nextCursor,
+        results,
+      };
+    },
+  },
+  {
+    name: 'semantic_search',
+    description: 'Find the document passages (chunks) closest in meaning to a natural language query, across all sessions or a specific session. Finds paraphrases that keyword search misses; set hybrid to also rank by keyword matches',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          minLength: 1,
+          description: 'Question or description of the passage to find',
+        },
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'Optional: limit search to a specific session',
+        },
+        topK: {
+          type: 'integer',
+          minimum: 1,
+          maximum: MAX_TOP_K,
+          description: `Optional: number of chunks to return (default: ${DEFAULT_TOP_K}, at most ${MAX_TOP_K})`,
+        },
+        hybrid: {
+          type: 'boolean',
+          description: 'Optional: fuse with the keyword (BM25) ranking of the query\'s words (reciprocal rank fusion; default: false)',
+        },
+      },
+      required: ['query'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        embedder: { type: 'string' },
+        hybrid: { type: 'boolean' },
+        resultCount: { type: 'integer' },
+        results: {
+          type: 'array',
+          items: semanticResultSchema,
+        },
+        unindexedDocuments: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              sessionId: { type: 'string' },
+              docId: { type: 'string' },
+              error: { type: 'string' },
+            },
+            required: ['sessionId', 'docId', 'error'],
+          },
+        },
+      },
+      required: ['query', 'embedder', 'hybrid', 'resultCount', 'results', 'unindexedDocuments'],
+    },
+    handler: async ({ query, sessionId, topK, hybrid = false }, { store, signal, reportProgress }) => {
+      // The question is natural language, not search_documents syntax: rank by its words
+      const keywords = hybrid ? keywordQuery(query) : '';
+      const keywordResults = hybrid
+        ? (keywords ? (await getSearchIndex(store).search({ query: keywords, sessionId, limit: MAX_LIMIT, signal })).results : [])
+        : undefined;
+
+      const index = getVectorIndex(store);
+      const { results, unindexedDocuments } = await index.search({ query, sessionId, topK, keywordResults, signal });
+      reportProgress(1, 1, `Found ${results.length} chunk(s)`);
+
+      return {
+        query,
+        embedder: index.embedder.name,
+        hybrid,
+        resultCount: results.length,
+        results,
+        unindexedDocuments,
+      };
+    },
+  },
+  {
+    name: 'upload_document',
+    description: 'Upload a new document to a session',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID to upload the document to',
+        },
+        title: {
+          type: 'string',
+          minLength: 1,
+          description: 'The title/name of the document',
+        },
+        text: {
+          type: 'string',
+          description: 'The full text content of the document',
+        },
+        ...uploadMetadataProperties,
+      },
+      required: ['sessionId', 'title', 'text'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        docId: { type: 'string' },
+        title: { type: 'string' },
+        sessionId: { type: 'string' },
+      },
+      required: ['success', 'docId', 'title', 'sessionId'],
+    },
+    handler: async ({ sessionId, title, text, tags, metadata }, { store, author }) => {
+      await requireSession(store, sessionId);
+      const doc = await store.addDocument(sessionId, { title, text, tags, metadata }, { author });
+      console.log(`📄 MCP uploaded document ${doc.id} to session ${sessionId}`);
+      return {
+        success: true,
+        docId: doc.id,
+        title,
+        sessionId,
+      };
+    },
+  },
+  {
+    name: 'update_document',
+    description: 'Change the title, text, tags and/or metadata of a document, recording a new revision. Search sees the new content immediately; earlier answers about the document are marked stale in the session history',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID containing the document',
+        },
+        docId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The document ID to update',
+        },
+        title: {
+          type: 'string',
+          minLength: 1,
+          description: 'Optional: new title (rename)',
+        },
+        text: {
+          type: 'string',
+          description: 'Optional: new full text content, replacing the old text',
+        },
+        tags: {
+          ...uploadMetadataProperties.tags,
+          description: 'Optional: new tags, replacing the old ones',
+        },
+        metadata: {
+          ...uploadMetadataProperties.metadata,
+          description: 'Optional: new metadata object, replacing the old one',
+        },
+      },
+      required: ['sessionId', 'docId'],
+      anyOf: ['title', 'text', 'tags', 'metadata'].map(name => ({ required: [name] })),
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        sessionId: { type: 'string' },
+        docId: { type: 'string' },
+        title: { type: 'string' },
+        textLength: { type: 'integer' },
+        revision: { type: 'integer' },
+      },
+      required: ['success', 'sessionId', 'docId', 'title', 'textLength', 'revision'],
+    },
+    handler: async ({ sessionId, docId, title, text, tags, metadata }, { store, author }) => {
+      const session = await requireSession(store, sessionId);
+      requireDocument(session, docId);
+      const doc = await store.updateDocument(sessionId, docId, {
+        ...(title !== undefined && { title }),
+        ...(text !== undefined && { text }),
+        ...(tags !== undefined && { tags }),
+        ...(metadata !== undefined && { metadata }),
+      }, { author });
+      if (!doc) throw new Error(`Document not found: ${docId}`); // Deleted meanwhile
+      console.log(`✏️ MCP updated document ${docId} in session ${sessionId}`);
+      return {
+        success: true,
+        sessionId,
+        docId,
+        title: doc.title,
+        textLength: doc.text.length,
+        revision: currentRevisionNumber(doc),
+      };
+    },
+  },
+  {
+    name: 'delete_document',
+    description: 'Delete a document from a session, along with the session history entries about it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID containing the document',
+        },
+        docId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The document ID to delete',
+        },
+      },
+      required: ['sessionId', 'docId'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        sessionId: { type: 'string' },
+        docId: { type: 'string' },
+      },
+      required: ['success', 'sessionId', 'docId'],
+    },
+    handler: async ({ sessionId, docId }, { store }) => {
+      const session = await requireSession(store, sessionId);
+      requireDocument(session, docId);
+      if (!(await store.deleteDocument(sessionId, docId))) {
+        throw new Error(`Document not found: ${docId}`);
+      }
+      console.log(`🗑️ MCP deleted document ${docId} from session ${sessionId}`);
+      return { success: true, sessionId, docId };
+    },
+  },
+  {
+    name: 'delete_session',
+    description: 'Close a session, deleting all of its documents and history',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID to delete',
+        },
+      },
+      required: ['sessionId'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        sessionId: { type: 'string' },
+      },
+      required: ['success', 'sessionId'],
+    },
+    handler: async ({ sessionId }, { store }) => {
+      if (!(await store.deleteSession(sessionId))) {
+        throw new Error(`Session not found: ${sessionId}`);
+      }
+      console.log(`🗑️ MCP deleted session ${sessionId}`);
+      return { success: true, sessionId };
+    },
+  },
+  {
+    name: 'export_session',
+    description: 'Export a session as a portable JSON bundle (documents with their revisions, query history and metadata) that import_session or POST /session/import can recreate on any gateway',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID to export',
+        },
+      },
+      required: ['sessionId'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        bundle: bundleSchema,
+      },
+      required: ['bundle'],
+    },
+    handler: async ({ sessionId }, { store }) => {
+      const bundle = await exportSession(store, sessionId);
+      if (!bundle) throw new Error(`Session not found: ${sessionId}`);
+      console.log(`📦 MCP exported session ${sessionId}`);
+      return { bundle };
+    },
+  },
+  {
+    name: 'import_session',
+    description: 'Recreate a session from a bundle produced by export_session or GET /session/:sid/export, with new IDs (default) or the bundle\'s IDs',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        bundle: {
+          ...bundleSchema,
+          description: 'The session bundle to import',
+        },
+        preserveIds: {
+          type: 'boolean',
+          description: 'Optional: keep the bundle\'s session and document IDs (fails if the session already exists)',
+        },
+      },
+      required: ['bundle'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string' },
+        expiresAt: { type: ['string', 'null'] },
+        documentIds: {
+          type: 'object',
+          description: 'Bundle document ID -> imported document ID',
+          additionalProperties: { type: 'string' },
+        },
+      },
+      required: ['sessionId', 'expiresAt', 'documentIds'],
+    },
+    handler: async ({ bundle, preserveIds }, { store }) => {
+      const result = await importSession(store, bundle, { preserveIds });
+      console.log(`📦 MCP imported session ${result.sessionId}`);
+      return result;
+    },
+  },
+  {
+    name: 'list_document_revisions',
+    description: 'List the revisions of a document (number, title, author, timestamp, content hash), oldest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID containing the document',
+        },
+        docId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The document ID',
+        },
+      },
+      required: ['sessionId', 'docId'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string' },
+        docId: { type: 'string' },
+        currentRevision: { type: 'integer' },
+        revisions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              revision: { type: 'integer' },
+              title: { type: 'string' },
+              author: { type: ['object', 'null'] },
+              createdAt: { type: ['string', 'null'] },
+              hash: { type: 'string' },
+              textLength: { type: 'integer' },
+            },
+            required: ['revision', 'title', 'author', 'createdAt', 'hash', 'textLength'],
+          },
+        },
+      },
+      required: ['sessionId', 'docId', 'currentRevision', 'revisions'],
+    },
+    handler: async ({ sessionId, docId }, { store }) => {
+      const session = await requireSession(store, sessionId);
+      const doc = requireDocument(session, docId);
+      return {
+        sessionId,
+        docId,
+        currentRevision: currentRevisionNumber(doc),
+        revisions: documentRevisions(doc).map(revisionSummary),
+      };
+    },
+  },
+  {
+    name: 'diff_document_revisions',
+    description: 'Unified line diff between two revisions of a document (default: the previous and the current revision)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID containing the document',
+        },
+        docId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The document ID',
+        },
+        fromRevision: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Optional: older revision (default: the one before toRevision)',
+        },
+        toRevision: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Optional: newer revision (default: the current revision)',
+        },
+      },
+      required: ['sessionId', 'docId'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string' },
+        docId: { type: 'string' },
+        fromRevision: { type: 'integer' },
+        toRevision: { type: 'integer' },
+        additions: { type: 'integer' },
+        deletions: { type: 'integer' },
+        diff: { type: 'string' },
+      },
+      required: ['sessionId', 'docId', 'fromRevision', 'toRevision', 'additions', 'deletions', 'diff'],
+    },
+    handler: async ({ sessionId, docId, fromRevision, toRevision }, { store }) => {
+      const session = await requireSession(store, sessionId);
+      const doc = requireDocument(session, docId);
+      const to = requireRevision(doc, toRevision || currentRevisionNumber(doc));
+      const from = requireRevision(doc, fromRevision || Math.max(1, to.revision - 1));
+      const { diff, additions, deletions } = unifiedDiff(from.text, to.text, {
+        fromLabel: `${from.title} (revision ${from.revision})`,
+        toLabel: `${to.title} (revision ${to.revision})`,
+      });
+      return {
+        sessionId,
+        docId,
+        fromRevision: from.revision,
+        toRevision: to.revision,
+        additions,
+        deletions,
+        diff,
+      };
+    },
+  },
+  {
+    name: 'describe_table',
+    description: 'Describe a CSV document as a table: detected delimiter and header, columns with types (integer, number, boolean, date, string), null / distinct counts and ranges, row count and sample rows. Use before query_table',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID containing the document',
+        },
+        docId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The ID of a CSV document',
+        },
+        ...tableParseProperties,
+        ...describeTableProperties,
+      },
+      required: ['sessionId', 'docId'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        docId: { type: 'string' },
+        title: { type: 'string' },
+        delimiter: { type: 'string' },
+        hasHeader: { type: 'boolean' },
+        rowCount: { type: 'integer' },
+        raggedRows: { type: 'integer', description: 'Rows with more or fewer cells than there are columns' },
+        columns: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              ...columnSchema.properties,
+              nullCount: { type: 'integer' },
+              distinctCount: { type: 'integer' },
+              min: {},
+              max: {},
+            },
+            required: [...columnSchema.required, 'nullCount', 'distinctCount'],
+          },
+        },
+        sample: { type: 'array', items: { type: 'object' } },
+      },
+      required: ['docId', 'title', 'delimiter', 'hasHeader', 'rowCount', 'raggedRows', 'columns', 'sample'],
+    },
+    handler: async ({
+      sessionId, docId, delimiter, hasHeader, sampleSize,
+    }, { store }) => {
+      const session = await requireSession(store, sessionId);
+      const doc = requireDocument(session, docId);
+      return {
+        docId,
+        title: doc.title,
+        ...describeTable(documentTable(doc, { delimiter, hasHeader }), { sampleSize }),
+      };
+    },
+  },
+  {
+    name: 'query_table',
+    description: 'Query a CSV document as a table: filter rows (where), group them (groupBy) with count / sum / avg aggregates, sort (orderBy), limit and select columns. Gives exact answers to numeric questions about spreadsheets',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID containing the document',
+        },
+        docId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The ID of a CSV document',
+        },
+        ...tableParseProperties,
+        ...queryTableProperties,
+      },
+      required: ['sessionId', 'docId'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        docId: { type: 'string' },
+        columns: { type: 'array', items: columnSchema },
+        rows: { type: 'array', items: { type: 'object' } },
+        matchedRows: { type: 'integer', description: 'Rows that passed the where conditions' },
+        rowCount: { type: 'integer' },
+        truncated: { type: 'boolean', description: 'Whether limit left out rows' },
+      },
+      required: ['docId', 'columns', 'rows', 'matchedRows', 'rowCount', 'truncated'],
+    },
+    handler: async ({
+      sessionId, docId, delimiter, hasHeader, ...query
+    }, { store }) => {
+      const session = await requireSession(store, sessionId);
+      const doc = requireDocument(session, docId);
+      return { docId, ...queryTable(documentTable(doc, { delimiter, hasHeader }), query) };
+    },
+  },
+  {
+    name: 'summarize_document',
+    description: 'Summarize a document with an LLM (the client\'s model via sampling when supported, otherwise Azure AI Foundry)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID containing the document',
+        },
+        docId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The document ID to summarize',
+        },
+      },
+      required: ['sessionId', 'docId'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string' },
+        docId: { type: 'string' },
+        summary: { type: 'string' },
+        source: { type: 'string', enum: ['client-sampling', 'foundry'] },
+        model: { type: 'string' },
+      },
+      required: ['sessionId', 'docId', 'summary', 'source'],
+    },
+    handler: async ({ sessionId, docId }, context) => {
+      const session = await requireSession(context.store, sessionId);
+      const doc = requireDocument(session, docId);
+      const { text, source, model } = await generateText(summaryPrompt(doc.text), context);
+      await context.store.appendHistory(sessionId, { docId, query: `summarize ${docId}`, response: text });
+      context.reportProgress(MODEL_TOOL_STEPS, MODEL_TOOL_STEPS, 'Summary recorded in the session history');
+      return { sessionId, docId, summary: text, source, ...(model && { model }) };
+    },
+  },
+  {
+    name: 'ask_document',
+    description: 'Answer a question about a document with an LLM (the client\'s model via sampling when supported, otherwise Azure AI Foundry)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The session ID containing the document',
+        },
+        docId: {
+          type: 'string',
+          minLength: 1,
+          description: 'The document ID to ask about',
+        },
+        question: {
+          type: 'string',
+          minLength: 1,
+          description: 'The question to answer from the document',
+        },
+      },
+      required: ['sessionId', 'docId', 'question'],
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string' },
+        docId: { type: 'string' },
+        question: { type: 'string' },
+        answer: { type: 'string' },
+        source: { type: 'string', enum: ['client-sampling', 'foundry'] },
+        model: { type: 'string' },
+      },
+      required: ['sessionId', 'docId', 'question', 'answer', 'source'],
+    },
+    handler: async ({ sessionId, docId, question }, context) => {
+      const session = await requireSession(context.store, sessionId);
+      const doc = requireDocument(session, docId);
+      const { text, source, model } = await generateText(questionPrompt(doc.text, question), context);
+      await context.store.appendHistory(sessionId, { docId, query: question, response: text });
+      context.reportProgress(MODEL_TOOL_STEPS, MODEL_TOOL_STEPS, 'Answer recorded in the session history');
+      return { sessionId, docId, question, answer: text, source, ...(model && { model }) };
+    },
+  },
+];
+
+const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+
+// ==================== REGISTRY API ====================
+
+/**
+ * Build the reportProgress(progress, total, message) function handed to tools
+ * Without a progress token from the client it does nothing.
+ * @param {string|number} [progressToken] - params._meta.progressToken of the tools/call request
+ * @param {Function} send - Sends a JSON-RPC notification ({ method, params }) to the client
+ * @returns {Function} Progress reporter
+ */
+function createProgressReporter(progressToken, send) {
+  if (progressToken === undefined || progressToken === null) {
+    return () => {};
+  }
+  return (progress, total, message) => {
+    const params = { progressToken, progress };
+    if (total !== undefined) params.total = total;
+    if (message) params.message = message;
+    Promise.resolve(send({ method: 'notifications/progress', params })).catch((error) => {
+      console.error(`❌ Failed to send progress notification: ${error.message}`);
+    });
+  };
+}
+
+/**
+ * Tool definitions as advertised in a tools/list response
+ * @returns {Array<Object>} Tools without their handlers
+ */
+function listTools() {
+  return tools.map(({ name, description, inputSchema, outputSchema }) => ({ name, description, inputSchema, outputSchema }));
+}
+
+/**
+ * Execute a tool by name
+ * Unknown tools and arguments that do not match the tool's inputSchema are
+ * rejected with -32602 Invalid params before the handler runs. Failures inside
+ * the handler (missing session, ...) are returned as isError results so the
+ * agent can see and react to them.
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments from the client
+ * @param {Object} context - { store, author?, signal?, reportProgress?, log?, createMessage? }
+ * @returns {Promise<Object>} MCP CallToolResult
+ * @throws {McpError} InvalidParams for unknown tools or invalid arguments
+ */
+async function callTool(name, args, context) {
+  const tool = toolsByName.get(name);
+  const log = context.log || (() => {});
+
+  console.log(`🔧 MCP Tool called: ${name}`, args);
+
+  if (!tool) {
+    log('warning', `Unknown tool: ${name}`, 'tools');
+    throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+  }
+
+  try {
+    assertValidArguments(tool.inputSchema, args || {}, `tool ${name}`);
+  } catch (error) {
+    log('warning', { message: `Rejected ${name} call: invalid arguments`, violations: error.data.violations }, 'tools');
+    throw error;
+  }
+
+  log('info', { message: `Calling tool ${name}`, arguments: args || {} }, 'tools');
+  const startedAt = Date.now();
+
+  try {
+    const data = await tool.handler(args || {}, {
+      signal: new AbortController().signal,
+      reportProgress: () => {},
+      ...context,
+      log,
+    });
+
+    // A handler drifting from its declared outputSchema is our bug, not the client's
+    const violations = validateAgainstSchema(tool.outputSchema, data);
+    if (violations.length > 0) {
+      console.warn(`⚠️ Tool ${name} output does not match its outputSchema: ${violations.join('; ')}`);
+    }
+
+    log('debug', { message: `Tool ${name} completed`, durationMs: Date.now() - startedAt }, 'tools');
+    return jsonResult(data);
+  } catch (error) {
+    console.error(`❌ Error executing MCP tool ${name}:`, error.message);
+    log('error', { message: `Tool ${name} failed: ${error.message}`, durationMs: Date.now() - startedAt }, 'tools');
+    return errorResult(error.message);
+  }
+}
+
+module.exports = { tools, listTools, callTool, createProgressReporter };
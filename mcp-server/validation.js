@@ -0,0 +1,88 @@
+// JSON Schema validation
+// Validates MCP tool arguments against each tool's inputSchema and REST
+// request bodies against their route schemas, reporting every violation
+// as a readable "field: problem" string.
+
+const Ajv = require('ajv');
+const { ErrorCode, McpError } = require('@modelcontextprotocol/sdk/types.js');
+
+const ajv = new Ajv({ allErrors: true, jsonPointers: true });
+
+// Compiled validators, keyed by schema object so each schema compiles once
+const validators = new WeakMap();
+
+function getValidator(schema) {
+  let validate = validators.get(schema);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    validators.set(schema, validate);
+  }
+  return validate;
+}
+
+function describeError(error) {
+  const field = error.dataPath ? error.dataPath.slice(1).replace(/\//g, '.') : '';
+  if (error.keyword === 'required') {
+    const missing = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+    return `${missing}: is required`;
+  }
+  if (error.keyword === 'enum') {
+    return `${field || 'value'}: must be one of ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+  }
+  if (error.keyword === 'additionalProperties') {
+    return `${error.params.additionalProperty}: is not an allowed property`;
+  }
+  if (error.keyword === 'if') {
+    return null; // The failing then/else branch is reported separately
+  }
+  return `${field || 'value'}: ${error.message}`;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema (draft-07)
+ * @param {*} value - Value to check
+ * @returns {Array<string>} Violations, empty when the value is valid
+ */
+function validateAgainstSchema(schema, value) {
+  const validate = getValidator(schema);
+  if (validate(value)) return [];
+  return validate.errors.map(describeError).filter(Boolean);
+}
+
+/**
+ * Validate MCP arguments, throwing -32602 Invalid params on failure
+ * @param {Object} schema - The tool's inputSchema
+ * @param {Object} args - Arguments from the client
+ * @param {string} label - What is being validated, for the error message
+ * @throws {McpError} InvalidParams with data.violations listing every problem
+ */
+function assertValidArguments(schema, args, label) {
+  const violations = validateAgainstSchema(schema, args);
+  if (violations.length > 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid params for ${label}: ${violations.join('; ')}`,
+      { violations }
+    );
+  }
+}
+
+/**
+ * Express middleware validating req.body against a schema
+ * Invalid bodies get 400 { error, violations }.
+ * @param {Object} schema - JSON Schema for the body
+ * @returns {Function} Express middleware
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const violations = validateAgainstSchema(schema, req.body || {});
+    if (violations.length > 0) {
+      console.error(`❌ Invalid request body for ${req.method} ${req.path}: ${violations.join('; ')}`);
+      return res.status(400).json({ error: 'Invalid request body', violations });
+    }
+    next();
+  };
+}
+
+module.exports = { validateAgainstSchema, assertValidArguments, validateBody };
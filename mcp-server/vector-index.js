@@ -0,0 +1,231 @@
+// Semantic search
+// Every document is split into overlapping chunks (chunking.js) as it is
+// uploaded or changed, each chunk is embedded (embedders.js) and the vectors
+// are kept in memory. A query is embedded the same way and compared with
+// every chunk in scope by cosine similarity. Used by semantic_search.
+//
+// Chunks whose text did not change keep their vectors when a document is
+// updated, so an edit only embeds the chunks it touched. Documents whose
+// embedding failed (e.g. the embeddings service was unreachable) are reported
+// by search() until a later change indexes them.
+//
+// With keyword results (search-index.js) the two rankings are combined by
+// reciprocal rank fusion: a chunk scores 1 / (RRF_K + rank) for its semantic
+// rank, and the best chunk of each keyword hit adds 1 / (RRF_K + keyword rank).
+
+const crypto = require('crypto');
+const { onDocumentChange } = require('./document-events');
+const { chunkText } = require('./chunking');
+const { createEmbedder } = require('./embedders');
+
+const DEFAULT_TOP_K = 5;
+const MAX_TOP_K = 50;
+
+// Reciprocal rank fusion constant (the value from the original RRF paper)
+const RRF_K = 60;
+
+function documentKey(sessionId, docId) {
+  return `${sessionId}\u0000${docId}`;
+}
+
+function chunkHash(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// JSON Schema for one search() result
+const semanticResultSchema = {
+  type: 'object',
+  properties: {
+    sessionId: { type: 'string' },
+    docId: { type: 'string' },
+    title: { type: 'string' },
+    chunkIndex: { type: 'integer' },
+    start: { type: 'integer' },
+    end: { type: 'integer' },
+    text: { type: 'string' },
+    similarity: { type: 'number' },
+    keywordRank: { type: ['integer', 'null'] },
+    score: { type: 'number' },
+  },
+  required: ['sessionId', 'docId', 'title', 'chunkIndex', 'start', 'end', 'text', 'similarity', 'keywordRank', 'score'],
+};
+
+/**
+ * Create a chunk vector index over a DocumentStore, kept current from document events
+ * @param {Object} store - DocumentStore (see document-store.js)
+ * @param {Object} [options]
+ * @param {Object} [options.embedder] - Embedder (default: createEmbedder())
+ * @returns {{ embedder: Object, search: Function, ready: Function }}
+ */
+function createVectorIndex(store, { embedder = createEmbedder() } = {}) {
+  const documents = new Map(); // documentKey -> { sessionId, docId, title, chunks: [{ index, start, end, text, hash, vector }] }
+  const failures = new Map(); // documentKey -> { sessionId, docId, error }
+
+  async function indexDocument(sessionId, doc) {
+    const key = documentKey(sessionId, doc.id);
+    const previousVectors = new Map((documents.get(key)?.chunks || []).map(chunk => [chunk.hash, chunk.vector]));
+
+    const chunks = chunkText(doc.text).map(chunk => ({ ...chunk, hash: chunkHash(chunk.text) }));
+    const missing = chunks.filter(chunk => !previousVectors.has(chunk.hash));
+
+    try {
+      const vectors = await embedder.embed(missing.map(chunk => chunk.text));
+      missing.forEach((chunk, i) => previousVectors.set(chunk.hash, vectors[i]));
+    } catch (error) {
+      documents.delete(key);
+      failures.set(key, { sessionId, docId: doc.id, error: error.message });
+      console.error(`❌ Embedding document ${doc.id} failed: ${error.message}`);
+      return;
+    }
+
+    for (const chunk of chunks) chunk.vector = previousVectors.get(chunk.hash);
+    documents.set(key, { sessionId, docId: doc.id, title: doc.title, chunks });
+    failures.delete(key);
+  }
+
+  function removeDocument(key) {
+    documents.delete(key);
+    failures.delete(key);
+  }
+
+  async function reindexDocument(sessionId, docId) {
+    const docs = await store.listDocuments(sessionId);
+    const doc = docs && docs.find(d => d.id === docId);
+    if (doc) {
+      await indexDocument(sessionId, doc);
+    } else {
+      removeDocument(documentKey(sessionId, docId));
+    }
+  }
+
+  async function applyChange(change) {
+    switch (change.type) {
+      case 'document-added':
+      case 'document-updated':
+        return reindexDocument(change.sessionId, change.docId);
+      case 'document-deleted':
+        return removeDocument(documentKey(change.sessionId, change.docId));
+      case 'session-deleted':
+        for (const key of [...documents.keys(), ...failures.keys()]) {
+          if ((documents.get(key) || failures.get(key)).sessionId === change.sessionId) removeDocument(key);
+        }
+        return undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  async function build() {
+    for (const { id: sessionId } of await store.listSessions()) {
+      for (const doc of await store.listDocuments(sessionId) || []) {
+        await indexDocument(sessionId, doc);
+      }
+    }
+    const chunkCount = Array.from(documents.values()).reduce((count, entry) => count + entry.chunks.length, 0);
+    console.log(`🧭 Vector index built with the ${embedder.name} embedder: ${documents.size} document(s), ${chunkCount} chunk(s)`);
+  }
+
+  // Changes are applied in order; searches wait for the ones already queued
+  let pendingUpdates = build();
+  onDocumentChange((change) => {
+    pendingUpdates = pendingUpdates
+      .then(() => applyChange(change))
+      .catch((error) => console.error(`❌ Vector index update failed: ${error.message}`));
+  });
+
+  /**
+   * Chunks most similar to a query
+   * @param {Object} params
+   * @param {string} params.query - Natural language query
+   * @param {string} [params.sessionId] - Only chunks of this session's documents
+   * @param {number} [params.topK=5] - Number of chunks (at most 50)
+   * @param {Array<Object>} [params.keywordResults] - Ranked keyword hits ({ sessionId, docId }) to fuse with
+   * @param {AbortSignal} [params.signal] - Abort signal of the calling request
+   * @returns {Promise<{ results: Array<Object>, unindexedDocuments: Array<Object> }>}
+   *   results match semanticResultSchema, best first; unindexedDocuments lists
+   *   documents in scope whose embedding failed ({ sessionId, docId, error })
+   */
+  async function search({ query, sessionId, topK = DEFAULT_TOP_K, keywordResults, signal }) {
+    await pendingUpdates;
+    if (signal) signal.throwIfAborted();
+
+    const [queryVector] = await embedder.embed([query], { signal });
+
+    const scored = [];
+    for (const entry of documents.values()) {
+      if (sessionId && entry.sessionId !== sessionId) continue;
+      for (const chunk of entry.chunks) {
+        scored.push({ entry, chunk, similarity: cosineSimilarity(queryVector, chunk.vector) });
+      }
+    }
+    scored.sort((a, b) => b.similarity - a.similarity);
+
+    let ranked = scored.map(result => ({ ...result, keywordRank: null, score: result.similarity }));
+    if (keywordResults) {
+      ranked = ranked.map((result, rank) => ({ ...result, score: 1 / (RRF_K + rank + 1) }));
+      keywordResults.forEach(({ sessionId: sid, docId }, rank) => {
+        // ranked is still in similarity order, so the first chunk found is the document's best
+        const best = ranked.find(result => result.entry.sessionId === sid && result.entry.docId === docId);
+        if (!best) return;
+        best.keywordRank = rank + 1;
+        best.score += 1 / (RRF_K + rank + 1);
+      });
+      ranked.sort((a, b) => b.score - a.score);
+    }
+
+    const round = value => Math.round(value * 10000) / 10000;
+    return {
+      results: ranked.slice(0, Math.min(Math.max(1, topK), MAX_TOP_K)).map(({ entry, chunk, similarity, keywordRank, score }) => ({
+        sessionId: entry.sessionId,
+        docId: entry.docId,
+        title: entry.title,
+        chunkIndex: chunk.index,
+        start: chunk.start,
+        end: chunk.end,
+        text: chunk.text,
+        similarity: round(similarity),
+        keywordRank,
+        score: round(score),
+      })),
+      unindexedDocuments: Array.from(failures.values()).filter(failure => !sessionId || failure.sessionId === sessionId),
+    };
+  }
+
+  return {
+    embedder,
+    search,
+    ready: () => pendingUpdates,
+  };
+}
+
+// One index per store, created on first use
+const indexes = new WeakMap();
+
+/**
+ * The vector index for a DocumentStore
+ * @param {Object} store - DocumentStore
+ * @returns {Object} Index created by createVectorIndex()
+ */
+function getVectorIndex(store) {
+  if (!indexes.has(store)) indexes.set(store, createVectorIndex(store));
+  return indexes.get(store);
+}
+
+module.exports = {
+  DEFAULT_TOP_K,
+  MAX_TOP_K,
+  semanticResultSchema,
+  getVectorIndex,
+};
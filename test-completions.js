@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for argument completion
+ * Completes sessionId and docId arguments of prompts, resource templates and
+ * tools against an in-memory store (completions.js)
+ */
+
+const assert = require('assert');
+const { complete } = require('./mcp-server/completions');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+const INVALID_PARAMS = -32602;
+
+async function testCompletions() {
+  console.log('🧪 Testing Argument Completion\n');
+
+  try {
+    const store = createDocumentStore({ type: 'memory' });
+    await store.createSession({ id: 'alpha-1' });
+    await store.createSession({ id: 'alpha-2' });
+    await store.createSession({ id: 'beta-1' });
+    await store.addDocument('alpha-1', { id: 'doc-policy', title: 'Password Policy', text: 'x' });
+    await store.addDocument('alpha-1', { id: 'pw-guide', title: 'VPN guide', text: 'x' });
+    await store.addDocument('beta-1', { id: 'doc-other', title: 'Other', text: 'x' });
+
+    const values = async (ref, name, value, args) =>
+      (await complete(store, { ref, argument: { name, value }, context: args && { arguments: args } })).completion.values;
+    const prompt = { type: 'ref/prompt', name: 'summarize_document' };
+
+    // Test 1: Session IDs
+    console.log('🆔 Test 1: sessionId');
+    assert.deepStrictEqual(await values(prompt, 'sessionId', 'ALPHA'), ['alpha-1', 'alpha-2']);
+    assert.deepStrictEqual(await values({ type: 'ref/resource', uri: 'session://{sessionId}' }, 'sessionId', 'b'), ['beta-1']);
+    assert.deepStrictEqual(await values({ type: 'ref/tool', name: 'list_documents' }, 'sessionId', ''), ['alpha-1', 'alpha-2', 'beta-1']);
+    console.log('✅ Case-insensitive ID prefixes for prompts, resource templates and tools');
+    console.log('');
+
+    // Test 2: Document IDs
+    console.log('📄 Test 2: docId');
+    assert.deepStrictEqual(await values(prompt, 'docId', 'p', { sessionId: 'alpha-1' }), ['pw-guide', 'doc-policy'],
+      'ID prefix matches come before title matches');
+    assert.deepStrictEqual(await values(prompt, 'docId', 'doc'), ['doc-policy', 'doc-other'], 'every session without a sessionId');
+    assert.deepStrictEqual(await values({ type: 'ref/prompt', name: 'compare_documents' }, 'otherDocId', 'vpn', { sessionId: 'alpha-1' }), ['pw-guide']);
+    assert.deepStrictEqual(await values(prompt, 'docId', 'doc', { sessionId: 'missing' }), []);
+    console.log('✅ ID prefixes first, then title matches, within the given session');
+    console.log('');
+
+    // Test 3: Other arguments and unknown references
+    console.log('🚫 Test 3: Nothing to complete');
+    assert.deepStrictEqual(await values({ type: 'ref/prompt', name: 'answer_question' }, 'question', 'a'), []);
+    assert.deepStrictEqual(await values({ type: 'ref/tool', name: 'create_session' }, 'sessionId', 'a'), [], 'not an argument of the tool');
+    for (const ref of [{ type: 'ref/prompt', name: 'nope' }, { type: 'ref/resource', uri: 'file://{x}' }, { type: 'ref/other' }]) {
+      await assert.rejects(complete(store, { ref, argument: { name: 'sessionId', value: '' } }), { code: INVALID_PARAMS });
+    }
+    console.log('✅ No values for other arguments, -32602 for unknown references');
+    console.log('');
+
+    console.log('🎉 Completion tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testCompletions().then(() => process.exit(0));
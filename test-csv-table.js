@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for CSV tables
+ * Checks delimiter and header detection, column typing and table queries
+ * (csv-table.js and table-query.js)
+ */
+
+const assert = require('assert');
+const {
+  INVALID_CSV, parseCsv, documentTable, withCsvTables,
+} = require('./mcp-server/csv-table');
+const { describeTable, queryTable } = require('./mcp-server/table-query');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+const SALES_CSV = `region;rep;sales;closed;signed
+EU;Ann;120.5;yes;2024-01-31
+EU;Bob;80;no;2024-02-15
+US;"Cy; Jr.";200;true;
+US;Dee;;false;2024-03-01
+`;
+
+function columnTypes(table) {
+  return table.columns.map(column => `${column.name}:${column.type}`);
+}
+
+async function testCsvTable() {
+  console.log('🧪 Testing CSV Tables\n');
+
+  try {
+    // Test 1: Delimiter, quotes and column types
+    console.log('🔢 Test 1: Parsing and typing');
+    const sales = parseCsv(SALES_CSV);
+    assert.strictEqual(sales.delimiter, ';');
+    assert.strictEqual(sales.hasHeader, true);
+    assert.deepStrictEqual(columnTypes(sales), ['region:string', 'rep:string', 'sales:number', 'closed:boolean', 'signed:date']);
+    assert.deepStrictEqual(sales.rows[2], ['US', 'Cy; Jr.', 200, true, null]);
+    assert.deepStrictEqual(sales.rows[3], ['US', 'Dee', null, false, '2024-03-01']);
+    assert.strictEqual(sales.raggedRows, 0);
+    const codes = parseCsv('zip,stock,ratio\n01234,0,0.5\n10115,-3,00.5\n');
+    assert.deepStrictEqual(columnTypes(codes), ['zip:string', 'stock:integer', 'ratio:string']);
+    assert.deepStrictEqual(codes.rows[0], ['01234', 0, '0.5']);
+    console.log(`✅ ${columnTypes(sales).join(', ')}`);
+    console.log('');
+
+    // Test 2: Header detection
+    console.log('🏷️  Test 2: Header detection');
+    const headers = [
+      { text: 'name,city\nAlice,Paris', hasHeader: true },
+      { text: 'region,rep\nEU,Ann\nEU,Bob\nUS,Cy', hasHeader: true },
+      { text: 'code,country\nAB12,FR\nCD34,DE', hasHeader: true },
+      { text: 'AB12,FR\nCD34,DE\nEF56,IT', hasHeader: false },
+      { text: '1,2\n3,4', hasHeader: false },
+      { text: 'EU,Ann\nEU,Bob', hasHeader: false },
+    ];
+    for (const { text, hasHeader } of headers) {
+      assert.strictEqual(parseCsv(text).hasHeader, hasHeader, JSON.stringify(text));
+      console.log(`   ${JSON.stringify(text)} -> hasHeader: ${hasHeader}`);
+    }
+    const forced = parseCsv('name,city\nAlice,Paris', { hasHeader: false });
+    assert.deepStrictEqual(columnTypes(forced), ['column_1:string', 'column_2:string']);
+    assert.strictEqual(parseCsv('a;b\n1;2', { delimiter: ',' }).columns.length, 1);
+    console.log('✅ Detected headers, overridable with hasHeader / delimiter');
+    console.log('');
+
+    // Test 3: Errors
+    console.log('🚫 Test 3: Errors');
+    assert.throws(() => parseCsv('a,b\n"open,1\n'), /Unterminated quoted field starting on line 2/);
+    assert.throws(() => parseCsv('\n\n'), /no rows/);
+    assert.throws(() => documentTable({ id: 'd1', title: 'notes.txt', mimeType: 'text/plain', text: 'a,b' }), /not a CSV table/);
+    console.log('✅ Unterminated quotes, empty text and non-CSV documents are rejected');
+    console.log('');
+
+    // Test 4: Parsed on upload
+    console.log('📤 Test 4: Uploads');
+    const store = withCsvTables(createDocumentStore({ type: 'memory' }));
+    const { id: sessionId } = await store.createSession();
+    await assert.rejects(store.addDocument(sessionId, { title: 'bad.csv', text: 'a,b\n"open,1\n' }), {
+      code: INVALID_CSV,
+      message: 'Could not parse bad.csv as CSV: Unterminated quoted field starting on line 2',
+    });
+    assert.ok(await store.addDocument(sessionId, { title: 'notes.txt', text: '"open' }), 'only CSVs are parsed');
+    const uploaded = await store.addDocument(sessionId, { title: 'good.csv', text: 'a,b\n1,2\n' });
+    await assert.rejects(store.updateDocument(sessionId, uploaded.id, { text: '"open' }), { code: INVALID_CSV });
+    assert.strictEqual((await store.listDocuments(sessionId)).length, 2, 'rejected uploads are not stored');
+    assert.strictEqual((await store.getDocument(sessionId, uploaded.id)).text, 'a,b\n1,2\n');
+    console.log('✅ Malformed CSVs are rejected when they are stored');
+    console.log('');
+
+    // Test 5: describe and query
+    console.log('📋 Test 5: describe_table / query_table');
+    const doc = { id: 'd2', title: 'sales.csv', mimeType: 'text/csv', text: SALES_CSV };
+    const table = documentTable(doc);
+    assert.strictEqual(documentTable(doc), table, 'unchanged documents come from the cache');
+    const described = describeTable(table, { sampleSize: 1 });
+    assert.strictEqual(described.rowCount, 4);
+    assert.deepStrictEqual(described.columns[2], { name: 'sales', type: 'number', nullCount: 1, distinctCount: 3, min: 80, max: 200 });
+    assert.strictEqual(described.sample.length, 1);
+
+    const totals = queryTable(table, {
+      where: [{ column: 'closed', op: 'eq', value: 'yes' }],
+      groupBy: ['region'],
+      aggregates: [{ fn: 'sum', column: 'sales', as: 'total' }, { fn: 'count' }],
+      orderBy: [{ column: 'total', direction: 'desc' }],
+    });
+    assert.deepStrictEqual(totals.rows, [{ region: 'US', total: 200, count: 1 }, { region: 'EU', total: 120.5, count: 1 }]);
+    assert.strictEqual(totals.matchedRows, 2);
+
+    const padded = documentTable({ id: 'd3', title: 'cities.csv', mimeType: 'text/csv', text: 'name,city\nAlice, Paris \nBob,London' });
+    assert.strictEqual(queryTable(padded, { where: [{ column: 'city', op: 'eq', value: 'paris' }] }).rowCount, 1);
+    assert.strictEqual(queryTable(padded, { where: [{ column: 'city', op: 'in', value: ['PARIS', 'Rome'] }] }).rowCount, 1);
+    assert.throws(() => queryTable(table, { where: [{ column: 'sales', op: 'gt', value: 'lots' }] }), /sales is numeric/);
+    assert.throws(() => queryTable(table, { select: ['price'] }), /Unknown column: price/);
+    console.log('✅ Aggregates, trimmed text comparisons and query errors');
+    console.log('');
+
+    console.log('🎉 CSV table tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testCsvTable().then(() => process.exit(0));
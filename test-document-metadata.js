@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for document metadata and filtered listing
+ * Checks mime type detection, tag normalisation and the filters / sorting of
+ * document-metadata.js, and list_documents against an in-memory store
+ */
+
+const assert = require('assert');
+const { detectMimeType, normalizeTags, filterDocuments } = require('./mcp-server/document-metadata');
+const { callTool } = require('./mcp-server/tools');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+async function testDocumentMetadata() {
+  console.log('🧪 Testing Document Metadata\n');
+
+  try {
+    // Test 1: Recorded fields
+    console.log('🏷️ Test 1: Mime types and tags');
+    assert.strictEqual(detectMimeType({ filename: 'sales.CSV', title: 'Sales', contentType: 'text/plain' }), 'text/csv');
+    assert.strictEqual(detectMimeType({ title: 'notes.md', contentType: 'application/octet-stream' }), 'text/markdown');
+    assert.strictEqual(detectMimeType({ title: 'Notes', contentType: 'application/json' }), 'application/json');
+    assert.strictEqual(detectMimeType({ title: 'Notes' }), 'text/plain');
+    assert.deepStrictEqual(normalizeTags([' HR ', 'hr', 'Policy', '']), ['hr', 'policy']);
+    console.log('✅ Filename first, then a specific content type, then the title; tags lower-cased and de-duplicated');
+    console.log('');
+
+    // Test 2: Filters and sorting
+    console.log('🔎 Test 2: filterDocuments');
+    const docs = [
+      { id: 'a', title: 'beta', tags: ['hr', 'policy'], createdAt: '2025-01-10T00:00:00Z', size: 300 },
+      { id: 'b', title: 'Alpha', tags: ['hr'], createdAt: '2025-02-10T00:00:00Z', size: 100 },
+      { id: 'c', title: 'gamma', tags: ['it'], createdAt: '2025-03-10T00:00:00Z', size: 200 },
+    ];
+    const ids = filters => filterDocuments([...docs], filters).map(doc => doc.id);
+    assert.deepStrictEqual(ids({ tags: ['HR'] }), ['a', 'b']);
+    assert.deepStrictEqual(ids({ tags: ['hr', 'policy'] }), ['a'], 'every tag must match');
+    assert.deepStrictEqual(ids({ createdAfter: '2025-02-10', createdBefore: '2025-03-10T00:00:00Z' }), ['b'], 'after is inclusive, before exclusive');
+    assert.deepStrictEqual(ids({ minSize: 150, maxSize: 300 }), ['a', 'c']);
+    assert.deepStrictEqual(ids({ sortBy: 'title' }), ['b', 'a', 'c'], 'titles sort case-insensitively');
+    assert.deepStrictEqual(ids({ sortBy: 'size', order: 'desc' }), ['a', 'c', 'b']);
+    assert.throws(() => filterDocuments(docs, { createdAfter: 'last week' }), /createdAfter is not a valid ISO 8601 date: last week/);
+    console.log('✅ Tags, date range, size range and sorting');
+    console.log('');
+
+    // Test 3: list_documents
+    console.log('📋 Test 3: list_documents');
+    const store = createDocumentStore({ type: 'memory' });
+    const { id: sessionId } = await store.createSession();
+    await store.addDocument(sessionId, { title: 'orders.csv', text: 'id\n1\n', tags: ['Finance'], metadata: { owner: 'ops' } });
+    await store.addDocument(sessionId, { title: 'Policy', text: 'Passwords rotate yearly.', tags: ['hr'] });
+    const list = async args => (await callTool('list_documents', { sessionId, ...args }, { store })).structuredContent;
+
+    const { documents: [orders] } = await list({ tags: ['finance'] });
+    assert.deepStrictEqual(
+      { title: orders.title, tags: orders.tags, metadata: orders.metadata, size: orders.size, mimeType: orders.mimeType, filename: orders.filename },
+      { title: 'orders.csv', tags: ['finance'], metadata: { owner: 'ops' }, size: 5, mimeType: 'text/csv', filename: null }
+    );
+    assert.ok(!Number.isNaN(Date.parse(orders.createdAt)));
+    assert.deepStrictEqual((await list({ sortBy: 'size', order: 'desc' })).documents.map(doc => doc.title), ['Policy', 'orders.csv']);
+    const invalid = await callTool('list_documents', { sessionId, createdBefore: 'soon' }, { store });
+    assert.strictEqual(invalid.isError, true);
+    console.log('✅ Metadata on every listed document, filtered and sorted; bad dates are tool errors');
+    console.log('');
+
+    console.log('🎉 Document metadata tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testDocumentMetadata().then(() => process.exit(0));
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for updating, renaming and deleting documents and sessions
+ * Uses the update_document / delete_document / delete_session tools on an
+ * in-memory store, then the PUT / PATCH / DELETE routes of mcp-server/index.js
+ * started on a free port
+ */
+
+const assert = require('assert');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { callTool } = require('./mcp-server/tools');
+const { createDocumentStore } = require('./mcp-server/document-store');
+const { withSessionLimits } = require('./mcp-server/session-limits');
+
+// A port nothing listens on right now
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+// Start the HTTP server and resolve once it listens
+function startServer(port) {
+  const child = spawn(process.execPath, [path.join(__dirname, 'mcp-server', 'index.js')], {
+    env: { ...process.env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  child.stderr.resume();
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('listening on port')) {
+        child.stdout.resume();
+        resolve(child);
+      }
+    });
+    child.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+  });
+}
+
+async function testDocumentUpdates() {
+  console.log('🧪 Testing Document Updates and Deletes\n');
+  let server;
+
+  try {
+    // Test 1: MCP tools
+    console.log('🔧 Test 1: update_document, delete_document, delete_session');
+    const store = withSessionLimits(createDocumentStore({ type: 'memory' }));
+    const tool = async (name, args) => {
+      const result = await callTool(name, args, { store });
+      return result.isError ? { error: result.content[0].text } : result.structuredContent;
+    };
+    const { sessionId } = await tool('create_session', {});
+    const { docId } = await tool('upload_document', { sessionId, title: 'draft.txt', text: 'First' });
+    await store.appendHistory(sessionId, { docId, query: 'q', response: 'About the first text' });
+
+    const renamed = await tool('update_document', { sessionId, docId, title: 'policy.txt' });
+    assert.deepStrictEqual(renamed, { success: true, sessionId, docId, title: 'policy.txt', textLength: 5, revision: 2 });
+    assert.strictEqual((await store.getSession(sessionId)).history[0].stale, undefined, 'a rename keeps answers current');
+    const edited = await tool('update_document', { sessionId, docId, text: 'Second version' });
+    assert.strictEqual(edited.revision, 3);
+    assert.strictEqual((await store.getSession(sessionId)).history[0].stale, true, 'new text marks answers stale');
+    await assert.rejects(callTool('update_document', { sessionId, docId }, { store }), { code: -32602, message: /should match some schema in anyOf/ },
+      'an update changes something');
+
+    assert.deepStrictEqual(await tool('delete_document', { sessionId, docId }), { success: true, sessionId, docId });
+    assert.deepStrictEqual((await store.getSession(sessionId)).history, [], 'its history goes with it');
+    assert.deepStrictEqual(await tool('delete_document', { sessionId, docId }), { error: `Error: Document not found: ${docId}` });
+    assert.deepStrictEqual(await tool('delete_session', { sessionId }), { success: true, sessionId });
+    assert.deepStrictEqual(await tool('delete_session', { sessionId }), { error: `Error: Session not found: ${sessionId}` });
+    console.log('✅ Renames and edits record revisions; deletes report missing documents and sessions');
+    console.log('');
+
+    // Test 2: REST routes
+    console.log('🌐 Test 2: PUT / PATCH / DELETE');
+    const port = await freePort();
+    server = await startServer(port);
+    const http = async (method, route, body) => {
+      const response = await fetch(`http://localhost:${port}${route}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body && JSON.stringify(body),
+      });
+      const text = await response.text();
+      return { status: response.status, body: response.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text };
+    };
+
+    const { body: { sessionId: sid } } = await http('POST', '/session');
+    const { body: { docId: restDocId } } = await http('POST', `/session/${sid}/upload`, { title: 'a.txt', text: 'One' });
+    const patched = await http('PATCH', `/session/${sid}/docs/${restDocId}`, { title: 'b.txt' });
+    assert.deepStrictEqual(patched.body, { docId: restDocId, title: 'b.txt', textLength: 3, revision: 2 });
+    const put = await http('PUT', `/session/${sid}/docs/${restDocId}`, { title: 'c.txt', text: 'Three' });
+    assert.deepStrictEqual(put.body, { docId: restDocId, title: 'c.txt', textLength: 5, revision: 3 });
+    assert.strictEqual((await http('PUT', `/session/${sid}/docs/${restDocId}`, { title: 'd.txt' })).status, 400, 'PUT replaces title and text');
+    assert.strictEqual((await http('PATCH', `/session/${sid}/docs/missing`, { title: 'x' })).status, 404);
+    assert.deepStrictEqual((await http('DELETE', `/session/${sid}/docs/${restDocId}`)).body, { deleted: true, docId: restDocId });
+    assert.strictEqual((await http('DELETE', `/session/${sid}/docs/${restDocId}`)).status, 404);
+    assert.deepStrictEqual((await http('DELETE', `/session/${sid}`)).body, { deleted: true, sessionId: sid });
+    assert.strictEqual((await http('DELETE', `/session/${sid}`)).status, 404);
+    console.log('✅ PATCH renames, PUT replaces, DELETE removes, 404 once gone');
+    console.log('');
+
+    console.log('🎉 Document update tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    if (server) server.kill();
+  }
+}
+
+// Run tests
+testDocumentUpdates().then(() => process.exit());
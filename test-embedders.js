@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the local embedder
+ * Checks that its vectors are deterministic and normalized, that shared words
+ * make texts similar, and that the semantic index ranks with it (no network needed)
+ */
+
+const assert = require('assert');
+const { createEmbedder, createLocalEmbedder } = require('./mcp-server/embedders');
+const { getVectorIndex } = require('./mcp-server/vector-index');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+// Embedders are picked from the environment: keep this run local
+process.env.EMBEDDER = 'local';
+delete process.env.EMBEDDING_ENDPOINT;
+
+function cosine(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+async function testEmbedders() {
+  console.log('🧪 Testing the Local Embedder\n');
+
+  try {
+    // Test 1: Selection
+    console.log('⚙️  Test 1: Embedder selection');
+    assert.strictEqual(createEmbedder({ type: 'local' }).name, 'local');
+    assert.strictEqual(createEmbedder({ type: undefined }).name, 'local');
+    assert.throws(() => createEmbedder({ type: 'word2vec' }), /Unknown embedder "word2vec"/);
+    assert.throws(() => createEmbedder({ type: 'azure-openai' }), /EMBEDDING_ENDPOINT must be set/);
+    console.log('✅ local without EMBEDDING_ENDPOINT, unknown types rejected');
+    console.log('');
+
+    // Test 2: Vectors
+    console.log('📐 Test 2: Deterministic unit vectors');
+    const embedder = createLocalEmbedder();
+    const texts = ['VPN password policy', 'password policy for the VPN', 'summer holiday schedule', ''];
+    const [policy, reordered, holiday, empty] = await embedder.embed(texts);
+    const [again] = await createLocalEmbedder().embed([texts[0]]);
+    assert.strictEqual(policy.length, 256);
+    assert.deepStrictEqual(again, policy, 'same text, same vector');
+    assert.ok(Math.abs(cosine(policy, policy) - 1) < 1e-9, 'vectors are normalized');
+    assert.ok(empty.every(value => value === 0), 'text without words embeds as zeros');
+    assert.strictEqual((await createLocalEmbedder({ dimensions: 32 }).embed(['vpn']))[0].length, 32);
+    console.log('✅ 256 dimensions, unit length, same vector every run');
+    console.log('');
+
+    // Test 3: Similarity
+    console.log('🧭 Test 3: Similarity');
+    const related = cosine(policy, reordered);
+    const unrelated = cosine(policy, holiday);
+    console.log(`   shared words: ${related.toFixed(3)}, no shared words: ${unrelated.toFixed(3)}`);
+    assert.ok(related > 0.8, 'texts with the same words should be close');
+    assert.ok(Math.abs(unrelated) < 0.2, 'texts without shared words should be far apart');
+    const [connect, connections] = await embedder.embed(['connect', 'connections']);
+    assert.ok(cosine(connect, connections) > 0.3, 'word forms share trigram features');
+    console.log('✅ Shared words and word forms are similar');
+    console.log('');
+
+    // Test 4: Semantic index
+    console.log('🔍 Test 4: Vector index with the local embedder');
+    const store = createDocumentStore({ type: 'memory' });
+    const index = getVectorIndex(store);
+    const { id: sessionId } = await store.createSession();
+    await store.addDocument(sessionId, { title: 'VPN guide', text: 'Connect to the VPN before using SSH. Connections drop after an hour.' });
+    await store.addDocument(sessionId, { title: 'Holidays', text: 'The office closes in August for summer holidays.' });
+    await index.ready();
+    const { results, unindexedDocuments } = await index.search({ query: 'vpn connection', sessionId, topK: 2 });
+    assert.deepStrictEqual(results.map(result => result.title), ['VPN guide', 'Holidays']);
+    assert.ok(results[0].similarity > results[1].similarity);
+    assert.deepStrictEqual(unindexedDocuments, []);
+    results.forEach(result => console.log(`   ${result.similarity} ${result.title}`));
+    console.log('✅ The matching chunk ranks first');
+    console.log('');
+
+    console.log('🎉 Embedder tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testEmbedders().then(() => process.exit(0));
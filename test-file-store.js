@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the DocumentStore implementations
+ * Runs the same operations on the memory and file stores (document-store.js),
+ * then restarts the file store on its directory to check the journal is
+ * replayed, compacted, and survives a line cut short by a crash
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-file-store-'));
+const journalPath = path.join(dir, 'store.jsonl');
+
+// Session, documents and history as a client would see them
+async function snapshot(store, sessionId) {
+  const session = await store.getSession(sessionId);
+  return {
+    docs: session.docs.map(doc => ({ id: doc.id, title: doc.title, text: doc.text, revision: doc.revision })),
+    history: session.history.map(entry => ({ docId: entry.docId, response: entry.response, stale: Boolean(entry.stale) })),
+  };
+}
+
+// The operations every DocumentStore must support
+async function exercise(store) {
+  const { id: sessionId } = await store.createSession({ id: 'session-1' });
+  await assert.rejects(store.createSession({ id: sessionId }), /Session already exists/);
+  const policy = await store.addDocument(sessionId, { id: 'policy', title: 'Policy', text: 'Version 1' });
+  await store.addDocument(sessionId, { id: 'notes', title: 'Notes', text: 'Draft' });
+  await store.appendHistory(sessionId, { docId: 'policy', query: 'q', response: 'About version 1' });
+  await store.appendHistory(sessionId, { docId: 'notes', query: 'q', response: 'About the draft' });
+  await store.updateDocument(sessionId, 'policy', { text: 'Version 2' });
+  await store.deleteDocument(sessionId, 'notes');
+
+  policy.text = 'Changed by the caller';
+  assert.strictEqual((await store.getDocument(sessionId, 'policy')).text, 'Version 2', 'returned objects are copies');
+  assert.strictEqual(await store.addDocument('missing', { title: 'x', text: 'x' }), null);
+  assert.strictEqual(await store.updateDocument(sessionId, 'missing', { text: 'x' }), null);
+  assert.strictEqual(await store.deleteDocument(sessionId, 'missing'), false);
+  return sessionId;
+}
+
+async function testFileStore() {
+  console.log('🧪 Testing the Document Stores\n');
+
+  try {
+    // Test 1: Same behavior for both implementations
+    console.log('🔁 Test 1: memory and file stores');
+    const memory = createDocumentStore({ type: 'memory' });
+    const file = createDocumentStore({ type: 'file', dir });
+    assert.strictEqual(file.kind, 'file');
+    const sessionId = await exercise(memory);
+    await exercise(file);
+    const expected = {
+      docs: [{ id: 'policy', title: 'Policy', text: 'Version 2', revision: 2 }],
+      history: [{ docId: 'policy', response: 'About version 1', stale: true }],
+    };
+    assert.deepStrictEqual(await snapshot(memory, sessionId), expected);
+    assert.deepStrictEqual(await snapshot(file, sessionId), expected);
+    assert.throws(() => createDocumentStore({ type: 'cosmos' }), /Unknown DOCUMENT_STORE "cosmos"/);
+    console.log('✅ Copies, revisions, stale and deleted history alike');
+    console.log('');
+
+    // Test 2: Restart
+    console.log('💾 Test 2: Journal replay and compaction');
+    const journalLines = () => fs.readFileSync(journalPath, 'utf8').trim().split('\n');
+    assert.ok(journalLines().length > 3, 'every change was appended');
+    const restarted = createDocumentStore({ type: 'file', dir });
+    assert.deepStrictEqual(await snapshot(restarted, sessionId), expected);
+    assert.deepStrictEqual(journalLines().map(line => JSON.parse(line).type), ['createSession', 'addDocument', 'appendHistory']);
+    console.log('✅ Same state after a restart, journal compacted to 3 lines');
+    console.log('');
+
+    // Test 3: A write cut short
+    console.log('✂️ Test 3: Torn and unreadable lines');
+    fs.appendFileSync(journalPath, '{"type":"addDocument","sessionId":"session-1","doc":{"id":"torn"');
+    const recovered = createDocumentStore({ type: 'file', dir });
+    assert.deepStrictEqual(await snapshot(recovered, sessionId), expected, 'the torn line is skipped');
+    await recovered.addDocument(sessionId, { id: 'after', title: 'After', text: 'Written after the crash' });
+    fs.appendFileSync(journalPath, 'not json\n');
+    const again = createDocumentStore({ type: 'file', dir });
+    assert.deepStrictEqual((await again.listDocuments(sessionId)).map(doc => doc.id), ['policy', 'after']);
+    console.log('✅ Partial and unreadable lines are skipped, later changes kept');
+    console.log('');
+
+    console.log('🎉 Document store tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Run tests
+testFileStore().then(() => process.exit());
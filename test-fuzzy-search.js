@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for typo-tolerant search
+ * Checks fuzzy matching (fuzzy option and word~N) and the allOccurrences mode
+ * of search-index.js against an in-memory store
+ */
+
+const assert = require('assert');
+const { getSearchIndex } = require('./mcp-server/search-index');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+async function testFuzzySearch() {
+  console.log('🧪 Testing Fuzzy Search\n');
+
+  try {
+    const store = createDocumentStore({ type: 'memory' });
+    const index = getSearchIndex(store);
+    const { id: sessionId } = await store.createSession();
+    await store.addDocument(sessionId, {
+      title: 'Password policy',
+      text: 'Passwords must be 12 characters. Rotate every password yearly.',
+    });
+    await store.addDocument(sessionId, {
+      title: 'VPN guide',
+      text: 'Connect to the VPN.\nThe VPN password is your login password.',
+    });
+
+    // Test 1: Typos
+    console.log('🔤 Test 1: Fuzzy matching');
+    const exact = await index.search({ query: 'password', sessionId });
+    assert.strictEqual((await index.search({ query: 'pasword', sessionId })).total, 0);
+    const fuzzy = await index.search({ query: 'pasword', sessionId, fuzzy: 1 });
+    assert.deepStrictEqual(fuzzy.results.map(result => result.title), ['Password policy', 'VPN guide']);
+    assert.ok(fuzzy.results[0].score < exact.results[0].score, 'a typo should score less than the exact word');
+    assert.strictEqual((await index.search({ query: 'pasword~', sessionId })).total, 2);
+    assert.strictEqual((await index.search({ query: 'psaswrod~1', sessionId })).total, 0, 'one edit is not enough');
+    assert.strictEqual((await index.search({ query: 'vp~', sessionId })).total, 0, 'words of 2 letters allow no typos');
+    console.log('✅ "pasword" finds "password" with fuzzy: 1 and with pasword~');
+    console.log('');
+
+    // Test 2: Every occurrence with its location
+    console.log('📍 Test 2: allOccurrences');
+    const { results } = await index.search({ query: 'passwrd~1 "login password"', sessionId, allOccurrences: true });
+    const guide = results.find(result => result.title === 'VPN guide');
+    assert.deepStrictEqual(guide.occurrences, [
+      { offset: 28, length: 8, line: 2, column: 9, text: 'password' },
+      { offset: 45, length: 14, line: 2, column: 26, text: 'login password' },
+    ]);
+    assert.strictEqual(guide.occurrencesTruncated, false);
+    assert.strictEqual(exact.results[0].occurrences, undefined, 'occurrences are only listed when asked for');
+    console.log('✅ Fuzzy words and whole phrases, with line and column');
+    console.log('');
+
+    console.log('🎉 Fuzzy search tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testFuzzySearch().then(() => process.exit(0));
@@ -14,6 +14,35 @@ console.log(`Web App: ${BASE_URL}\n`);
 
 let responseReceived = false;
 
+// The server answers nothing but initialize and ping until the MCP handshake is done
+const INITIALIZE_REQUEST_ID = 'initialize';
+
+async function initializeConnection(messageUrl) {
+  const response = await fetch(messageUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: INITIALIZE_REQUEST_ID,
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'test-get-document', version: '1.0.0' },
+      },
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`initialize failed: HTTP ${response.status}`);
+  }
+  await fetch(messageUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+  });
+  console.log('🤝 MCP handshake complete');
+}
+
 const es = new EventSource(`${BASE_URL}/mcp/sse`);
 
 es.addEventListener('endpoint', async (event) => {
@@ -21,6 +50,7 @@ es.addEventListener('endpoint', async (event) => {
   console.log('✅ SSE connected, endpoint:', endpoint);
   
   const messageUrl = `${BASE_URL}${endpoint}`;
+  await initializeConnection(messageUrl);
   
   console.log('\n📤 Sending get_document request...');
   
@@ -47,12 +77,16 @@ es.addEventListener('endpoint', async (event) => {
 });
 
 es.addEventListener('message', (event) => {
+  // The handshake answer is not the response we are waiting for
+  if (JSON.parse(event.data).id === INITIALIZE_REQUEST_ID) return;
+
   responseReceived = true;
   console.log('\n✅ SSE message received!');
   console.log('Response:', event.data);
   
+  let parsed = {};
   try {
-    const parsed = JSON.parse(event.data);
+    parsed = JSON.parse(event.data);
     console.log('\nParsed response:', JSON.stringify(parsed, null, 2));
     
     if (parsed.result && parsed.result.content) {
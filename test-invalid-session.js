@@ -7,6 +7,35 @@ const eventSource = new EventSource(`https://mcp-server-app-davisanc.azurewebsit
 
 let connectionId = null;
 
+// The server answers nothing but initialize and ping until the MCP handshake is done
+const INITIALIZE_REQUEST_ID = 'initialize';
+
+async function initializeConnection(messageUrl) {
+  const response = await fetch(messageUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: INITIALIZE_REQUEST_ID,
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'test-invalid-session', version: '1.0.0' },
+      },
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`initialize failed: HTTP ${response.status}`);
+  }
+  await fetch(messageUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+  });
+  console.log('🤝 MCP handshake complete');
+}
+
 eventSource.onopen = () => {
   console.log('✅ Connected to SSE endpoint');
 };
@@ -18,19 +47,33 @@ eventSource.addEventListener('endpoint', (event) => {
     console.log(`🔑 Got connection ID: ${connectionId}`);
     
     // Try to use invalid session
-    testInvalidSession();
+    initializeConnection(`https://mcp-server-app-davisanc.azurewebsites.net${event.data}`)
+      .then(testInvalidSession)
+      .catch(error => {
+      console.error('❌ MCP handshake failed:', error.message);
+      eventSource.close();
+      process.exit(1);
+    });
   }
 });
 
 eventSource.addEventListener('message', (event) => {
+  // The handshake answer is not the response we are waiting for
+  if (JSON.parse(event.data).id === INITIALIZE_REQUEST_ID) return;
+
   console.log('📨 Received message:', event.data);
   try {
     const response = JSON.parse(event.data);
     
-    if (response.error) {
+    // Tool failures come back as results with isError (MCP spec), protocol failures as errors
+    if (response.error || (response.result && response.result.isError)) {
       console.log('\n✅ MCP server properly returned error:');
-      console.log('  Code:', response.error.code);
-      console.log('  Message:', response.error.message);
+      if (response.error) {
+        console.log('  Code:', response.error.code);
+        console.log('  Message:', response.error.message);
+      } else {
+        console.log('  Tool error:', response.result.content[0].text);
+      }
       console.log('\n🔍 This proves the MCP server handles errors correctly.');
       console.log('❌ The issue is that Azure AI Agent gets stuck when receiving this error.');
       eventSource.close();
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for JSON-RPC 2.0 handling
+ * Runs bodies through processBody (jsonrpc.js) and the /mcp/message dispatcher:
+ * batches, notifications, invalid messages, ping and protocol version negotiation
+ */
+
+const assert = require('assert');
+const { processBody, validateMessage } = require('./mcp-server/jsonrpc');
+const { createDispatcher } = require('./mcp-server/mcp-dispatcher');
+const { createSSEConnection } = require('./mcp-server/sse-connections');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+function initializeRequest(id, protocolVersion) {
+  return {
+    jsonrpc: '2.0',
+    id,
+    method: 'initialize',
+    params: { protocolVersion, capabilities: {}, clientInfo: { name: 'test-jsonrpc', version: '1.0.0' } },
+  };
+}
+
+async function testJsonRpc() {
+  console.log('🧪 Testing JSON-RPC 2.0 Handling\n');
+
+  try {
+    const dispatcher = createDispatcher(createDocumentStore({ type: 'memory' }));
+    // processBody on a fresh /mcp/message connection
+    const send = (body, connection = createSSEConnection('test-jsonrpc')) =>
+      processBody(body, message => dispatcher.handleMessage(connection, message));
+
+    // Test 1: Envelope validation
+    console.log('✉️ Test 1: Invalid messages');
+    assert.strictEqual(validateMessage({ jsonrpc: '2.0', id: 1, method: 'ping' }), null);
+    assert.strictEqual(validateMessage({ jsonrpc: '1.0', id: 1, method: 'ping' }), 'Message must have jsonrpc: "2.0"');
+    assert.strictEqual(validateMessage({ jsonrpc: '2.0', id: {}, method: 'ping' }), 'id must be a string, number or null');
+    assert.strictEqual(validateMessage({ jsonrpc: '2.0', id: 1 }), 'Message must be a request, notification or response');
+    assert.strictEqual(validateMessage({ jsonrpc: '2.0', id: 1, method: 'ping', params: 'x' }), 'params must be an object or array');
+    const empty = await send([]);
+    assert.deepStrictEqual(empty, {
+      isBatch: false,
+      responses: [{ jsonrpc: '2.0', error: { code: INVALID_REQUEST, message: 'Batch must not be empty' }, id: null }],
+    });
+    console.log('✅ -32600 with the reason, and for an empty batch');
+    console.log('');
+
+    // Test 2: Batches
+    console.log('📦 Test 2: Batch');
+    const { isBatch, responses } = await send([
+      initializeRequest(1, '2025-06-18'),
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 'ping-1', method: 'ping' },
+      { jsonrpc: '2.0', id: 3, method: 'no/such/method' },
+      42,
+      { jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 7 } },
+    ]);
+    assert.strictEqual(isBatch, true);
+    assert.deepStrictEqual(responses.map(response => response.id), [1, 'ping-1', 3, null, 4], 'no response to the notification');
+    assert.deepStrictEqual(responses[1].result, {});
+    assert.strictEqual(responses[2].error.code, METHOD_NOT_FOUND);
+    assert.strictEqual(responses[3].error.code, INVALID_REQUEST);
+    assert.strictEqual(responses[4].error.code, INVALID_PARAMS);
+    console.log('✅ Processed in order, one response per request, none for notifications');
+    console.log('');
+
+    // Test 3: Only notifications
+    console.log('🔕 Test 3: Notifications');
+    assert.deepStrictEqual(await send({ jsonrpc: '2.0', method: 'notifications/unknown' }), { isBatch: false, responses: [] });
+    console.log('✅ Unknown notifications are ignored without a response');
+    console.log('');
+
+    // Test 4: Protocol version negotiation
+    console.log('🤝 Test 4: Version negotiation');
+    const [older] = (await send(initializeRequest(1, '2024-11-05'))).responses;
+    assert.strictEqual(older.result.protocolVersion, '2024-11-05', 'a supported version is kept');
+    const [future] = (await send(initializeRequest(1, '2099-01-01'))).responses;
+    assert.notStrictEqual(future.result.protocolVersion, '2099-01-01');
+    assert.match(future.result.protocolVersion, /^\d{4}-\d{2}-\d{2}$/);
+    const [missing] = (await send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} })).responses;
+    assert.strictEqual(missing.error.code, INVALID_PARAMS);
+    console.log(`✅ 2024-11-05 kept, 2099-01-01 answered with ${future.result.protocolVersion}`);
+    console.log('');
+
+    console.log('🎉 JSON-RPC tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testJsonRpc().then(() => process.exit(0));
@@ -6,26 +6,57 @@ const MCP_URL = 'https://mcp-server-app-davisanc.azurewebsites.net/mcp/sse';
 
 console.log('🧪 Testing MCP SSE Connection...\n');
 
+// The server answers nothing but initialize and ping until the MCP handshake is done
+const INITIALIZE_REQUEST_ID = 'initialize';
+
+async function initializeConnection(messageUrl) {
+  const response = await fetch(messageUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: INITIALIZE_REQUEST_ID,
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'test-mcp-connection', version: '1.0.0' },
+      },
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`initialize failed: HTTP ${response.status}`);
+  }
+  await fetch(messageUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+  });
+  console.log('🤝 MCP handshake complete');
+}
+
 // Step 1: Connect to SSE endpoint
 console.log('Step 1: Connecting to SSE endpoint...');
 const es = new EventSource(MCP_URL);
+let responseReceived = false;
 
 es.onopen = () => {
   console.log('✅ SSE connection established');
 };
 
-es.addEventListener('endpoint', (event) => {
+es.addEventListener('endpoint', async (event) => {
   console.log('✅ Received endpoint event:', event.data);
   const messageEndpoint = event.data;
   
-  // Step 2: Send tools/list request
-  console.log('\nStep 2: Sending tools/list request...');
-  
   const messageUrl = `https://mcp-server-app-davisanc.azurewebsites.net${messageEndpoint}`;
   console.log('Message URL:', messageUrl);
   
-  // Listen for the tool list response via SSE
-  let responseReceived = false;
+  // Step 2: Handshake
+  console.log('\nStep 2: Sending initialize...');
+  await initializeConnection(messageUrl);
+  
+  // Step 3: Send tools/list request
+  console.log('\nStep 3: Sending tools/list request...');
   
   fetch(messageUrl, {
     method: 'POST',
@@ -58,6 +89,10 @@ es.addEventListener('endpoint', (event) => {
 });
 
 es.addEventListener('message', (event) => {
+  // The handshake answer is not the response we are waiting for
+  if (JSON.parse(event.data).id === INITIALIZE_REQUEST_ID) return;
+
+  responseReceived = true;
   console.log('\n✅ SSE message received!');
   console.log('Response:', event.data);
   
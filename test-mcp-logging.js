@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for MCP logging
+ * Checks level filtering in mcp-logging.js and the notifications/message a
+ * /mcp/message connection receives for tool calls after logging/setLevel
+ */
+
+const assert = require('assert');
+const { LOG_LEVELS, createClientLogger } = require('./mcp-server/mcp-logging');
+const { createDispatcher } = require('./mcp-server/mcp-dispatcher');
+const { createSSEConnection } = require('./mcp-server/sse-connections');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+const INVALID_PARAMS = -32602;
+
+async function testMcpLogging() {
+  console.log('🧪 Testing MCP Logging\n');
+
+  try {
+    // Test 1: Level filtering
+    console.log('🎚️ Test 1: createClientLogger');
+    const sent = [];
+    let minimumLevel;
+    const log = createClientLogger(() => minimumLevel, notification => sent.push(notification));
+    log('emergency', 'dropped before logging/setLevel');
+    assert.strictEqual(sent.length, 0);
+    minimumLevel = 'warning';
+    for (const level of LOG_LEVELS) log(level, `${level} message`);
+    assert.deepStrictEqual(sent.map(notification => notification.params.level), LOG_LEVELS.slice(LOG_LEVELS.indexOf('warning')));
+    assert.deepStrictEqual(sent[0], {
+      method: 'notifications/message',
+      params: { level: 'warning', logger: 'gateway', data: 'warning message' },
+    });
+    console.log('✅ Nothing until a level is set, then that level and above');
+    console.log('');
+
+    // Test 2: Tool calls on a connection
+    console.log('🔧 Test 2: logging/setLevel and tool calls');
+    const dispatcher = createDispatcher(createDocumentStore({ type: 'memory' }));
+    const connection = createSSEConnection('test-mcp-logging');
+    const messages = [];
+    connection.send = message => messages.push(message);
+    let nextId = 1;
+    const request = (method, params) => dispatcher.handleMessage(connection, { jsonrpc: '2.0', id: nextId++, method, params });
+    await request('initialize', { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } });
+
+    await request('tools/call', { name: 'create_session', arguments: {} });
+    assert.strictEqual(messages.length, 0, 'no log notifications by default');
+
+    assert.strictEqual((await request('logging/setLevel', { level: 'verbose' })).error.code, INVALID_PARAMS);
+    assert.deepStrictEqual((await request('logging/setLevel', { level: 'info' })).result, {});
+    await request('tools/call', { name: 'list_documents', arguments: { sessionId: 'missing' } });
+    const logged = messages.filter(message => message.method === 'notifications/message').map(message => message.params);
+    assert.deepStrictEqual(logged.map(params => `${params.logger}/${params.level}`), ['tools/info', 'tools/error']);
+    assert.deepStrictEqual(logged[0].data, { message: 'Calling tool list_documents', arguments: { sessionId: 'missing' } });
+    assert.match(logged[1].data.message, /^Tool list_documents failed: Session not found: missing$/);
+    console.log('✅ info and error events for the call; debug filtered out; invalid levels rejected with -32602');
+    console.log('');
+
+    console.log('🎉 MCP logging tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testMcpLogging().then(() => process.exit(0));
@@ -2,42 +2,75 @@
 
 /**
  * Test script for MCP tools
- * This script tests the MCP tool handlers directly
+ * This script drives the /mcp/message dispatcher directly (no HTTP server needed):
+ * the initialize handshake first, then tools/list and a few tool calls
  */
 
-const {
-  handleListDocuments,
-  handleGetDocument,
-  handleSearchDocuments,
-  handleUploadDocument
-} = require('./mcp-server/mcp-handler');
-
-// Simple UUID generator (no external dependency needed)
-function generateUUID() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c === 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
+const { createDispatcher } = require('./mcp-server/mcp-dispatcher');
+const { createDocumentStore } = require('./mcp-server/document-store');
+const { createSSEConnection } = require('./mcp-server/sse-connections');
+
+const store = createDocumentStore({ type: 'memory' });
+const dispatcher = createDispatcher(store);
+const connection = createSSEConnection('test-mcp-tools');
+
+let nextId = 1;
+
+// Send one request and fail on a JSON-RPC error
+async function request(method, params) {
+  const response = await dispatcher.handleMessage(connection, { jsonrpc: '2.0', id: nextId++, method, params });
+  if (response.error) {
+    throw new Error(`${method} failed: ${response.error.code} ${response.error.message}`);
+  }
+  return response.result;
 }
 
-// Create a mock sessions object
-const sessions = {};
+async function callTool(name, args) {
+  const result = await request('tools/call', { name, arguments: args });
+  if (result.isError) {
+    throw new Error(`${name} failed: ${result.content[0].text}`);
+  }
+  return result.structuredContent || JSON.parse(result.content[0].text);
+}
 
 async function testMCPTools() {
   console.log('🧪 Testing MCP Tools Integration\n');
-  
+
   try {
-    // Test 1: Create a session and upload a document
-    console.log('📄 Test 1: Upload a document using MCP tool');
-    const sessionId = generateUUID();
-    sessions[sessionId] = { docs: [], history: [] };
-    
+    // Test 1: Requests before initialize are rejected
+    console.log('🚫 Test 1: tools/list before initialize');
+    const early = await dispatcher.handleMessage(connection, { jsonrpc: '2.0', id: nextId++, method: 'tools/list' });
+    if (!early.error || early.error.code !== -32600) {
+      throw new Error(`Expected -32600 before initialize, got ${JSON.stringify(early)}`);
+    }
+    console.log(`✅ Rejected: ${early.error.message}`);
+    console.log('');
+
+    // Test 2: Handshake
+    console.log('🤝 Test 2: initialize + notifications/initialized');
+    const init = await request('initialize', {
+      protocolVersion: '2025-06-18',
+      capabilities: {},
+      clientInfo: { name: 'test-mcp-tools', version: '1.0.0' },
+    });
+    await dispatcher.handleMessage(connection, { jsonrpc: '2.0', method: 'notifications/initialized' });
+    console.log(`✅ Server ${init.serverInfo.name} ${init.serverInfo.version}, protocol ${init.protocolVersion}`);
+    console.log('');
+
+    // Test 3: List tools
+    console.log('🔧 Test 3: tools/list');
+    const { tools } = await request('tools/list', {});
+    console.log(`✅ ${tools.length} tools: ${tools.map(tool => tool.name).join(', ')}`);
+    console.log('');
+
+    // Test 4: Create a session and upload a document
+    console.log('📄 Test 4: Upload a document using MCP tool');
+    const { sessionId } = await callTool('create_session', {});
     const uploadArgs = {
       sessionId,
       title: 'Test Security Policy',
       text: `Security Policy Document
-      
+
 All employees must:
 1. Use strong passwords (minimum 12 characters)
 2. Enable multi-factor authentication
@@ -50,28 +83,22 @@ Required ports:
 - SSH: 22
 - RDP: 3389 (internal only)`,
     };
-    
+    const uploaded = await callTool('upload_document', uploadArgs);
     console.log(`   Session ID: ${sessionId}`);
-    console.log(`   Title: ${uploadArgs.title}`);
+    console.log(`   Document ID: ${uploaded.docId}`);
     console.log(`   Text length: ${uploadArgs.text.length} chars`);
-    console.log(`✅ Test session created with document`);
+    console.log('✅ Document uploaded');
     console.log('');
 
-    // Test 2: List documents
-    console.log('� Test 2: List documents in session');
-    console.log(`   Looking in session: ${sessionId}`);
-    console.log(`   Documents in session: ${sessions[sessionId].docs.length}`);
-    console.log('✅ Session has document storage ready');
+    // Test 5: List documents
+    console.log('📋 Test 5: List documents in session');
+    const listed = await callTool('list_documents', { sessionId });
+    console.log(`   Documents in session: ${listed.documents.length}`);
+    if (listed.documents.length !== 1) throw new Error('Expected exactly one document');
+    console.log('✅ Uploaded document is listed');
     console.log('');
 
-    console.log('🎉 MCP structure tests passed!\n');
-    console.log('📝 Summary:');
-    console.log(`   - Session created: ${sessionId}`);
-    console.log(`   - Document storage: Ready`);
-    console.log(`   - Handlers available: upload, get, list, search`);
-    console.log('');
-    console.log('✅ Your MCP server structure is ready!');
-    console.log('');
+    console.log('🎉 MCP tool tests passed!\n');
     console.log('🔧 To test the full MCP server:');
     console.log('   1. Start the server: cd mcp-server && npm start');
     console.log('   2. Connect to: http://localhost:3000/mcp/sse');
@@ -84,4 +111,4 @@ Required ports:
 }
 
 // Run tests
-testMCPTools();
+testMCPTools().then(() => process.exit(0));
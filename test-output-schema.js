@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for structured tool output
+ * Calls every tool once against an in-memory store (the model-backed ones with
+ * a stand-in sampling client) and checks each structuredContent against the
+ * tool's outputSchema, and the JSON text block next to it
+ */
+
+const assert = require('assert');
+process.env.EMBEDDER = 'local';
+delete process.env.EMBEDDING_ENDPOINT;
+const { listTools, callTool } = require('./mcp-server/tools');
+const { validateAgainstSchema } = require('./mcp-server/validation');
+const { createDocumentStore } = require('./mcp-server/document-store');
+const { withSessionLimits } = require('./mcp-server/session-limits');
+
+async function testOutputSchema() {
+  console.log('🧪 Testing Structured Tool Output\n');
+
+  try {
+    const store = withSessionLimits(createDocumentStore({ type: 'memory' }));
+    const schemas = new Map(listTools().map(tool => [tool.name, tool.outputSchema]));
+    const uncalled = new Set(schemas.keys());
+    const context = {
+      store,
+      // Stand-in for a client that supports sampling/createMessage
+      createMessage: async () => ({ role: 'assistant', model: 'test-model', content: { type: 'text', text: 'Rotate passwords yearly.' } }),
+    };
+
+    // Call a tool, check its output and return structuredContent
+    async function call(name, args) {
+      const result = await callTool(name, args, context);
+      assert.strictEqual(result.isError, false, `${name}: ${result.content[0].text}`);
+      assert.deepStrictEqual(validateAgainstSchema(schemas.get(name), result.structuredContent), [], `${name} output`);
+      // Compared as the client receives both, serialized
+      assert.strictEqual(result.content[0].text, JSON.stringify(result.structuredContent, null, 2), `${name} text block`);
+      uncalled.delete(name);
+      return result.structuredContent;
+    }
+
+    // Test 1: Every tool declares an object outputSchema
+    console.log('📋 Test 1: Declared schemas');
+    for (const [name, schema] of schemas) {
+      assert.strictEqual(schema && schema.type, 'object', `${name} outputSchema`);
+    }
+    console.log(`✅ ${schemas.size} tools with an outputSchema`);
+    console.log('');
+
+    // Test 2: Every result matches
+    console.log('🔧 Test 2: structuredContent');
+    const { sessionId } = await call('create_session', {});
+    const { docId } = await call('upload_document', { sessionId, title: 'Policy', text: 'Passwords rotate yearly.', tags: ['hr'] });
+    const { docId: tableId } = await call('upload_document', { sessionId, title: 'sales.csv', text: 'region,sales\nEU,10\nUS,20\n' });
+    await call('list_documents', { sessionId });
+    await call('get_document', { sessionId, docId });
+    await call('search_documents', { query: 'password*', sessionId });
+    await call('semantic_search', { query: 'How often do passwords change?', sessionId, hybrid: true });
+    await call('update_document', { sessionId, docId, text: 'Passwords rotate every year.' });
+    await call('list_document_revisions', { sessionId, docId });
+    await call('diff_document_revisions', { sessionId, docId, fromRevision: 1, toRevision: 2 });
+    await call('describe_table', { sessionId, docId: tableId });
+    await call('query_table', { sessionId, docId: tableId, aggregates: [{ fn: 'sum', column: 'sales', as: 'total' }] });
+    await call('summarize_document', { sessionId, docId });
+    await call('ask_document', { sessionId, docId, question: 'How often?' });
+    const { bundle } = await call('export_session', { sessionId });
+    await call('import_session', { bundle });
+    await call('delete_document', { sessionId, docId: tableId });
+    await call('delete_session', { sessionId });
+    assert.deepStrictEqual([...uncalled], [], 'every tool was called');
+    console.log('✅ Every tool\'s structuredContent matches its outputSchema and its text block');
+    console.log('');
+
+    console.log('🎉 Structured output tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testOutputSchema().then(() => process.exit(0));
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for progress and cancellation
+ * Calls summarize_document through the /mcp/message dispatcher with a client
+ * that supports sampling, and checks the notifications/progress it sends and
+ * what notifications/cancelled stops (tools.js, mcp-dispatcher.js)
+ */
+
+const assert = require('assert');
+const { createDispatcher } = require('./mcp-server/mcp-dispatcher');
+const { createSSEConnection } = require('./mcp-server/sse-connections');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+// Wait until the connection has sent a message matching a condition
+async function waitForMessage(sent, condition) {
+  for (let i = 0; i < 200; i++) {
+    const message = sent.find(condition);
+    if (message) return message;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Timed out waiting for a message from the server');
+}
+
+async function testProgressCancellation() {
+  console.log('🧪 Testing Progress and Cancellation\n');
+
+  try {
+    const store = createDocumentStore({ type: 'memory' });
+    const { id: sessionId } = await store.createSession();
+    const doc = await store.addDocument(sessionId, { title: 'Policy', text: 'Passwords rotate yearly.' });
+
+    const dispatcher = createDispatcher(store);
+    const connection = createSSEConnection('test-progress-cancellation');
+    const sent = [];
+    connection.send = message => sent.push(message);
+    await dispatcher.handleMessage(connection, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', capabilities: { sampling: {} }, clientInfo: { name: 'test', version: '1.0.0' } },
+    });
+
+    const summarize = (id, meta) => dispatcher.handleMessage(connection, {
+      jsonrpc: '2.0',
+      id,
+      method: 'tools/call',
+      params: { name: 'summarize_document', arguments: { sessionId, docId: doc.id }, ...(meta && { _meta: meta }) },
+    });
+
+    // Test 1: Progress notifications
+    console.log('⏳ Test 1: notifications/progress');
+    const call = summarize(2, { progressToken: 'summary-1' });
+    const sampling = await waitForMessage(sent, message => message.method === 'sampling/createMessage');
+    await dispatcher.handleMessage(connection, {
+      jsonrpc: '2.0',
+      id: sampling.id,
+      result: { role: 'assistant', model: 'test-model', content: { type: 'text', text: 'Yearly rotation.' } },
+    });
+    const response = await call;
+    assert.strictEqual(response.result.isError, false);
+    assert.strictEqual(response.result.structuredContent.summary, 'Yearly rotation.');
+    const progress = sent.filter(message => message.method === 'notifications/progress').map(message => message.params);
+    assert.ok(progress.every(params => params.progressToken === 'summary-1'));
+    assert.deepStrictEqual(progress.map(params => `${params.progress}/${params.total}`), ['0/2', '1/2', '2/2']);
+    console.log(`✅ ${progress.map(params => params.message).join(' -> ')}`);
+    console.log('');
+
+    // Test 2: No progress token, no progress
+    console.log('🔕 Test 2: Without a progress token');
+    sent.length = 0;
+    const quiet = summarize(3);
+    const quietSampling = await waitForMessage(sent, message => message.method === 'sampling/createMessage');
+    await dispatcher.handleMessage(connection, {
+      jsonrpc: '2.0',
+      id: quietSampling.id,
+      result: { role: 'assistant', model: 'test-model', content: { type: 'text', text: 'Yearly.' } },
+    });
+    assert.strictEqual((await quiet).result.isError, false);
+    assert.ok(!sent.some(message => message.method === 'notifications/progress'));
+    console.log('✅ No notifications/progress');
+    console.log('');
+
+    // Test 3: notifications/cancelled
+    console.log('🛑 Test 3: Cancelling the call');
+    sent.length = 0;
+    const cancelled = summarize(4, { progressToken: 'summary-2' });
+    const pendingSampling = await waitForMessage(sent, message => message.method === 'sampling/createMessage');
+    await dispatcher.handleMessage(connection, {
+      jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 4, reason: 'User gave up' },
+    });
+    assert.strictEqual(await cancelled, null, 'a cancelled request gets no response');
+    const forwarded = sent.find(message => message.method === 'notifications/cancelled');
+    assert.strictEqual(forwarded.params.requestId, pendingSampling.id, 'the sampling request is cancelled too');
+    assert.strictEqual(connection.inFlightRequests.size, 0);
+    assert.strictEqual(connection.pendingClientRequests.size, 0);
+    assert.strictEqual((await store.getSession(sessionId)).history.length, 2, 'nothing recorded for the cancelled call');
+    console.log('✅ No response, the client\'s sampling request cancelled, nothing recorded');
+    console.log('');
+
+    console.log('🎉 Progress and cancellation tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testProgressCancellation().then(() => process.exit(0));
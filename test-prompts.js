@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for MCP prompts
+ * Lists the prompts and renders them against an in-memory store (prompts.js),
+ * checking they match the templates of the REST query route
+ */
+
+const assert = require('assert');
+const { summaryPrompt, questionPrompt, listPrompts, getPrompt } = require('./mcp-server/prompts');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+const INVALID_PARAMS = -32602;
+
+// Text of the single user message of a rendered prompt
+async function promptText(store, name, args) {
+  const { messages } = await getPrompt(store, name, args);
+  assert.strictEqual(messages.length, 1);
+  assert.strictEqual(messages[0].role, 'user');
+  return messages[0].content.text;
+}
+
+async function testPrompts() {
+  console.log('🧪 Testing MCP Prompts\n');
+
+  try {
+    const store = createDocumentStore({ type: 'memory' });
+    const { id: sessionId } = await store.createSession();
+    const policy = await store.addDocument(sessionId, { title: 'Policy', text: 'Passwords rotate yearly.' });
+    const draft = await store.addDocument(sessionId, { title: 'Draft', text: 'Passwords rotate monthly.' });
+
+    // Test 1: prompts/list
+    console.log('📋 Test 1: prompts/list');
+    const { prompts } = listPrompts();
+    assert.deepStrictEqual(prompts.map(prompt => prompt.name), ['summarize_document', 'answer_question', 'compare_documents']);
+    assert.ok(prompts.every(prompt => prompt.render === undefined), 'render functions are not advertised');
+    assert.deepStrictEqual(
+      prompts[2].arguments.map(arg => `${arg.name}${arg.required ? '' : '?'}`),
+      ['sessionId', 'docId', 'otherDocId', 'focus?']
+    );
+    console.log(`✅ ${prompts.map(prompt => prompt.name).join(', ')}`);
+    console.log('');
+
+    // Test 2: Same text as the web UI
+    console.log('📝 Test 2: prompts/get');
+    assert.strictEqual(
+      await promptText(store, 'summarize_document', { sessionId, docId: policy.id }),
+      summaryPrompt('Passwords rotate yearly.')
+    );
+    assert.strictEqual(
+      await promptText(store, 'answer_question', { sessionId, docId: policy.id, question: 'How often?' }),
+      questionPrompt('Passwords rotate yearly.', 'How often?')
+    );
+    const comparison = await promptText(store, 'compare_documents', {
+      sessionId, docId: policy.id, otherDocId: draft.id, focus: 'frequency',
+    });
+    assert.ok(comparison.includes('Focus on: frequency'));
+    assert.ok(comparison.includes('Document A (Policy):\nPasswords rotate yearly.'));
+    assert.ok(comparison.includes('Document B (Draft):\nPasswords rotate monthly.'));
+    console.log('✅ Summary and QA prompts match the query route templates');
+    console.log('');
+
+    // Test 3: Invalid requests
+    console.log('🚫 Test 3: Invalid params');
+    const failures = [
+      { name: 'no_such_prompt', args: {}, message: /Unknown prompt/ },
+      { name: 'answer_question', args: { sessionId, docId: policy.id }, message: /Missing required argument\(s\) for answer_question: question/ },
+      { name: 'summarize_document', args: { sessionId: 'missing', docId: policy.id }, message: /Session not found: missing/ },
+      { name: 'summarize_document', args: { sessionId, docId: 'missing' }, message: /Document not found: missing/ },
+    ];
+    for (const { name, args, message } of failures) {
+      await assert.rejects(getPrompt(store, name, args), { code: INVALID_PARAMS, message });
+    }
+    console.log('✅ -32602 for unknown prompts, missing arguments, sessions and documents');
+    console.log('');
+
+    console.log('🎉 Prompt tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testPrompts().then(() => process.exit(0));
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for resource notifications
+ * Connects the MCP server (mcp-handler.js) to a transport that records what it
+ * sends, changes documents in an in-memory store and checks which changes send
+ * notifications/resources/list_changed and which notifications/resources/updated
+ */
+
+const assert = require('assert');
+const { createMCPServer } = require('./mcp-server/mcp-handler');
+const { createDocumentStore } = require('./mcp-server/document-store');
+const { sessionUri, documentUri } = require('./mcp-server/resources');
+
+// Transport that keeps the messages the server sends
+function createRecordingTransport() {
+  const sent = [];
+  return {
+    sent,
+    async start() {},
+    async send(message) {
+      sent.push(message);
+    },
+    async close() {},
+  };
+}
+
+// Let the notifications sent for a change reach the transport
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+async function testResourceNotifications() {
+  console.log('🧪 Testing Resource Notifications\n');
+
+  const store = createDocumentStore({ type: 'memory' });
+  const server = createMCPServer(store);
+  const transport = createRecordingTransport();
+  await server.connect(transport);
+
+  // Notifications (method and URI) sent while running a change
+  async function notificationsFor(change) {
+    transport.sent.length = 0;
+    const result = await change();
+    await settle();
+    const methods = transport.sent
+      .filter(message => message.method) // Not the responses to resources/subscribe
+      .map(message => `${message.method} ${(message.params && message.params.uri) || ''}`.trim());
+    return { result, methods };
+  }
+
+  try {
+    // Test 1: The resource list changes
+    console.log('📋 Test 1: list_changed');
+    const { result: { id: sessionId }, methods: created } = await notificationsFor(() => store.createSession());
+    assert.deepStrictEqual(created, ['notifications/resources/list_changed']);
+    const { result: doc, methods: added } = await notificationsFor(() => store.addDocument(sessionId, { title: 'notes.txt', text: 'First draft' }));
+    assert.deepStrictEqual(added, ['notifications/resources/list_changed']);
+    console.log('✅ Sent when a session is created and a document is added');
+    console.log('');
+
+    // Test 2: Content edits only reach subscribers
+    console.log('✏️ Test 2: Content edits');
+    const edit = await notificationsFor(() => store.updateDocument(sessionId, doc.id, { text: 'Second draft' }));
+    assert.deepStrictEqual(edit.methods, [], 'no notification without subscribers');
+
+    await transport.onmessage({ jsonrpc: '2.0', id: 1, method: 'resources/subscribe', params: { uri: documentUri(sessionId, doc.id) } });
+    await transport.onmessage({ jsonrpc: '2.0', id: 2, method: 'resources/subscribe', params: { uri: sessionUri(sessionId) } });
+    const subscribedEdit = await notificationsFor(() => store.updateDocument(sessionId, doc.id, { text: 'Third draft' }));
+    assert.deepStrictEqual(subscribedEdit.methods, [
+      `notifications/resources/updated ${sessionUri(sessionId)}`,
+      `notifications/resources/updated ${documentUri(sessionId, doc.id)}`,
+    ]);
+    const sameTitle = await notificationsFor(() => store.updateDocument(sessionId, doc.id, { title: 'notes.txt', text: 'Fourth draft' }));
+    assert.ok(!sameTitle.methods.includes('notifications/resources/list_changed'), 'an unchanged title is not a rename');
+    console.log('✅ resources/updated for subscribed URIs, no list_changed');
+    console.log('');
+
+    // Test 3: Renames and deletions change the list again
+    console.log('🏷️ Test 3: Rename and delete');
+    const renamed = await notificationsFor(() => store.updateDocument(sessionId, doc.id, { title: 'notes.md' }));
+    assert.ok(renamed.methods.includes('notifications/resources/list_changed'), 'a rename changes the document name');
+    assert.ok(renamed.methods.includes(`notifications/resources/updated ${documentUri(sessionId, doc.id)}`));
+    const deleted = await notificationsFor(() => store.deleteDocument(sessionId, doc.id));
+    assert.ok(deleted.methods.includes('notifications/resources/list_changed'));
+    const sessionDeleted = await notificationsFor(() => store.deleteSession(sessionId));
+    assert.ok(sessionDeleted.methods.includes('notifications/resources/list_changed'));
+    console.log('✅ Sent when a document is renamed or deleted and a session is deleted');
+    console.log('');
+
+    console.log('🎉 Resource notification tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await server.close();
+  }
+}
+
+// Run tests
+testResourceNotifications().then(() => process.exit());
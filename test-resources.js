@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for MCP resources
+ * Lists and reads session:// resources from an in-memory store (resources.js),
+ * including IDs that need percent-encoding and unknown URIs
+ */
+
+const assert = require('assert');
+const {
+  RESOURCE_NOT_FOUND, sessionUri, documentUri, listResources, listResourceTemplates, readResource,
+} = require('./mcp-server/resources');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+async function testResources() {
+  console.log('🧪 Testing MCP Resources\n');
+
+  try {
+    const store = createDocumentStore({ type: 'memory' });
+    const { id: sessionId } = await store.createSession();
+    const csv = await store.addDocument(sessionId, { title: 'orders.csv', text: 'id,amount\n1,10\n' });
+    const notes = await store.addDocument(sessionId, { title: 'Notes', text: 'Plain text, ü' });
+
+    // Test 1: resources/list and resources/templates/list
+    console.log('📋 Test 1: Listing');
+    const { resources } = await listResources(store);
+    assert.deepStrictEqual(resources.map(resource => resource.uri), [
+      sessionUri(sessionId),
+      documentUri(sessionId, csv.id),
+      documentUri(sessionId, notes.id),
+    ]);
+    assert.strictEqual(resources[1].mimeType, 'text/csv');
+    assert.strictEqual(resources[2].mimeType, 'text/plain');
+    assert.strictEqual(resources[2].size, Buffer.byteLength('Plain text, ü'), 'size is in bytes');
+    const { resourceTemplates } = listResourceTemplates();
+    assert.deepStrictEqual(resourceTemplates.map(template => template.uriTemplate), [
+      'session://{sessionId}',
+      'session://{sessionId}/doc/{docId}',
+    ]);
+    console.log(`✅ ${resources.length} resources and ${resourceTemplates.length} templates`);
+    console.log('');
+
+    // Test 2: resources/read
+    console.log('📖 Test 2: Reading');
+    const { contents: [document] } = await readResource(store, documentUri(sessionId, csv.id));
+    assert.deepStrictEqual(document, { uri: documentUri(sessionId, csv.id), mimeType: 'text/csv', text: 'id,amount\n1,10\n' });
+    const { contents: [summary] } = await readResource(store, sessionUri(sessionId));
+    const parsed = JSON.parse(summary.text);
+    assert.strictEqual(parsed.documentCount, 2);
+    assert.deepStrictEqual(parsed.documents.map(doc => doc.uri), resources.slice(1).map(resource => resource.uri));
+    console.log('✅ Document content and the session summary');
+    console.log('');
+
+    // Test 3: IDs with "/" and "%"
+    console.log('🔣 Test 3: Percent-encoded IDs');
+    await store.createSession({ id: 'team/a%b' });
+    const odd = await store.addDocument('team/a%b', { title: 'odd', text: 'Imported' });
+    const oddUri = documentUri('team/a%b', odd.id);
+    assert.ok(oddUri.startsWith('session://team%2Fa%25b/doc/'));
+    assert.strictEqual((await readResource(store, oddUri)).contents[0].text, 'Imported');
+    console.log(`✅ ${oddUri}`);
+    console.log('');
+
+    // Test 4: Unknown resources
+    console.log('🚫 Test 4: RESOURCE_NOT_FOUND');
+    const missing = [
+      sessionUri('missing'),
+      documentUri(sessionId, 'missing'),
+      'session://%E0%A4%A/doc/x',
+      'file:///etc/passwd',
+    ];
+    for (const uri of missing) {
+      await assert.rejects(readResource(store, uri), { code: RESOURCE_NOT_FOUND, data: { uri } });
+    }
+    console.log('✅ Unknown sessions, documents, malformed encodings and other schemes');
+    console.log('');
+
+    console.log('🎉 Resource tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testResources().then(() => process.exit(0));
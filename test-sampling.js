@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for server-initiated sampling
+ * Calls summarize_document on the SDK server (mcp-handler.js) and the
+ * /mcp/message dispatcher for a client that supports sampling, answering,
+ * failing or ignoring the sampling/createMessage request it sends
+ */
+
+const assert = require('assert');
+process.env.MCP_SAMPLING_TIMEOUT_MS = '200';
+const { createMCPServer } = require('./mcp-server/mcp-handler');
+const { createDispatcher } = require('./mcp-server/mcp-dispatcher');
+const { createSSEConnection } = require('./mcp-server/sse-connections');
+const { createDocumentStore } = require('./mcp-server/document-store');
+const { summaryPrompt } = require('./mcp-server/prompts');
+
+const INITIALIZE_PARAMS = {
+  protocolVersion: '2025-06-18',
+  capabilities: { sampling: {} },
+  clientInfo: { name: 'test-sampling', version: '1.0.0' },
+};
+
+/**
+ * Connect an SDK server to an in-memory client that answers sampling requests
+ * @param {Object} store - DocumentStore
+ * @param {Function} onSampling - (params) => { result } or { error } for sampling/createMessage
+ * @returns {Promise<{ request: Function, samplingRequests: Array<Object>, close: Function }>}
+ */
+async function connectClient(store, onSampling) {
+  const server = createMCPServer(store);
+  const responses = new Map();
+  const samplingRequests = [];
+  const transport = {
+    async start() {},
+    async send(message) {
+      if (message.method === 'sampling/createMessage') {
+        samplingRequests.push(message.params);
+        setImmediate(() => transport.onmessage({ jsonrpc: '2.0', id: message.id, ...onSampling(message.params) }));
+      } else if (message.id !== undefined && !message.method) {
+        responses.set(message.id, message);
+      }
+    },
+    async close() {},
+  };
+  await server.connect(transport);
+
+  let nextId = 1;
+  async function request(method, params) {
+    const id = nextId++;
+    transport.onmessage({ jsonrpc: '2.0', id, method, params });
+    while (!responses.has(id)) await new Promise(resolve => setImmediate(resolve));
+    return responses.get(id);
+  }
+  await request('initialize', INITIALIZE_PARAMS);
+  transport.onmessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+  return { request, samplingRequests, close: () => server.close() };
+}
+
+async function testSampling() {
+  console.log('🧪 Testing Sampling\n');
+
+  try {
+    const store = createDocumentStore({ type: 'memory' });
+    const { id: sessionId } = await store.createSession();
+    const doc = await store.addDocument(sessionId, { title: 'Policy', text: 'Passwords rotate yearly.' });
+    const summarize = { name: 'summarize_document', arguments: { sessionId, docId: doc.id } };
+
+    // Test 1: The client's model answers
+    console.log('🤖 Test 1: sampling/createMessage');
+    const client = await connectClient(store, () => ({
+      result: { role: 'assistant', model: 'client-model', content: { type: 'text', text: 'Yearly rotation.' } },
+    }));
+    const { result } = await client.request('tools/call', summarize);
+    await client.close();
+    assert.deepStrictEqual(client.samplingRequests, [{
+      messages: [{ role: 'user', content: { type: 'text', text: summaryPrompt('Passwords rotate yearly.') } }],
+      maxTokens: 300,
+      includeContext: 'none',
+    }]);
+    assert.deepStrictEqual(result.structuredContent, {
+      sessionId, docId: doc.id, summary: 'Yearly rotation.', source: 'client-sampling', model: 'client-model',
+    });
+    const [entry] = (await store.getSession(sessionId)).history;
+    assert.strictEqual(entry.response, 'Yearly rotation.');
+    console.log('✅ The summary prompt goes to the client; its answer is returned and recorded');
+    console.log('');
+
+    // Test 2: The client refuses
+    console.log('🙅 Test 2: Sampling errors');
+    const refusing = await connectClient(store, () => ({ error: { code: -1, message: 'User rejected sampling request' } }));
+    const { result: refused } = await refusing.request('tools/call', summarize);
+    await refusing.close();
+    assert.strictEqual(refused.isError, true);
+    assert.match(refused.content[0].text, /User rejected sampling request/);
+    console.log(`✅ ${refused.content[0].text}`);
+    console.log('');
+
+    // Test 3: The client never answers (legacy /mcp/message connection)
+    console.log('⏱️ Test 3: Timeout');
+    const dispatcher = createDispatcher(store);
+    const connection = createSSEConnection('test-sampling');
+    const sent = [];
+    connection.send = message => sent.push(message);
+    await dispatcher.handleMessage(connection, { jsonrpc: '2.0', id: 1, method: 'initialize', params: INITIALIZE_PARAMS });
+    const timedOut = await dispatcher.handleMessage(connection, { jsonrpc: '2.0', id: 2, method: 'tools/call', params: summarize });
+    assert.strictEqual(timedOut.result.isError, true);
+    assert.match(timedOut.result.content[0].text, /sampling\/createMessage timed out after 200ms/);
+    const [samplingRequest, cancelled] = sent;
+    assert.strictEqual(samplingRequest.method, 'sampling/createMessage');
+    assert.deepStrictEqual(cancelled.params, { requestId: samplingRequest.id, reason: 'Timed out' });
+    assert.strictEqual(connection.pendingClientRequests.size, 0);
+    console.log('✅ isError after MCP_SAMPLING_TIMEOUT_MS, and the client is told to stop');
+    console.log('');
+
+    console.log('🎉 Sampling tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testSampling().then(() => process.exit(0));
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the search query language
+ * Checks the syntax trees parseQuery builds and the positions its errors
+ * point at (search-query.js), and how search_documents reports them
+ */
+
+const assert = require('assert');
+const { parseQuery, allowedEdits, QUERY_PARSE_ERROR } = require('./mcp-server/search-query');
+const { getSearchIndex, INVALID_SEARCH } = require('./mcp-server/search-index');
+const { createDocumentStore } = require('./mcp-server/document-store');
+const { callTool } = require('./mcp-server/tools');
+
+// Parse error for a query, or fail when it parses
+function parseFailure(query, options) {
+  try {
+    parseQuery(query, options);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected ${JSON.stringify(query)} not to parse`);
+}
+
+async function testSearchQuery() {
+  console.log('🧪 Testing the Search Query Language\n');
+
+  try {
+    // Test 1: Syntax trees
+    console.log('🌳 Test 1: Syntax trees');
+    assert.deepStrictEqual(parseQuery('vpn AND password -ssh'), {
+      type: 'and',
+      clauses: [
+        {
+          type: 'and',
+          clauses: [
+            { type: 'term', field: null, term: 'vpn' },
+            { type: 'term', field: null, term: 'password' },
+          ],
+        },
+        { type: 'not', clause: { type: 'term', field: null, term: 'ssh' } },
+      ],
+    });
+    assert.deepStrictEqual(parseQuery('"multi-factor auth" title:policy auth* pasword~'), {
+      type: 'or',
+      clauses: [
+        { type: 'phrase', field: null, terms: ['multi', 'factor', 'auth'], text: 'multi-factor auth' },
+        { type: 'term', field: 'title', term: 'policy' },
+        { type: 'prefix', field: null, prefix: 'auth' },
+        { type: 'term', field: null, term: 'pasword', fuzzy: 2 },
+      ],
+    });
+    assert.deepStrictEqual(parseQuery('/pass(word)?/i', { allowRegex: true }), {
+      type: 'regex', field: null, pattern: 'pass(word)?', flags: 'i',
+    });
+    assert.deepStrictEqual(parseQuery('-ssh'), {
+      type: 'and',
+      clauses: [{ type: 'all' }, { type: 'not', clause: { type: 'term', field: null, term: 'ssh' } }],
+    });
+    console.log('✅ AND / NOT, phrases, fields, prefixes, fuzzy words and regular expressions');
+    console.log('');
+
+    // Test 2: Typo allowance by word length
+    console.log('🔤 Test 2: Allowed edits');
+    assert.deepStrictEqual(['vp', 'vpns', 'password'].map(term => allowedEdits(term, 2)), [0, 1, 2]);
+    console.log('✅ None up to 2 letters, one up to 5');
+    console.log('');
+
+    // Test 3: Error positions (0-based in error.position, 1-based in the message)
+    console.log('📍 Test 3: Parse errors and their positions');
+    const failures = [
+      { query: '(vpn', position: 4, message: 'missing closing parenthesis' },
+      { query: 'vpn AND', position: 7, message: 'unexpected end of query' },
+      { query: 'vpn)', position: 3, message: 'unexpected )' },
+      { query: 'vpn /x/', position: 4, message: 'regular expressions are disabled' },
+      { query: 'vpn /a(/', position: 4, message: 'invalid regular expression', options: { allowRegex: true } },
+      { query: 'tags:/x/', position: 0, message: 'regular expressions cannot be used with tags:', options: { allowRegex: true } },
+    ];
+    for (const { query, position, message, options } of failures) {
+      const error = parseFailure(query, options);
+      assert.strictEqual(error.code, QUERY_PARSE_ERROR);
+      assert.strictEqual(error.position, position, `position for ${JSON.stringify(query)}`);
+      assert.ok(error.message.startsWith(`Invalid query at position ${position + 1}: ${message}`), error.message);
+      console.log(`   ${JSON.stringify(query)} -> ${error.message}`);
+    }
+    console.log('✅ Errors point at the failing character');
+    console.log('');
+
+    // Test 4: search reports parse errors as INVALID_SEARCH
+    console.log('🚫 Test 4: Parse errors from search');
+    const index = getSearchIndex(createDocumentStore({ type: 'memory' }));
+    await assert.rejects(index.search({ query: '(password' }), {
+      code: INVALID_SEARCH,
+      message: 'Invalid query at position 10: missing closing parenthesis',
+    });
+    console.log('✅ INVALID_SEARCH with the parser message');
+    console.log('');
+
+    // Test 5: semantic_search questions are not parsed as queries
+    console.log('💬 Test 5: Hybrid semantic_search with plain-language questions');
+    process.env.EMBEDDER = 'local';
+    delete process.env.EMBEDDING_ENDPOINT;
+    const store = createDocumentStore({ type: 'memory' });
+    const { id: sessionId } = await store.createSession();
+    await store.addDocument(sessionId, { title: 'Remote access', text: 'Remote access goes through the VPN.' });
+    for (const query of ['What does "remote access mean?', 'OR remote', '(remote access', '?!']) {
+      const result = await callTool('semantic_search', { query, sessionId, hybrid: true }, { store });
+      assert.strictEqual(result.isError, false, `${query}: ${result.content[0].text}`);
+      const [best] = result.structuredContent.results;
+      assert.strictEqual(best.keywordRank, query === '?!' ? null : 1, query);
+    }
+    console.log('✅ Ranked by the question\'s words, never a parse error');
+    console.log('');
+
+    console.log('🎉 Query language tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testSearchQuery().then(() => process.exit(0));
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for full-text search
+ * Checks BM25 ranking, highlighted snippets, cursor pagination, progress and
+ * cancellation against an in-memory store (no HTTP server needed)
+ */
+
+const assert = require('assert');
+const { getSearchIndex, INVALID_SEARCH } = require('./mcp-server/search-index');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+async function testSearch() {
+  console.log('🧪 Testing Full-Text Search\n');
+
+  try {
+    const store = createDocumentStore({ type: 'memory' });
+    const index = getSearchIndex(store);
+    const { id: sessionId } = await store.createSession();
+    await store.addDocument(sessionId, {
+      title: 'Password policy',
+      text: 'Passwords must be 12 characters. Rotate every password yearly.',
+    });
+    const vpn = await store.addDocument(sessionId, {
+      title: 'VPN guide',
+      text: 'Connect to the VPN before using SSH. The VPN password is your login password.',
+    });
+    await store.addDocument(sessionId, { title: 'Holidays', text: 'The office closes in August.' });
+
+    // Test 1: BM25 ranking and snippets
+    console.log('📊 Test 1: BM25 ranking and snippets');
+    const ranked = await index.search({ query: 'password', sessionId });
+    assert.strictEqual(ranked.total, 2);
+    assert.deepStrictEqual(ranked.results.map(result => result.title), ['Password policy', 'VPN guide']);
+    assert.ok(ranked.results[0].score > ranked.results[1].score, 'title match should rank first');
+    assert.strictEqual(ranked.nextCursor, null);
+    assert.deepStrictEqual(ranked.results[1].snippets, [
+      { text: 'Connect to the VPN before using SSH. The VPN **password** is your login **password**.', offset: 0 },
+    ]);
+    ranked.results.forEach(result => console.log(`   ${result.score} ${result.title}`));
+
+    const excluded = await index.search({ query: 'password -ssh', sessionId });
+    assert.deepStrictEqual(excluded.results.map(result => result.title), ['Password policy']);
+    console.log('✅ Title matches rank first, snippets highlight the words, NOT excludes');
+    console.log('');
+
+    // Test 2: The index follows document changes
+    console.log('🔄 Test 2: Updates and deletes');
+    await store.updateDocument(sessionId, vpn.id, { text: 'Connect to the VPN with your badge.' });
+    assert.deepStrictEqual((await index.search({ query: 'password', sessionId })).results.map(result => result.title), ['Password policy']);
+    assert.strictEqual((await index.search({ query: 'badge', sessionId })).total, 1);
+    await store.deleteDocument(sessionId, vpn.id);
+    assert.strictEqual((await index.search({ query: 'badge', sessionId })).total, 0);
+    console.log('✅ Updated and deleted documents are reindexed');
+    console.log('');
+
+    // Test 3: Cursor pagination
+    console.log('📄 Test 3: Cursors');
+    await store.addDocument(sessionId, { title: 'Password reset', text: 'Reset a forgotten password at the help desk.' });
+    const first = await index.search({ query: 'password', sessionId, limit: 1 });
+    assert.strictEqual(first.total, 2);
+    assert.ok(first.nextCursor, 'first page should have a cursor');
+    const second = await index.search({ query: 'password', sessionId, limit: 1, cursor: first.nextCursor });
+    assert.strictEqual(second.results.length, 1);
+    assert.notStrictEqual(second.results[0].docId, first.results[0].docId);
+    assert.strictEqual(second.nextCursor, null);
+    await assert.rejects(index.search({ query: 'password', cursor: 'bad' }), { code: INVALID_SEARCH, message: 'Invalid cursor: bad' });
+    console.log('✅ Pages follow the ranking; bad cursors are INVALID_SEARCH');
+    console.log('');
+
+    // Test 4: Progress and cancellation
+    console.log('⏳ Test 4: Progress and cancellation');
+    const progress = [];
+    await index.search({ query: 'password', sessionId, onProgress: (done, total) => progress.push(`${done}/${total}`) });
+    assert.deepStrictEqual(progress, ['0/2', '1/2', '2/2']);
+    const controller = new AbortController();
+    const cancelled = index.search({
+      query: 'password',
+      sessionId,
+      signal: controller.signal,
+      onProgress: done => done === 1 && controller.abort(),
+    });
+    await assert.rejects(cancelled, { name: 'AbortError' });
+    console.log('✅ One progress step per result; aborting stops between documents');
+    console.log('');
+
+    console.log('🎉 Search tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testSearch().then(() => process.exit(0));
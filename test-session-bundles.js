@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for session bundles
+ * Exports a session from one in-memory store and imports it into another,
+ * then checks the bundles that must be rejected (session-bundles.js)
+ */
+
+const assert = require('assert');
+const {
+  SESSION_EXISTS, INVALID_BUNDLE, bundleSchema, exportSession, importSession,
+} = require('./mcp-server/session-bundles');
+const { validateAgainstSchema } = require('./mcp-server/validation');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+// Deep copy of a bundle to break in one place
+function copy(bundle) {
+  return JSON.parse(JSON.stringify(bundle));
+}
+
+async function testSessionBundles() {
+  console.log('🧪 Testing Session Bundles\n');
+
+  try {
+    const source = createDocumentStore({ type: 'memory' });
+    const { id: sessionId } = await source.createSession();
+    const doc = await source.addDocument(sessionId, {
+      title: 'policy.md', text: 'Version 1', tags: ['hr'], metadata: { owner: 'it' },
+    });
+    await source.updateDocument(sessionId, doc.id, { text: 'Version 2' });
+    await source.appendHistory(sessionId, { query: 'Summarize', response: 'Two versions', docId: doc.id });
+
+    // Test 1: Export
+    console.log('📦 Test 1: Export');
+    const bundle = await exportSession(source, sessionId);
+    assert.deepStrictEqual(validateAgainstSchema(bundleSchema, bundle), []);
+    assert.strictEqual(bundle.session.id, sessionId);
+    assert.deepStrictEqual(bundle.documents[0].revisions.map(revision => revision.text), ['Version 1', 'Version 2']);
+    assert.strictEqual(await exportSession(source, 'missing'), null);
+    console.log('✅ The bundle matches bundleSchema and keeps every revision');
+    console.log('');
+
+    // Test 2: Import with new IDs and with preserved IDs
+    console.log('📥 Test 2: Import');
+    const target = createDocumentStore({ type: 'memory' });
+    const fresh = await importSession(target, bundle);
+    assert.notStrictEqual(fresh.sessionId, sessionId);
+    const newDocId = fresh.documentIds[doc.id];
+    assert.notStrictEqual(newDocId, doc.id);
+    const imported = await target.getSession(fresh.sessionId);
+    assert.deepStrictEqual(imported.docs[0].tags, ['hr']);
+    assert.deepStrictEqual(imported.docs[0].metadata, { owner: 'it' });
+    assert.strictEqual(imported.docs[0].revisions.length, 2);
+    assert.strictEqual(imported.history[0].docId, newDocId, 'history follows the new document ID');
+
+    const preserved = await importSession(target, bundle, { preserveIds: true });
+    assert.strictEqual(preserved.sessionId, sessionId);
+    assert.strictEqual(preserved.documentIds[doc.id], doc.id);
+    await assert.rejects(importSession(target, bundle, { preserveIds: true }), { code: SESSION_EXISTS });
+    console.log('✅ New IDs by default, exported IDs with preserveIds, SESSION_EXISTS on a second import');
+    console.log('');
+
+    // Test 3: Creating the session races another import
+    console.log('🏁 Test 3: Session created between the check and the import');
+    const racing = createDocumentStore({ type: 'memory' });
+    await racing.createSession({ id: sessionId });
+    const getSession = racing.getSession;
+    let calls = 0;
+    racing.getSession = id => (calls++ === 0 ? Promise.resolve(null) : getSession(id));
+    await assert.rejects(importSession(racing, bundle, { preserveIds: true }), { code: SESSION_EXISTS });
+    console.log('✅ SESSION_EXISTS, not the store\'s own error');
+    console.log('');
+
+    // Test 4: Bundles that must be rejected
+    console.log('🚫 Test 4: Invalid bundles');
+    const badTags = copy(bundle);
+    badTags.documents[0].tags = 'abc';
+    assert.deepStrictEqual(validateAgainstSchema(bundleSchema, badTags), ['documents.0.tags: should be array']);
+    const badMetadata = copy(bundle);
+    badMetadata.documents[0].metadata = 'str';
+    assert.deepStrictEqual(validateAgainstSchema(bundleSchema, badMetadata), ['documents.0.metadata: should be object']);
+
+    const duplicate = copy(bundle);
+    duplicate.documents.push(copy(bundle.documents[0]));
+    await assert.rejects(importSession(target, duplicate), { code: INVALID_BUNDLE, message: /duplicate document ID/ });
+    const reordered = copy(bundle);
+    reordered.documents[0].revisions.reverse();
+    await assert.rejects(importSession(target, reordered), { code: INVALID_BUNDLE, message: /must be unique and ascending/ });
+    const tampered = copy(bundle);
+    tampered.documents[0].revisions[0].text = 'Version 0';
+    await assert.rejects(importSession(target, tampered), { code: INVALID_BUNDLE, message: /does not match its hash/ });
+    const stale = copy(bundle);
+    stale.documents[0].text = 'Version 3';
+    await assert.rejects(importSession(target, stale), { code: INVALID_BUNDLE, message: /differ from its last revision/ });
+    assert.strictEqual((await target.listSessions()).length, 2, 'rejected bundles create no session');
+    console.log('✅ Schema violations and inconsistent histories are rejected before anything is created');
+    console.log('');
+
+    console.log('🎉 Session bundle tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testSessionBundles().then(() => process.exit(0));
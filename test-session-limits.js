@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for session lifetime and quotas
+ * Wraps in-memory stores with small limits (session-limits.js) and checks the
+ * quota errors, what counts as activity, and idle-session eviction
+ */
+
+const assert = require('assert');
+const { QUOTA_EXCEEDED, isQuotaError, withSessionLimits } = require('./mcp-server/session-limits');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+const NO_LIMITS = { idleTtlMs: 0, maxSessions: 0, maxDocumentsPerSession: 0, maxBytesPerSession: 0 };
+
+function limitedStore(limits) {
+  return withSessionLimits(createDocumentStore({ type: 'memory' }), { ...NO_LIMITS, ...limits });
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function testSessionLimits() {
+  console.log('🧪 Testing Session Lifetime and Quotas\n');
+
+  try {
+    // Test 1: Count quotas
+    console.log('🔢 Test 1: Sessions and documents');
+    const counted = limitedStore({ maxSessions: 2, maxDocumentsPerSession: 2 });
+    const { id: sessionId } = await counted.createSession();
+    await counted.createSession();
+    await assert.rejects(counted.createSession(), { code: QUOTA_EXCEEDED, status: 429, message: /maximum of 2 sessions/ });
+    const uploads = await Promise.allSettled(Array.from({ length: 5 }, (_, i) => counted.addDocument(sessionId, { title: `doc ${i}`, text: 'x' })));
+    assert.deepStrictEqual(uploads.map(upload => upload.status), ['fulfilled', 'fulfilled', 'rejected', 'rejected', 'rejected']);
+    assert.ok(isQuotaError(uploads[2].reason));
+    assert.strictEqual(uploads[2].reason.status, 429);
+    console.log('✅ 429 past the limits, even for concurrent uploads');
+    console.log('');
+
+    // Test 2: Byte quota
+    console.log('📏 Test 2: Bytes per session');
+    const sized = limitedStore({ maxBytesPerSession: 20 });
+    const { id: sizedId } = await sized.createSession();
+    const doc = await sized.addDocument(sizedId, { title: 'a', text: '0123456789' });
+    await assert.rejects(sized.addDocument(sizedId, { title: 'b', text: '0123456789x' }), { code: QUOTA_EXCEEDED, status: 413 });
+    await sized.updateDocument(sizedId, doc.id, { text: '0123456' }); // 17 bytes in two revisions
+    await assert.rejects(sized.updateDocument(sizedId, doc.id, { title: 'renamed' }), { status: 413 },
+      'a rename stores the text again as a new revision');
+    console.log('✅ 413 when the text of every revision would not fit');
+    console.log('');
+
+    // Test 3: Idle TTL
+    console.log('⏳ Test 3: Idle sessions');
+    const expiring = limitedStore({ idleTtlMs: 300 });
+    const active = await expiring.createSession();
+    const idle = await expiring.createSession();
+    assert.ok(Date.parse(active.expiresAt) > Date.now());
+    await wait(200);
+    await expiring.getSession(active.id);
+    await expiring.listSessions();
+    await expiring.listDocuments(idle.id);
+    await wait(200);
+    assert.deepStrictEqual(await expiring.sweepExpiredSessions(), [idle.id], 'only reads of the session itself count as activity');
+    assert.strictEqual(await expiring.getSession(idle.id), null);
+    assert.strictEqual((await limitedStore({}).createSession()).expiresAt, null, 'no expiry without a TTL');
+    console.log('✅ Sessions idle past the TTL are evicted; listings do not keep them alive');
+    console.log('');
+
+    // Test 4: Background sweeper
+    console.log('🧹 Test 4: startSweeper');
+    const swept = limitedStore({ idleTtlMs: 30 });
+    const { id: sweptId } = await swept.createSession();
+    const stop = swept.startSweeper(10);
+    await wait(100);
+    stop();
+    assert.strictEqual(await swept.getSession(sweptId), null);
+    console.log('✅ Evicted without a request');
+    console.log('');
+
+    console.log('🎉 Session limit tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testSessionLimits().then(() => process.exit(0));
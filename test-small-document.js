@@ -9,6 +9,35 @@ const eventSource = new EventSource(`https://mcp-server-app-davisanc.azurewebsit
 let connectionId = null;
 let smallDocId = null;
 
+// The server answers nothing but initialize and ping until the MCP handshake is done
+const INITIALIZE_REQUEST_ID = 'initialize';
+
+async function initializeConnection(messageUrl) {
+  const response = await fetch(messageUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: INITIALIZE_REQUEST_ID,
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'test-small-document', version: '1.0.0' },
+      },
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`initialize failed: HTTP ${response.status}`);
+  }
+  await fetch(messageUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+  });
+  console.log('🤝 MCP handshake complete');
+}
+
 eventSource.onopen = () => {
   console.log('✅ Connected to SSE endpoint');
 };
@@ -21,7 +50,13 @@ eventSource.addEventListener('endpoint', (event) => {
     console.log(`🔑 Got connection ID: ${connectionId}`);
     
     // Upload small document directly (session already exists)
-    uploadSmallDocument();
+    initializeConnection(`https://mcp-server-app-davisanc.azurewebsites.net${event.data}`)
+      .then(uploadSmallDocument)
+      .catch(error => {
+      console.error('❌ MCP handshake failed:', error.message);
+      eventSource.close();
+      process.exit(1);
+    });
   } else {
     console.error('Could not extract connection ID from:', event.data);
     eventSource.close();
@@ -30,6 +65,9 @@ eventSource.addEventListener('endpoint', (event) => {
 });
 
 eventSource.addEventListener('message', (event) => {
+  // The handshake answer is not the response we are waiting for
+  if (JSON.parse(event.data).id === INITIALIZE_REQUEST_ID) return;
+
   console.log('📨 Received message:', event.data);
   try {
     const response = JSON.parse(event.data);
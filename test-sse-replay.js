@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for legacy SSE connections
+ * Drives sse-connections.js with stand-in responses: event numbering, replay
+ * after a reconnect, responses that fell back to the POST body, and replay
+ * buffers that no longer hold every missed event
+ */
+
+const assert = require('assert');
+const {
+  SSE_REPLAY_BUFFER_SIZE, createSSEConnection, sendSSEMessage, canReplayFrom, replayMissedEvents, parseLastEventId,
+} = require('./mcp-server/sse-connections');
+
+// Stand-in for an Express response on /mcp/sse
+function createStream() {
+  const events = [];
+  return {
+    events,
+    writableEnded: false,
+    write(event) {
+      events.push(event);
+    },
+  };
+}
+
+// The JSON-RPC ids in a list of SSE events
+function messageIds(events) {
+  return events.map(event => JSON.parse(/^data: (.*)$/m.exec(event)[1]).id);
+}
+
+async function testSSEReplay() {
+  console.log('🧪 Testing SSE Connections\n');
+
+  try {
+    // Test 1: Numbered events
+    console.log('🔢 Test 1: Event IDs');
+    const connection = createSSEConnection('conn-1');
+    connection.res = createStream();
+    assert.strictEqual(sendSSEMessage(connection, { jsonrpc: '2.0', id: 1, result: {} }), true);
+    assert.ok(connection.res.events[0].startsWith('id: conn-1:1\nevent: message\n'));
+    assert.deepStrictEqual(parseLastEventId('conn-1:1'), { connectionId: 'conn-1', seq: 1 });
+    assert.deepStrictEqual(parseLastEventId('a:b:7'), { connectionId: 'a:b', seq: 7 });
+    assert.strictEqual(parseLastEventId('conn-1'), null);
+    console.log('✅ id: <connectionId>:<seq>, parsed back from Last-Event-ID');
+    console.log('');
+
+    // Test 2: Detached stream
+    console.log('🔌 Test 2: Replay after a reconnect');
+    connection.res = null;
+    assert.strictEqual(sendSSEMessage(connection, { jsonrpc: '2.0', id: 2, result: {} }), false);
+    // A response the POST body delivers instead is not replayed
+    assert.strictEqual(sendSSEMessage(connection, { jsonrpc: '2.0', id: 3, result: {} }, { bufferUndelivered: false }), false);
+    connection.res = createStream();
+    assert.ok(canReplayFrom(connection, 1));
+    assert.strictEqual(replayMissedEvents(connection, 1), 1);
+    assert.deepStrictEqual(messageIds(connection.res.events), [2]);
+    console.log('✅ Missed events are replayed once; POST fallback responses are not');
+    console.log('');
+
+    // Test 3: Events dropped from the buffer
+    console.log('🕳️ Test 3: Last-Event-ID older than the buffer');
+    for (let i = 0; i < SSE_REPLAY_BUFFER_SIZE; i++) {
+      sendSSEMessage(connection, { jsonrpc: '2.0', method: 'notifications/resources/list_changed' });
+    }
+    assert.strictEqual(connection.replayBuffer.length, SSE_REPLAY_BUFFER_SIZE);
+    assert.strictEqual(canReplayFrom(connection, 1), false, 'event #2 is gone');
+    assert.strictEqual(canReplayFrom(connection, connection.droppedEventSeq), true);
+    assert.strictEqual(canReplayFrom(connection, connection.lastEventSeq), true);
+    console.log('✅ canReplayFrom reports the gap, so /mcp/sse starts a new connection');
+    console.log('');
+
+    console.log('🎉 SSE connection tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testSSEReplay().then(() => process.exit(0));
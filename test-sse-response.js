@@ -10,6 +10,35 @@ console.log('📋 Step 1: Establish SSE connection');
 const eventSource = new EventSource(`${BASE_URL}/mcp/sse`);
 let connectionId = null;
 
+// The server answers nothing but initialize and ping until the MCP handshake is done
+const INITIALIZE_REQUEST_ID = 'initialize';
+
+async function initializeConnection(messageUrl) {
+  const response = await fetch(messageUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: INITIALIZE_REQUEST_ID,
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'test-sse-response', version: '1.0.0' },
+      },
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`initialize failed: HTTP ${response.status}`);
+  }
+  await fetch(messageUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+  });
+  console.log('🤝 MCP handshake complete');
+}
+
 eventSource.onopen = () => {
   console.log('✅ Connected to SSE endpoint');
 };
@@ -19,9 +48,17 @@ eventSource.addEventListener('endpoint', (event) => {
   if (match) {
     connectionId = match[1];
     console.log(`🔑 Got connection ID: ${connectionId}`);
-    console.log('\n📋 Step 2: Test create_session with new response pattern');
-    
-    testNewResponsePattern();
+    console.log('\n📋 Step 2: MCP handshake');
+    initializeConnection(`${BASE_URL}${event.data}`)
+      .then(() => {
+        console.log('\n📋 Step 3: Test create_session with new response pattern');
+        return testNewResponsePattern();
+      })
+      .catch(error => {
+      console.error('❌ MCP handshake failed:', error.message);
+      eventSource.close();
+      process.exit(1);
+    });
   } else {
     console.error('Could not extract connection ID');
     eventSource.close();
@@ -31,6 +68,12 @@ eventSource.addEventListener('endpoint', (event) => {
 
 eventSource.addEventListener('message', (event) => {
   console.log('📨 Received on long-lived SSE:', event.data);
+  // A 202 answer to the POST means the result comes here instead
+  if (JSON.parse(event.data).id === 1) {
+    console.log('✅ Got the create_session result on the long-lived SSE stream');
+    eventSource.close();
+    process.exit(0);
+  }
 });
 
 eventSource.onerror = (error) => {
@@ -100,6 +143,8 @@ async function testNewResponsePattern() {
           }
         }
       }
+    } else if (response.status === 202) {
+      console.log('⚠️  Server accepted the POST; waiting for the result on the long-lived SSE stream');
     } else {
       console.log('⚠️  Server returned JSON (old pattern)');
       const json = await response.json();
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the stdio entrypoint
+ * Spawns mcp-server/stdio.js on a file store and checks that it shares sessions
+ * and documents with another process using the same DOCUMENT_STORE_DIR (here
+ * this script, standing in for the HTTP gateway), and that stdout only
+ * carries JSON-RPC
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createFileStore } = require('./mcp-server/file-store');
+const { onDocumentChange } = require('./mcp-server/document-events');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-stdio-'));
+
+// Line-delimited JSON-RPC client for a spawned stdio server
+function startStdioServer() {
+  const child = spawn(process.execPath, [path.join(__dirname, 'mcp-server', 'stdio.js')], {
+    env: { ...process.env, DOCUMENT_STORE: 'file', DOCUMENT_STORE_DIR: dir, DOCUMENT_STORE_POLL_MS: '50' },
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+  const pending = new Map();
+  const stdoutLines = [];
+  let buffer = '';
+  let nextId = 1;
+
+  child.stdout.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      stdoutLines.push(line);
+      const message = JSON.parse(line); // Anything but JSON-RPC on stdout fails here
+      if (pending.has(message.id)) {
+        pending.get(message.id)(message);
+        pending.delete(message.id);
+      }
+    }
+  });
+  child.stderr.resume();
+
+  const send = message => child.stdin.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+  return {
+    stdoutLines,
+    notify: (method, params) => send({ method, params }),
+    request: (method, params) => new Promise((resolve) => {
+      const id = nextId++;
+      pending.set(id, resolve);
+      send({ id, method, params });
+    }),
+    stop: () => child.kill(),
+  };
+}
+
+async function callTool(server, name, args) {
+  const { result, error } = await server.request('tools/call', { name, arguments: args });
+  if (error || result.isError) throw new Error(`${name} failed: ${JSON.stringify(error || result.content)}`);
+  return result.structuredContent;
+}
+
+async function waitFor(condition, label) {
+  for (let i = 0; i < 100; i++) {
+    if (await condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out waiting for ${label}`);
+}
+
+async function testStdio() {
+  console.log('🧪 Testing the stdio Entrypoint\n');
+  const gateway = createFileStore({ dir });
+  const server = startStdioServer();
+
+  try {
+    // Test 1: Handshake over stdin / stdout
+    console.log('🤝 Test 1: initialize');
+    const init = await server.request('initialize', {
+      protocolVersion: '2025-06-18',
+      capabilities: {},
+      clientInfo: { name: 'test-stdio', version: '1.0.0' },
+    });
+    server.notify('notifications/initialized');
+    assert.ok(init.result.serverInfo.name, 'initialize should return serverInfo');
+    const { result: { tools } } = await server.request('tools/list', {});
+    assert.ok(tools.some(tool => tool.name === 'upload_document'));
+    console.log(`✅ ${tools.length} tools over stdio`);
+    console.log('');
+
+    // Test 2: Documents from the other process are visible over stdio
+    console.log('📄 Test 2: Gateway -> stdio');
+    const { id: sessionId } = await gateway.createSession();
+    await gateway.addDocument(sessionId, { title: 'From the gateway', text: 'Uploaded over REST' });
+    const listed = await callTool(server, 'list_documents', { sessionId });
+    assert.deepStrictEqual(listed.documents.map(doc => doc.title), ['From the gateway']);
+    console.log('✅ stdio lists the gateway\'s document');
+    console.log('');
+
+    // Test 3: Documents uploaded over stdio reach the other process, with change events
+    console.log('📤 Test 3: stdio -> gateway');
+    const added = [];
+    onDocumentChange(change => change.type === 'document-added' && added.push(change.docId));
+    const { docId } = await callTool(server, 'upload_document', { sessionId, title: 'From stdio', text: 'Uploaded over stdio' });
+    await waitFor(() => added.includes(docId), 'the document-added event');
+    assert.strictEqual((await gateway.getDocument(sessionId, docId)).text, 'Uploaded over stdio');
+    console.log('✅ The gateway reads the document and announces it to its listeners');
+    console.log('');
+
+    // Test 4: Changes from both sides at once are all kept
+    console.log('🔒 Test 4: Concurrent uploads');
+    await Promise.all([
+      ...Array.from({ length: 10 }, (_, i) => gateway.addDocument(sessionId, { title: `gateway ${i}`, text: 'x' })),
+      ...Array.from({ length: 10 }, (_, i) => callTool(server, 'upload_document', { sessionId, title: `stdio ${i}`, text: 'y' })),
+    ]);
+    assert.strictEqual((await gateway.listDocuments(sessionId)).length, 22);
+    assert.strictEqual((await callTool(server, 'list_documents', { sessionId })).documentCount, 22);
+    // A new process compacts the journal to one line per session and document
+    const restarted = createFileStore({ dir });
+    assert.strictEqual((await restarted.listDocuments(sessionId)).length, 22);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'store.jsonl'), 'utf8').trim().split('\n').length, 23);
+    console.log('✅ 22 documents on both sides and after a restart');
+    console.log('');
+
+    assert.ok(server.stdoutLines.length > 0 && server.stdoutLines.every(line => JSON.parse(line).jsonrpc === '2.0'));
+    console.log('🎉 stdio tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Run tests
+testStdio().then(() => process.exit());
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Streamable HTTP transport
+ * Starts mcp-server/index.js on a free port and drives POST / DELETE /mcp:
+ * the Mcp-Session-Id handshake, unknown sessions, termination and the
+ * idle sweep (MCP_STREAMABLE_IDLE_TIMEOUT_MS)
+ */
+
+const assert = require('assert');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const IDLE_TIMEOUT_MS = 500;
+const PROTOCOL_VERSION = '2025-06-18';
+
+// A port nothing listens on right now
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+// Start the HTTP server and resolve once it listens
+function startServer(port) {
+  const child = spawn(process.execPath, [path.join(__dirname, 'mcp-server', 'index.js')], {
+    env: { ...process.env, PORT: String(port), MCP_STREAMABLE_IDLE_TIMEOUT_MS: String(IDLE_TIMEOUT_MS) },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  child.stderr.resume();
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('listening on port')) {
+        child.stdout.resume();
+        resolve(child);
+      }
+    });
+    child.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+  });
+}
+
+// POST one JSON-RPC message; the SDK answers with JSON or a one-event SSE stream
+async function post(baseUrl, message, sessionId) {
+  const response = await fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      'MCP-Protocol-Version': PROTOCOL_VERSION,
+      ...(sessionId && { 'Mcp-Session-Id': sessionId }),
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', ...message }),
+  });
+  const text = await response.text();
+  const data = /^data: (.*)$/m.exec(text);
+  return {
+    status: response.status,
+    sessionId: response.headers.get('mcp-session-id'),
+    body: data ? JSON.parse(data[1]) : text && JSON.parse(text),
+  };
+}
+
+// Open a session the way a client does: initialize, then notifications/initialized
+async function initialize(baseUrl) {
+  const init = await post(baseUrl, {
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: PROTOCOL_VERSION, capabilities: {}, clientInfo: { name: 'test-streamable-http', version: '1.0.0' } },
+  });
+  assert.strictEqual(init.status, 200);
+  assert.ok(init.sessionId, 'initialize should return an Mcp-Session-Id header');
+  const initialized = await post(baseUrl, { method: 'notifications/initialized' }, init.sessionId);
+  assert.strictEqual(initialized.status, 202);
+  return init;
+}
+
+async function testStreamableHttp() {
+  console.log('🧪 Testing the Streamable HTTP Transport\n');
+  const port = await freePort();
+  const baseUrl = `http://localhost:${port}`;
+  const server = await startServer(port);
+
+  try {
+    // Test 1: Handshake and a request in the session
+    console.log('🤝 Test 1: initialize and tools/list');
+    const { sessionId, body: init } = await initialize(baseUrl);
+    assert.strictEqual(init.result.protocolVersion, PROTOCOL_VERSION);
+    const listed = await post(baseUrl, { id: 2, method: 'tools/list' }, sessionId);
+    assert.ok(listed.body.result.tools.some(tool => tool.name === 'upload_document'));
+    console.log(`✅ Session ${sessionId} lists ${listed.body.result.tools.length} tools`);
+    console.log('');
+
+    // Test 2: Requests outside a session
+    console.log('🚫 Test 2: Missing and unknown sessions');
+    const missing = await post(baseUrl, { id: 3, method: 'tools/list' });
+    assert.strictEqual(missing.status, 400);
+    const unknown = await post(baseUrl, { id: 4, method: 'tools/list' }, 'no-such-session');
+    assert.strictEqual(unknown.status, 404);
+    assert.strictEqual(unknown.body.error.message, 'Session not found');
+    console.log('✅ 400 without Mcp-Session-Id, 404 for an unknown one');
+    console.log('');
+
+    // Test 3: DELETE ends the session
+    console.log('🗑️ Test 3: DELETE /mcp');
+    const deleted = await fetch(`${baseUrl}/mcp`, {
+      method: 'DELETE',
+      headers: { 'Mcp-Session-Id': sessionId, 'MCP-Protocol-Version': PROTOCOL_VERSION },
+    });
+    assert.strictEqual(deleted.status, 200);
+    assert.strictEqual((await post(baseUrl, { id: 5, method: 'tools/list' }, sessionId)).status, 404);
+    console.log('✅ The session is gone after DELETE');
+    console.log('');
+
+    // Test 4: Sessions left without DELETE are swept
+    console.log('🧹 Test 4: Idle sessions');
+    const idle = await initialize(baseUrl);
+    await new Promise(resolve => setTimeout(resolve, IDLE_TIMEOUT_MS * 3));
+    assert.strictEqual((await post(baseUrl, { id: 6, method: 'tools/list' }, idle.sessionId)).status, 404);
+    console.log(`✅ Closed after ${IDLE_TIMEOUT_MS} ms without requests`);
+    console.log('');
+
+    console.log('🎉 Streamable HTTP tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.kill();
+  }
+}
+
+// Run tests
+testStreamableHttp().then(() => process.exit());
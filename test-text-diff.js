@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for revision diffs
+ * Checks the unified output of the Myers diff in text-diff.js
+ */
+
+const assert = require('assert');
+const { unifiedDiff } = require('./mcp-server/text-diff');
+
+function numberedLines(count) {
+  return Array.from({ length: count }, (_, i) => `line ${i + 1}`);
+}
+
+function testTextDiff() {
+  console.log('🧪 Testing Unified Diffs\n');
+
+  try {
+    // Test 1: Equal texts
+    console.log('🟰 Test 1: Equal texts');
+    assert.deepStrictEqual(unifiedDiff('same\n', 'same\n'), { diff: '', additions: 0, deletions: 0 });
+    console.log('✅ No diff');
+    console.log('');
+
+    // Test 2: Replacement and addition in one hunk
+    console.log('✏️  Test 2: One hunk');
+    const small = unifiedDiff('a\nb\nc\nd\n', 'a\nB\nc\nd\ne\n', { fromLabel: 'rev 1', toLabel: 'rev 2' });
+    assert.deepStrictEqual(small, {
+      diff: '--- rev 1\n+++ rev 2\n@@ -1,4 +1,5 @@\n a\n-b\n+B\n c\n d\n+e\n',
+      additions: 2,
+      deletions: 1,
+    });
+    console.log(small.diff);
+    console.log('✅ Matches diff -u');
+    console.log('');
+
+    // Test 3: Changes far apart get separate hunks with 3 lines of context
+    console.log('✂️  Test 3: Separate hunks');
+    const oldLines = numberedLines(20);
+    const newLines = oldLines.slice();
+    newLines[1] = 'changed 2';
+    newLines.splice(17, 1);
+    const far = unifiedDiff(oldLines.join('\n'), newLines.join('\n'));
+    const hunks = far.diff.split('\n').filter(line => line.startsWith('@@'));
+    assert.deepStrictEqual(hunks, ['@@ -1,5 +1,5 @@', '@@ -15,6 +15,5 @@']);
+    assert.strictEqual(far.additions, 1);
+    assert.strictEqual(far.deletions, 2);
+    console.log(`✅ ${hunks.join('  ')}`);
+    console.log('');
+
+    // Test 4: context option and whole-text insertions / deletions
+    console.log('🔍 Test 4: Context and empty texts');
+    const tight = unifiedDiff(oldLines.join('\n'), newLines.join('\n'), { context: 0 });
+    assert.deepStrictEqual(tight.diff.split('\n').filter(line => line.startsWith('@@')), ['@@ -2 +2 @@', '@@ -18 +17,0 @@']);
+    assert.deepStrictEqual(unifiedDiff('', 'x\ny\n'), { diff: '--- a\n+++ b\n@@ -0,0 +1,2 @@\n+x\n+y\n', additions: 2, deletions: 0 });
+    assert.deepStrictEqual(unifiedDiff('x\n', ''), { diff: '--- a\n+++ b\n@@ -1 +0,0 @@\n-x\n', additions: 0, deletions: 1 });
+    console.log('✅ Hunk headers follow the unified format');
+    console.log('');
+
+    console.log('🎉 Diff tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testTextDiff();
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the tool registry
+ * Checks that the SDK server (mcp-handler.js) and the /mcp/message dispatcher
+ * advertise the same tools from tools.js, and how callTool reports unknown
+ * tools, failing handlers and results
+ */
+
+const assert = require('assert');
+const { tools, listTools, callTool } = require('./mcp-server/tools');
+const { createMCPServer } = require('./mcp-server/mcp-handler');
+const { createDispatcher } = require('./mcp-server/mcp-dispatcher');
+const { createSSEConnection } = require('./mcp-server/sse-connections');
+const { createDocumentStore } = require('./mcp-server/document-store');
+const { withSessionLimits } = require('./mcp-server/session-limits');
+
+const INVALID_PARAMS = -32602;
+
+const INITIALIZE_PARAMS = {
+  protocolVersion: '2025-06-18',
+  capabilities: {},
+  clientInfo: { name: 'test-tool-registry', version: '1.0.0' },
+};
+
+// tools/list from the SDK server, through a transport that answers in memory
+async function sdkToolList(store) {
+  const server = createMCPServer(store);
+  const responses = new Map();
+  const transport = {
+    async start() {},
+    async send(message) {
+      if (message.id !== undefined) responses.set(message.id, message);
+    },
+    async close() {},
+  };
+  await server.connect(transport);
+  transport.onmessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: INITIALIZE_PARAMS });
+  transport.onmessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+  transport.onmessage({ jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} });
+  while (!responses.has(2)) await new Promise(resolve => setImmediate(resolve));
+  await server.close();
+  return responses.get(2).result.tools;
+}
+
+// tools/list from the /mcp/message dispatcher
+async function dispatcherToolList(store) {
+  const dispatcher = createDispatcher(store);
+  const connection = createSSEConnection('test-tool-registry');
+  await dispatcher.handleMessage(connection, { jsonrpc: '2.0', id: 1, method: 'initialize', params: INITIALIZE_PARAMS });
+  const response = await dispatcher.handleMessage(connection, { jsonrpc: '2.0', id: 2, method: 'tools/list' });
+  return response.result.tools;
+}
+
+async function testToolRegistry() {
+  console.log('🧪 Testing the Tool Registry\n');
+
+  try {
+    // Layered like store.js, which adds the expiresAt create_session returns
+    const store = withSessionLimits(createDocumentStore({ type: 'memory' }));
+
+    // Test 1: Definitions
+    console.log('📋 Test 1: listTools');
+    const listed = listTools();
+    assert.strictEqual(listed.length, tools.length);
+    assert.strictEqual(new Set(listed.map(tool => tool.name)).size, listed.length, 'tool names are unique');
+    for (const tool of listed) {
+      assert.strictEqual(tool.handler, undefined, `${tool.name} handler is not advertised`);
+      assert.strictEqual(tool.inputSchema.type, 'object', `${tool.name} inputSchema`);
+      assert.ok(tool.description, `${tool.name} description`);
+    }
+    console.log(`✅ ${listed.length} tools with descriptions and object input schemas`);
+    console.log('');
+
+    // Test 2: Both transports advertise the registry
+    console.log('🔁 Test 2: SDK server and /mcp/message dispatcher');
+    assert.deepStrictEqual(await dispatcherToolList(store), listed);
+    assert.deepStrictEqual((await sdkToolList(store)).map(tool => tool.name), listed.map(tool => tool.name));
+    console.log('✅ Same tools on both');
+    console.log('');
+
+    // Test 3: Calling tools
+    console.log('🔧 Test 3: callTool');
+    await assert.rejects(callTool('no_such_tool', {}, { store }), { code: INVALID_PARAMS, message: /Unknown tool: no_such_tool/ });
+    const failed = await callTool('list_documents', { sessionId: 'missing' }, { store });
+    assert.strictEqual(failed.isError, true);
+    assert.strictEqual(failed.content[0].text, 'Error: Session not found: missing');
+    const created = await callTool('create_session', {}, { store });
+    assert.strictEqual(created.isError, false);
+    assert.deepStrictEqual(JSON.parse(created.content[0].text), created.structuredContent);
+    assert.ok(await store.getSession(created.structuredContent.sessionId));
+    console.log('✅ Unknown tools are -32602, handler failures isError results, results JSON text plus structuredContent');
+    console.log('');
+
+    console.log('🎉 Tool registry tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testToolRegistry().then(() => process.exit(0));
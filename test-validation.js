@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for argument validation
+ * Checks the violations validation.js reports, that tools reject invalid
+ * arguments with -32602 before their handler runs, and the 400 responses of
+ * the REST body middleware
+ */
+
+const assert = require('assert');
+const { validateAgainstSchema, validateBody } = require('./mcp-server/validation');
+const { callTool } = require('./mcp-server/tools');
+const { createDocumentStore } = require('./mcp-server/document-store');
+
+const INVALID_PARAMS = -32602;
+
+// Run the validateBody middleware on a body; resolves with the 400 payload or 'next'
+function runMiddleware(schema, body) {
+  return new Promise((resolve) => {
+    const res = {
+      status(code) {
+        assert.strictEqual(code, 400);
+        return this;
+      },
+      json: resolve,
+    };
+    validateBody(schema)({ method: 'POST', path: '/test', body }, res, () => resolve('next'));
+  });
+}
+
+async function testValidation() {
+  console.log('🧪 Testing Argument Validation\n');
+
+  try {
+    // Test 1: Violation messages
+    console.log('📋 Test 1: validateAgainstSchema');
+    const schema = {
+      type: 'object',
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        mode: { enum: ['summary', 'qa'] },
+        options: { type: 'object', properties: { limit: { type: 'integer', minimum: 1 } }, required: ['limit'] },
+      },
+      required: ['title'],
+      additionalProperties: false,
+    };
+    assert.deepStrictEqual(validateAgainstSchema(schema, { title: 'Policy', mode: 'qa' }), []);
+    assert.deepStrictEqual(validateAgainstSchema(schema, { mode: 'chat', options: {}, extra: true }), [
+      'extra: is not an allowed property',
+      'title: is required',
+      'mode: must be one of "summary", "qa"',
+      'options.limit: is required',
+    ]);
+    assert.deepStrictEqual(validateAgainstSchema(schema, { title: '', options: { limit: 0 } }), [
+      'title: should NOT be shorter than 1 characters',
+      'options.limit: should be >= 1',
+    ]);
+    console.log('✅ Every violation as "field: problem"');
+    console.log('');
+
+    // Test 2: Tool arguments
+    console.log('🔧 Test 2: Invalid tool arguments');
+    const store = createDocumentStore({ type: 'memory' });
+    await assert.rejects(callTool('upload_document', { sessionId: '', title: 5 }, { store }), (error) => {
+      assert.strictEqual(error.code, INVALID_PARAMS);
+      assert.deepStrictEqual(error.data.violations, [
+        'sessionId: should NOT be shorter than 1 characters',
+        'title: should be string',
+        'text: is required',
+      ]);
+      return true;
+    });
+    await assert.rejects(callTool('list_documents', { sessionId: 's', sortBy: 'nope' }, { store }), {
+      code: INVALID_PARAMS,
+      message: /sortBy: must be one of "createdAt", "size", "title"/,
+    });
+    assert.strictEqual((await store.listSessions()).length, 0, 'no handler ran');
+    console.log('✅ -32602 with data.violations, before the handler runs');
+    console.log('');
+
+    // Test 3: REST bodies
+    console.log('🌐 Test 3: validateBody');
+    assert.strictEqual(await runMiddleware(schema, { title: 'Policy' }), 'next');
+    assert.deepStrictEqual(await runMiddleware(schema, undefined), {
+      error: 'Invalid request body',
+      violations: ['title: is required'],
+    });
+    console.log('✅ Valid bodies pass through, invalid ones get 400 with the violations');
+    console.log('');
+
+    console.log('🎉 Validation tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests
+testValidation().then(() => process.exit(0));